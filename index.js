@@ -12,11 +12,37 @@
 const path = require('path');
 const _ = require('lodash');
 let mongoose = require('mongoose');
-const kue = require('kue');
+const queues = require(path.join(__dirname, 'lib', 'queues'));
 const MessageSchema = require(path.join(__dirname, 'lib', 'message'));
+const DeviceSchema = require(path.join(__dirname, 'lib', 'device'));
+const MessageTemplateSchema = require(path.join(__dirname, 'lib', 'template'));
+const CampaignSchema = require(path.join(__dirname, 'lib', 'campaign'));
+const CampaignRecipientSchema =
+  require(path.join(__dirname, 'lib', 'recipient'));
+const SuppressionSchema =
+  require(path.join(__dirname, 'lib', 'suppression'));
 let Message;
 const modelName = 'Message';
 
+
+/**
+ * @name model
+ * @description obtain existing or register, compile mongoose model
+ * @param {String} name valid model name
+ * @param {mongoose.Schema} schema valid model schema
+ * @return {mongoose.Model} mongoose model
+ * @since 0.7.0
+ * @private
+ */
+function model(name, schema) {
+  try {
+    return mongoose.model(name);
+  } catch (error) {
+    return mongoose.model(name, schema);
+  }
+}
+
+
 exports = module.exports = function (options) {
   //merge default options
   options = _.merge({}, { fake: false, sync: false }, options);
@@ -30,6 +56,11 @@ exports = module.exports = function (options) {
   //ensure proper queue
   const useSyncTransport = options.sync;
 
+  //obtain queue adapter name or instance
+  //NOTE! default to kue
+  const queue = options.queue;
+  delete options.queue;
+
   //ensure singletons
   try {
     //try to obtain existing Message model instance
@@ -48,12 +79,12 @@ exports = module.exports = function (options) {
 
     /**
      * @name queue
-     * @description message queue
+     * @description message queue adapter i.e kue or memory
      * @since 0.1.0
      * @private
      */
     MessageSchema.statics._queue =
-      (useSyncTransport ? undefined : kue.createQueue(options));
+      (useSyncTransport ? undefined : queues.create(queue, options));
 
 
     /**
@@ -64,9 +95,30 @@ exports = module.exports = function (options) {
 
   }
 
+  //expose push device model
+  Message.Device = model('Device', DeviceSchema);
+
+  //expose message template model
+  Message.Template = model('MessageTemplate', MessageTemplateSchema);
+
+  //expose campaign model
+  Message.Campaign = model('Campaign', CampaignSchema);
+
+  //expose campaign recipient model
+  Message.CampaignRecipient =
+    model('CampaignRecipient', CampaignRecipientSchema);
+
+  //expose suppression model
+  Message.Suppression = model('Suppression', SuppressionSchema);
+
   //ensure options
   Message.options = _.merge({}, Message.options, options);
 
+  //apply configured rate limits
+  _.forEach(options.rateLimits, function (limit) {
+    Message.rateLimit(limit);
+  });
+
   //export message model
   return Message;
 
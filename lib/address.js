@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * @module address
+ * @description normalize and validate message sender and receiver address
+ *              per message type.
+ *
+ *              SMS address is normalized into E.164 format i.e +255714000000
+ *              using optional default country code for national numbers
+ *              i.e 0714 000 000. E-mail address is checked against RFC 5322
+ *              address specification and its domain is lowercased.
+ *
+ * @see {@link https://www.itu.int/rec/T-REC-E.164}
+ * @see {@link https://tools.ietf.org/html/rfc5322#section-3.4.1}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * message types with validated address
+ */
+const TYPE_SMS = 'SMS';
+const TYPE_EMAIL = 'EMAIL';
+
+
+/**
+ * phone number separators allowed on input i.e 0714 000-000
+ */
+const PHONE_SEPARATORS = /[\s().\-\/]/g;
+
+
+/**
+ * valid E.164 number without plus i.e country code and subscriber number
+ */
+const E164 = /^[1-9]\d{7,14}$/;
+
+
+/**
+ * sms sender short code i.e 15200 and alphanumeric sender id i.e OPEN311
+ */
+const SHORT_CODE = /^\d{3,8}$/;
+const SENDER_ID = /^(?=.*[a-zA-Z])[a-zA-Z0-9 ._-]{1,11}$/;
+
+
+/**
+ * e-mail address parts
+ */
+const EMAIL_LOCAL = /^[a-z0-9!#$%&'*+\/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+\/=?^_`{|}~-]+)*$/i;
+const EMAIL_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+const EMAIL_DISPLAY = /^([^<]*)<([^>]+)>$/;
+
+
+/**
+ * @name phone
+ * @description normalize phone number into E.164 format. Without default
+ *              country only international number i.e +255714000000 or
+ *              00255714000000 is accepted, since national and subscriber
+ *              number can not be told apart from number with country code
+ * @param {String} value valid phone number
+ * @param {String} [country] default country code i.e +255
+ * @return {String|undefined} E.164 phone number or undefined if invalid
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * phone('0714 000 000', '+255');
+ * //=> '+255714000000'
+ *
+ */
+exports.phone = function phone(value, country) {
+
+  //normalize number and country code
+  const number = _.trim(value).replace(PHONE_SEPARATORS, '');
+  country = _.trim(country).replace(/\D/g, '');
+
+  //ensure digits with optional plus
+  if (!/^\+?\d+$/.test(number)) {
+    return undefined;
+  }
+
+  let digits;
+
+  //international number i.e +255714000000 or 00255714000000
+  if (_.startsWith(number, '+') || _.startsWith(number, '00')) {
+    digits = number.replace(/^(\+|00)/, '');
+  }
+
+  //national number i.e 0714000000
+  else if (_.startsWith(number, '0')) {
+    digits = (country ? country + number.substring(1) : undefined);
+  }
+
+  //number with country code or subscriber number i.e 714000000
+  //NOTE! ambiguous without country i.e 714000000 is not +714000000
+  else if (country) {
+    digits = (_.startsWith(number, country) ? number : country + number);
+  }
+
+  return (E164.test(digits) ? '+' + digits : undefined);
+
+};
+
+
+/**
+ * @name email
+ * @description normalize and validate e-mail address. Address with display
+ *              name i.e `Open311 <no-reply@example.com>` is supported
+ * @param {String} value valid e-mail address
+ * @return {String|undefined} e-mail address with lowercased domain or
+ *                            undefined if invalid
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * email('John.Doe@Example.COM');
+ * //=> 'John.Doe@example.com'
+ *
+ */
+exports.email = function email(value) {
+
+  value = _.trim(value);
+
+  //obtain address from display form
+  const display = EMAIL_DISPLAY.exec(value);
+  const address = _.trim(display ? display[2] : value);
+
+  //split local part and domain
+  const at = address.lastIndexOf('@');
+  const local = address.substring(0, at);
+  const domain = _.toLower(address.substring(at + 1));
+  const labels = domain.split('.');
+
+  //ensure valid local part and domain
+  const valid = (
+    at > 0 && _.size(local) <= 64 && _.size(address) <= 254 &&
+    EMAIL_LOCAL.test(local) && _.size(labels) > 1 &&
+    _.every(labels, function (label) {
+      return EMAIL_LABEL.test(label);
+    }) &&
+    /^[a-z]{2,}$/.test(_.last(labels))
+  );
+  if (!valid) {
+    return undefined;
+  }
+
+  //keep display name
+  const normalized = local + '@' + domain;
+  return (display ? _.trim(display[1]) + ' <' + normalized + '>' : normalized);
+
+};
+
+
+/**
+ * @name normalize
+ * @description normalize receiver address of a given message type
+ * @param {String} type valid message type
+ * @param {String} value valid address
+ * @param {Object} [options] valid address options
+ * @param {String} [options.country] default country code i.e +255
+ * @return {String|undefined} normalized address or undefined if invalid.
+ *                            Address of other message types is not changed
+ * @since 0.7.0
+ * @public
+ */
+exports.normalize = function normalize(type, value, options) {
+
+  if (type === TYPE_SMS) {
+    return exports.phone(value, _.get(options, 'country'));
+  }
+
+  if (type === TYPE_EMAIL) {
+    return exports.email(value);
+  }
+
+  return value;
+
+};
+
+
+/**
+ * @name bare
+ * @description normalize receiver address of a given message type and
+ *              strip its display name so that same address in different
+ *              display forms compare equal
+ * @param {String} type valid message type
+ * @param {String} value valid address
+ * @param {Object} [options] valid address options
+ * @param {String} [options.country] default country code i.e +255
+ * @return {String|undefined} bare address or undefined if invalid
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * bare('EMAIL', 'John <John.Doe@Example.COM>');
+ * //=> 'John.Doe@example.com'
+ *
+ */
+exports.bare = function bare(type, value, options) {
+
+  const normalized = exports.normalize(type, value, options);
+
+  //strip e-mail display name
+  if (type === TYPE_EMAIL && normalized) {
+    const display = EMAIL_DISPLAY.exec(normalized);
+    return (display ? display[2] : normalized);
+  }
+
+  return normalized;
+
+};
+
+
+/**
+ * @name sender
+ * @description normalize sender address of a given message type. SMS
+ *              sender may be a short code or alphanumeric sender id
+ * @param {String} type valid message type
+ * @param {String} value valid sender address
+ * @param {Object} [options] valid address options
+ * @param {String} [options.country] default country code i.e +255
+ * @return {String|undefined} normalized address or undefined if invalid
+ * @since 0.7.0
+ * @public
+ */
+exports.sender = function sender(type, value, options) {
+
+  //allow sms short code and alphanumeric sender id
+  const trimmed = _.trim(value);
+  const isSenderId = (SHORT_CODE.test(trimmed) || SENDER_ID.test(trimmed));
+  if (type === TYPE_SMS && isSenderId) {
+    return trimmed;
+  }
+
+  return exports.normalize(type, value, options);
+
+};
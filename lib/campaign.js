@@ -0,0 +1,954 @@
+'use strict';
+
+/**
+ * @module campaign
+ * @description mongoose model to manage bulk message(s) i.e announcements
+ *              sent to many recipients.
+ *
+ *              A campaign fan out into individual message per recipient in
+ *              batches. Each message may be personalised using campaign and
+ *              recipient data rendered on campaign subject and body or a
+ *              stored message template.
+ *
+ *              Recipient(s) are stored on their own collection and streamed
+ *              batch by batch so that campaign size is not limited by its
+ *              document size.
+ *
+ *              A campaign can be paused and resumed. Campaign cursor is only
+ *              moved after its batch is fanned out, so fan out continue from
+ *              first batch not completely fanned out i.e after a crash.
+ *              Recipient message is created once by its hash, so fanning out
+ *              same batch again never create duplicate message(s).
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const mongoose = require('mongoose');
+const hash = require('object-hash');
+let Schema = mongoose.Schema;
+const Mixed = Schema.Types.Mixed;
+
+
+/**
+ * campaign message types
+ */
+const TYPE_SMS = 'SMS';
+const TYPE_EMAIL = 'EMAIL';
+const TYPE_PUSH = 'PUSH';
+
+
+/**
+ * campaign statuses
+ */
+const STATUS_DRAFT = 'Draft';
+const STATUS_SENDING = 'Sending';
+const STATUS_PAUSED = 'Paused';
+const STATUS_COMPLETED = 'Completed';
+
+
+/**
+ * campaign fields copied to each recipient message
+ */
+const MESSAGE_FIELDS = [
+  'type', 'from', 'mode', 'priority', 'transport', 'queueName', 'sendAt'
+];
+
+
+/**
+ * model names used by campaign
+ */
+const messageModelName = 'Message';
+const templateModelName = 'MessageTemplate';
+const recipientModelName = 'CampaignRecipient';
+
+
+/**
+ * maximum recipient message(s) prepared and queued at once
+ */
+const DISPATCH_CONCURRENCY = 10;
+
+
+/**
+ * recipient dispatch results
+ */
+const RESULT_DISPATCHED = 'dispatched';
+const RESULT_FAILED = 'failed';
+const RESULT_DUPLICATE = 'duplicate';
+
+
+/**
+ * @name CampaignSchema
+ * @description campaign schema
+ * @type {Schema}
+ */
+let CampaignSchema = new Schema({
+  /**
+   * @name name
+   * @description human readable campaign name
+   * e.g Water Interruption Announcement
+   * @since 0.7.0
+   * @type {Object}
+   */
+  name: {
+    type: String,
+    trim: true,
+    index: true
+  },
+
+
+  /**
+   * @name type
+   * @description type of campaign message(s) i.e SMS, e-mail, push etc
+   * @since 0.7.0
+   * @type {Object}
+   */
+  type: {
+    type: String,
+    default: TYPE_EMAIL,
+    enum: [TYPE_EMAIL, TYPE_SMS, TYPE_PUSH]
+  },
+
+
+  /**
+   * @name from
+   * @description sender of campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  from: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name subject
+   * @description subject of campaign message(s). It may contain recipient
+   * variables i.e Dear {{name}}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  subject: {
+    type: String
+  },
+
+
+  /**
+   * @name body
+   * @description body of campaign message(s). It may contain recipient
+   * variables i.e Dear {{name}}. Required if template is not set
+   * @since 0.7.0
+   * @type {Object}
+   */
+  body: {
+    type: String
+  },
+
+
+  /**
+   * @name template
+   * @description name of stored message template used to render campaign
+   * message(s) instead of campaign subject and body
+   * @see {@link Message.fromTemplate}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  template: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name data
+   * @description variable(s) shared by all recipients used to render
+   * campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  data: {
+    type: Mixed
+  },
+
+
+  /**
+   * @name mode
+   * @description send mode of campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  mode: {
+    type: String
+  },
+
+
+  /**
+   * @name priority
+   * @description priority of campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  priority: {
+    type: String
+  },
+
+
+  /**
+   * @name transport
+   * @description name of the transport used to send campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  transport: {
+    type: String
+  },
+
+
+  /**
+   * @name queueName
+   * @description name of the queue used to send campaign message(s)
+   * @since 0.7.0
+   * @type {Object}
+   */
+  queueName: {
+    type: String
+  },
+
+
+  /**
+   * @name sendAt
+   * @description time when campaign message(s) are scheduled to be sent
+   * @since 0.7.0
+   * @type {Object}
+   */
+  sendAt: {
+    type: Date
+  },
+
+
+  /**
+   * @name batchSize
+   * @description number of recipient message(s) created per batch
+   * @since 0.7.0
+   * @type {Object}
+   */
+  batchSize: {
+    type: Number,
+    default: 1000,
+    min: 1
+  },
+
+
+  /**
+   * @name total
+   * @description total number of campaign recipients
+   * @since 0.7.0
+   * @type {Object}
+   */
+  total: {
+    type: Number,
+    default: 0
+  },
+
+
+  /**
+   * @name cursor
+   * @description index of next recipient batch to be fanned out
+   * @since 0.7.0
+   * @type {Object}
+   */
+  cursor: {
+    type: Number,
+    default: 0
+  },
+
+
+  /**
+   * @name dispatched
+   * @description number of recipient message(s) created and queued
+   * @since 0.7.0
+   * @type {Object}
+   */
+  dispatched: {
+    type: Number,
+    default: 0
+  },
+
+
+  /**
+   * @name failed
+   * @description number of recipient message(s) failed to be created
+   * i.e missing template variables
+   * @since 0.7.0
+   * @type {Object}
+   */
+  failed: {
+    type: Number,
+    default: 0
+  },
+
+
+  /**
+   * @name status
+   * @description campaign status i.e Draft, Sending, Paused, Completed
+   * @since 0.7.0
+   * @type {Object}
+   */
+  status: {
+    type: String,
+    default: STATUS_DRAFT,
+    enum: [STATUS_DRAFT, STATUS_SENDING, STATUS_PAUSED, STATUS_COMPLETED],
+    index: true
+  },
+
+
+  /**
+   * @name startedAt
+   * @description time when campaign fan out started
+   * @since 0.7.0
+   * @type {Object}
+   */
+  startedAt: {
+    type: Date
+  },
+
+
+  /**
+   * @name pausedAt
+   * @description last time when campaign was paused
+   * @since 0.7.0
+   * @type {Object}
+   */
+  pausedAt: {
+    type: Date
+  },
+
+
+  /**
+   * @name completedAt
+   * @description time when campaign fan out completed
+   * @since 0.7.0
+   * @type {Object}
+   */
+  completedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true
+});
+
+
+//-----------------------------------------------------------------------------
+// hooks
+//-----------------------------------------------------------------------------
+
+/**
+ * @name preValidate
+ * @description campaign schema pre validate hook
+ * @private
+ */
+CampaignSchema.pre('validate', function preValidate(next) {
+
+  //ensure campaign content
+  if (!this.body && !this.template) {
+    this.invalidate('body', 'Campaign body or template is required');
+  }
+
+  next();
+
+});
+
+
+//-----------------------------------------------------------------------------
+// instance properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * @name add
+ * @description add recipient(s) to this campaign. Recipient(s) are stored
+ *              on their own collection ordered after existing recipient(s).
+ *              New campaign is saved before its recipient(s) are stored
+ * @param {String|Object|Array} recipients valid recipient(s) i.e phone
+ *                                         number or { to, data, locale }
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Campaign|Error} this campaign or error
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * campaign.add([
+ *   '255714000000',
+ *   { to: '255714000001', data: { name: 'John' } }
+ * ], function(error, campaign){
+ *   ...
+ * });
+ *
+ */
+CampaignSchema.methods.add = function add(recipients, done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const campaign = this;
+  const Campaign = this.constructor;
+  const CampaignRecipient = mongoose.model(recipientModelName);
+
+  //normalize recipients
+  recipients = _.map(_.compact([].concat(recipients)), function (recipient) {
+    return _.isString(recipient) ? { to: recipient } : recipient;
+  });
+
+  //do nothing
+  if (_.isEmpty(recipients)) {
+    return done(null, campaign);
+  }
+
+  async.waterfall([
+
+    function reserve(next) {
+
+      const size = _.size(recipients);
+
+      //reserve positions and save new campaign
+      //NOTE! invalid campaign never leave orphan recipient(s)
+      if (campaign.isNew) {
+        campaign.total = campaign.total + size;
+        return campaign.save(function (error) {
+          if (error) {
+            return next(error);
+          }
+          next(null, campaign.total - size);
+        });
+      }
+
+      //reserve positions atomically i.e concurrent add
+      Campaign.findOneAndUpdate({ _id: campaign._id }, {
+        $inc: { total: size }
+      }, { new: true }, function (error, found) {
+        if (!error && !found) {
+          error = new Error('Campaign Not Found');
+          error.status = 404;
+        }
+        if (error) {
+          return next(error);
+        }
+        campaign.total = found.total;
+        next(null, found.total - size);
+      });
+
+    },
+
+    function store(start, next) {
+      CampaignRecipient.insertMany(_.map(recipients, function (recipient, n) {
+        return _.merge({}, recipient, {
+          campaign: campaign._id,
+          index: start + n
+        });
+      }), function (error) {
+        next(error, campaign);
+      });
+    }
+
+  ], done);
+
+};
+
+
+/**
+ * @name prepare
+ * @description build personalised message of a campaign recipient
+ * @param {Object} recipient valid campaign recipient
+ * @param {Number} index recipient position on the campaign
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Message|Error} unsaved recipient message or error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+CampaignSchema.methods.prepare = function prepare(recipient, index, done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const Message = mongoose.model(messageModelName);
+  const MessageTemplate = mongoose.model(templateModelName);
+
+  //prepare recipient message details
+  const data = _.merge({}, this.data, recipient.data, { to: recipient.to });
+  const details = _.omitBy(_.merge({}, _.pick(this, MESSAGE_FIELDS), {
+    to: recipient.to,
+    locale: recipient.locale,
+    campaign: this._id,
+
+    //ensure recipient message is created once
+    hash: hash({ campaign: this._id.toString(), index: index })
+  }), _.isNil);
+
+  //render stored template
+  if (this.template) {
+    return Message.fromTemplate(this.template, data, details, done);
+  }
+
+  //render campaign subject and body
+  try {
+    const rendered = new MessageTemplate({
+      type: this.type,
+      subject: this.subject,
+      body: this.body
+    }).render(data);
+    done(null, new Message(_.merge(details, rendered)));
+  } catch (error) {
+    done(error);
+  }
+
+};
+
+
+/**
+ * @name batch
+ * @description obtain next batch of recipient(s) to fan out from campaign
+ *              cursor. Cursor is not moved until the batch is fanned out
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Object|Error} next batch `{ start, end }`, `{ stopped }` if
+ *                        campaign is not sending, `{ finished }` if all
+ *                        recipients are fanned out or error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+CampaignSchema.methods.batch = function batch(done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const campaign = this;
+  const Campaign = this.constructor;
+
+  Campaign.findById(campaign._id, 'status cursor total batchSize',
+    function (error, found) {
+
+      //back off on query error
+      if (error) {
+        return done(error);
+      }
+
+      //stop paused or removed campaign
+      if (!found || found.status !== STATUS_SENDING) {
+        campaign.status = _.get(found, 'status', campaign.status);
+        return done(null, { stopped: true });
+      }
+
+      //all recipients are fanned out
+      campaign.cursor = found.cursor;
+      if (found.cursor >= found.total) {
+        return done(null, { finished: true });
+      }
+
+      //prepare next batch
+      done(null, {
+        start: found.cursor,
+        end: Math.min(found.cursor + found.batchSize, found.total)
+      });
+
+    });
+
+};
+
+
+/**
+ * @name dispatch
+ * @description fan out campaign message(s) in batches from campaign cursor
+ *              until all are dispatched or campaign is paused.
+ *              Recipient(s) of each batch are streamed from their collection
+ *              and campaign cursor is moved once the batch is fanned out
+ * @param  {Function} done a callback to invoke on success or failure
+ * @events message:broadcast:batch, message:broadcast:success,
+ *         message:broadcast:error
+ * @return {Campaign|Error} dispatched campaign or error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+CampaignSchema.methods.dispatch = function dispatch(done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const campaign = this;
+  const Campaign = this.constructor;
+  const Message = mongoose.model(messageModelName);
+  const CampaignRecipient = mongoose.model(recipientModelName);
+
+  let stopped = false;
+  let finished = false;
+
+  async.whilst(function () {
+    return !stopped && !finished;
+  }, function (next) {
+
+    async.waterfall([
+
+      function nextBatch(then) {
+        campaign.batch(function (error, batch) {
+          stopped = !!_.get(batch, 'stopped');
+          finished = !!_.get(batch, 'finished');
+          then(error, batch);
+        });
+      },
+
+      function fanOut(batch, then) {
+
+        let results = [];
+
+        //do nothing on stopped or finished campaign
+        if (!_.has(batch, 'start')) {
+          return then(null, batch, results);
+        }
+
+        //stream batch recipients
+        const cursor = CampaignRecipient.find({
+          campaign: campaign._id,
+          index: { $gte: batch.start, $lt: batch.end }
+        }).sort({ index: 1 }).lean().cursor();
+
+        //create and queue recipient messages
+        //NOTE! cursor wait for returned promise before next recipient
+        cursor.eachAsync(function (recipient) {
+          return new Promise(function (resolve) {
+            campaign.prepare(recipient, recipient.index,
+              function (error, message) {
+
+                //count recipient failure
+                if (error) {
+                  results.push(RESULT_FAILED);
+                  return resolve();
+                }
+
+                message.queue(function (error) {
+
+                  //NOTE! already created message is not dispatched again
+                  if (error && error.code === 11000) {
+                    results.push(RESULT_DUPLICATE);
+                  } else {
+                    results.push(error ? RESULT_FAILED : RESULT_DISPATCHED);
+                  }
+
+                  resolve();
+
+                });
+
+              });
+          });
+        }, { parallel: DISPATCH_CONCURRENCY }, function (error) {
+          then(error, batch, results);
+        });
+
+      },
+
+      function updateProgress(batch, results, then) {
+
+        //do nothing on stopped or finished campaign
+        if (!_.has(batch, 'start')) {
+          return then();
+        }
+
+        //track campaign progress and move cursor past fanned out batch
+        //NOTE! increment progress to preserve concurrent pause or dispatch
+        //NOTE! cursor never move back on concurrent dispatch of same batch
+        const counts = _.countBy(results);
+        Campaign.findOneAndUpdate({ _id: campaign._id }, {
+          $inc: {
+            dispatched: _.get(counts, RESULT_DISPATCHED, 0),
+            failed: _.get(counts, RESULT_FAILED, 0)
+          },
+          $max: { cursor: batch.end }
+        }, { new: true }, function (error, updated) {
+          if (updated) {
+            campaign.set(_.pick(updated, ['cursor', 'dispatched', 'failed']));
+          }
+          if (!error && Message._queue) {
+            Message._queue.emit('message:broadcast:batch', campaign);
+          }
+          then(error);
+        });
+
+      }
+
+    ], next);
+
+  }, function (error) {
+
+    //notify dispatch failure
+    if (error) {
+      if (Message._queue) {
+        Message._queue.emit('message:broadcast:error', error);
+      }
+      return done(error);
+    }
+
+    //do nothing on paused campaign
+    if (stopped) {
+      return done(null, campaign);
+    }
+
+    //complete campaign
+    //NOTE! only one of concurrent dispatch complete the campaign
+    const completedAt = new Date();
+    Campaign.findOneAndUpdate({
+      _id: campaign._id,
+      status: STATUS_SENDING
+    }, {
+      $set: { status: STATUS_COMPLETED, completedAt: completedAt }
+    }, { new: true }, function (error, completed) {
+
+      if (completed) {
+        campaign.set(_.pick(completed, [
+          'status', 'completedAt', 'dispatched', 'failed'
+        ]));
+      }
+
+      if (Message._queue) {
+        if (error) {
+          Message._queue.emit('message:broadcast:error', error);
+        } else if (completed) {
+          Message._queue.emit('message:broadcast:success', campaign);
+        }
+      }
+
+      done(error, campaign);
+
+    });
+
+  });
+
+};
+
+
+/**
+ * @name pause
+ * @description pause campaign fan out. Fan out stop after current batch
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Campaign|Error} paused campaign or error
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+CampaignSchema.methods.pause = function pause(done) {
+
+  //this refer to Campaign instance context
+
+  //ensure campaign not completed
+  if (this.status === STATUS_COMPLETED) {
+    let error = new Error('Campaign Already Completed');
+    error.status = 400;
+    return done(error);
+  }
+
+  this.status = STATUS_PAUSED;
+  this.pausedAt = new Date();
+
+  this.constructor.update({ _id: this._id }, {
+    $set: _.pick(this, ['status', 'pausedAt'])
+  }, function (error) {
+    done(error, this);
+  }.bind(this));
+
+};
+
+
+/**
+ * @name resume
+ * @description resume paused campaign fan out from its cursor
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Campaign|Error} dispatched campaign or error
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+CampaignSchema.methods.resume = function resume(done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const Campaign = this.constructor;
+
+  //prepare not paused error
+  const notPaused = function () {
+    let error = new Error('Campaign Is Not Paused');
+    error.status = 400;
+    return error;
+  };
+
+  //ensure campaign is paused
+  if (this.status !== STATUS_PAUSED) {
+    return done(notPaused());
+  }
+
+  async.waterfall([
+
+    function start(next) {
+
+      //resume atomically i.e concurrent resume dispatch once
+      Campaign.findOneAndUpdate({
+        _id: this._id,
+        status: STATUS_PAUSED
+      }, {
+        $set: { status: STATUS_SENDING }
+      }, { new: true }, function (error, campaign) {
+        if (!error && !campaign) {
+          error = notPaused();
+        }
+        next(error, campaign);
+      });
+
+    }.bind(this),
+
+    function dispatch(campaign, next) {
+      campaign.dispatch(next);
+    }
+
+  ], function (error, campaign) {
+
+    //sync dispatch progress
+    if (campaign) {
+      this.set(_.pick(campaign, [
+        'status', 'cursor', 'dispatched', 'failed', 'completedAt'
+      ]));
+    }
+
+    done(error, this);
+
+  }.bind(this));
+
+};
+
+
+/**
+ * @name stats
+ * @description obtain campaign message counts by their state
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Object|Error} campaign counts or error
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * campaign.stats(function(error, stats){
+ *   //=> { total: 3, dispatched: 3, failed: 0,
+ *   //     states: { Queued: 1, Delivered: 2 } }
+ * });
+ *
+ */
+CampaignSchema.methods.stats = function stats(done) {
+
+  //this refer to Campaign instance context
+
+  //reference
+  const Message = mongoose.model(messageModelName);
+
+  Message.aggregate([
+    { $match: { campaign: this._id } },
+    { $group: { _id: '$state', count: { $sum: 1 } } }
+  ], function (error, results) {
+    done(error, {
+      total: this.total,
+      dispatched: this.dispatched,
+      failed: this.failed,
+      states: _.fromPairs(_.map(results, function (result) {
+        return [result._id, result.count];
+      }))
+    });
+  }.bind(this));
+
+};
+
+
+//-----------------------------------------------------------------------------
+// static properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * campaign statuses
+ */
+CampaignSchema.statics.STATUS_DRAFT = STATUS_DRAFT;
+CampaignSchema.statics.STATUS_SENDING = STATUS_SENDING;
+CampaignSchema.statics.STATUS_PAUSED = STATUS_PAUSED;
+CampaignSchema.statics.STATUS_COMPLETED = STATUS_COMPLETED;
+CampaignSchema.statics.STATUSES = [
+  STATUS_DRAFT, STATUS_SENDING, STATUS_PAUSED, STATUS_COMPLETED
+];
+
+
+/**
+ * @name broadcast
+ * @description add recipient(s) to a campaign and fan out its message(s)
+ * @param {Object|Campaign} campaign valid campaign or its details
+ * @param {Array} recipients valid recipient(s)
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Campaign|Error} dispatched campaign or error
+ * @since 0.7.0
+ * @public
+ */
+CampaignSchema.statics.broadcast = function (campaign, recipients, done) {
+
+  //this refer to Campaign static context
+
+  //reference
+  const Campaign = this;
+
+  //ensure campaign instance
+  campaign = (campaign instanceof Campaign ? campaign : new Campaign(campaign));
+
+  async.waterfall([
+
+    function loadCampaign(next) {
+
+      //use new campaign
+      if (campaign.isNew) {
+        return next(null, campaign);
+      }
+
+      //load existing campaign
+      Campaign.findById(campaign._id, function (error, found) {
+        if (!error && !found) {
+          error = new Error('Campaign Not Found');
+          error.status = 404;
+        }
+        next(error, found);
+      });
+
+    },
+
+    function addRecipients(campaign, next) {
+      campaign.add(recipients, next);
+    },
+
+    function start(campaign, next) {
+      campaign.status = STATUS_SENDING;
+      campaign.startedAt = (campaign.startedAt || new Date());
+      campaign.completedAt = undefined;
+      campaign.save(next);
+    },
+
+    function dispatch(campaign, next) {
+      campaign.dispatch(next);
+    }
+
+  ], done);
+
+};
+
+
+/**
+ * export campaign schema
+ * @type {mongoose.Schema}
+ */
+exports = module.exports = CampaignSchema;
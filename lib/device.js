@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * @module device
+ * @description mongoose model to manage push notification device(s)
+ *              registration of message receiver(s)
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+const mongoose = require('mongoose');
+let Schema = mongoose.Schema;
+
+
+/**
+ * device platforms
+ */
+const PLATFORM_ANDROID = 'android';
+const PLATFORM_IOS = 'ios';
+const PLATFORM_WEB = 'web';
+
+
+/**
+ * @name DeviceSchema
+ * @description device schema
+ * @type {Schema}
+ */
+let DeviceSchema = new Schema({
+  /**
+   * @name recipient
+   * @description identifier of the device owner used as push message
+   * receiver i.e user id, phone number, email etc
+   * @since 0.7.0
+   * @type {Object}
+   */
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+
+
+  /**
+   * @name platform
+   * @description device platform i.e android, ios or web
+   * @since 0.7.0
+   * @type {Object}
+   */
+  platform: {
+    type: String,
+    default: PLATFORM_ANDROID,
+    enum: [PLATFORM_ANDROID, PLATFORM_IOS, PLATFORM_WEB],
+    index: true
+  },
+
+
+  /**
+   * @name token
+   * @description device push registration token
+   * @since 0.7.0
+   * @type {Object}
+   */
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+
+  /**
+   * @name lastSeen
+   * @description last time device was registered or used
+   * @since 0.7.0
+   * @type {Object}
+   */
+  lastSeen: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: true
+});
+
+
+//-----------------------------------------------------------------------------
+// static properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * device platforms
+ */
+DeviceSchema.statics.PLATFORM_ANDROID = PLATFORM_ANDROID;
+DeviceSchema.statics.PLATFORM_IOS = PLATFORM_IOS;
+DeviceSchema.statics.PLATFORM_WEB = PLATFORM_WEB;
+DeviceSchema.statics.PLATFORMS = [
+  PLATFORM_ANDROID, PLATFORM_IOS, PLATFORM_WEB
+];
+
+
+/**
+ * @name register
+ * @description register or refresh a device of a recipient
+ * @param {Object} device valid device details
+ * @param {String} device.recipient device owner identifier
+ * @param {String} device.token device push registration token
+ * @param {String} [device.platform] device platform
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Device} registered device
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Device.register({
+ *   recipient: '255714000000',
+ *   platform: 'android',
+ *   token: '<token>'
+ * }, function(error, device){
+ *   ...
+ * });
+ *
+ */
+DeviceSchema.statics.register = function register(device, done) {
+
+  //this refer to Device static context
+
+  //prepare device details
+  const details = _.merge({}, _.pick(device, [
+    'recipient', 'platform', 'token'
+  ]), { lastSeen: new Date() });
+
+  //upsert device by its token
+  this.findOneAndUpdate({ token: details.token }, details, {
+    upsert: true,
+    new: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  }, done);
+
+};
+
+
+/**
+ * @name tokens
+ * @description obtain push registration tokens of given recipient(s)
+ * @param {String|String[]} recipients valid recipient identifier(s)
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {String[]} registration tokens
+ * @since 0.7.0
+ * @public
+ */
+DeviceSchema.statics.tokens = function tokens(recipients, done) {
+
+  //this refer to Device static context
+
+  //normalize recipients
+  recipients = _.compact([].concat(recipients));
+
+  //find recipients devices
+  this.find({ recipient: { $in: recipients } }, function (error, devices) {
+    done(error, _.uniq(_.map(devices, 'token')));
+  });
+
+};
+
+
+/**
+ * @name prune
+ * @description remove device(s) with invalid push registration token(s)
+ * @param {String|String[]} tokens invalid registration token(s)
+ * @param  {Function} done a callback to invoke on success or failure
+ * @since 0.7.0
+ * @public
+ */
+DeviceSchema.statics.prune = function prune(tokens, done) {
+
+  //this refer to Device static context
+
+  //normalize tokens
+  tokens = _.compact([].concat(tokens));
+
+  //do nothing
+  if (_.isEmpty(tokens)) {
+    return done(null, tokens);
+  }
+
+  //remove devices
+  this.remove({ token: { $in: tokens } }, function (error) {
+    done(error, tokens);
+  });
+
+};
+
+
+/**
+ * @name refresh
+ * @description replace device push registration token
+ * @param {String} token existing registration token
+ * @param {String} canonical new registration token
+ * @param  {Function} done a callback to invoke on success or failure
+ * @since 0.7.0
+ * @public
+ */
+DeviceSchema.statics.refresh = function refresh(token, canonical, done) {
+
+  //this refer to Device static context
+
+  //reference
+  const Device = this;
+
+  //remove device already registered with canonical token
+  Device.remove({ token: canonical }, function (error) {
+
+    if (error) {
+      return done(error);
+    }
+
+    //update existing device token
+    Device.update({ token: token }, {
+      token: canonical,
+      lastSeen: new Date()
+    }, done);
+
+  });
+
+};
+
+
+/**
+ * export device schema
+ * @type {mongoose.Schema}
+ */
+exports = module.exports = DeviceSchema;
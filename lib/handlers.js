@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * @module handlers
+ * @description registry of handlers used to process received(inbound)
+ *              message(s).
+ *
+ *              A handler is matched by keyword i.e first word of the message
+ *              body, sender pattern or message type. Handlers are matched
+ *              in registration order and first matched handler is used.
+ *              Unmatched message(s) are processed by a default handler.
+ *
+ *              A handler is a function with signature:
+ *
+ *              function(message, match, done){ ... }
+ *
+ *              Where match contain matched `keyword`, `args` i.e remaining
+ *              words of the body and `text` i.e remaining body text.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * registered handlers in registration order
+ */
+let handlers = [];
+
+
+/**
+ * default handler for unmatched message(s)
+ */
+let fallback;
+
+
+/**
+ * @name parse
+ * @description split message body into keyword and its arguments
+ * @param {String} body message body
+ * @return {Object} parsed keyword, args and text
+ * @since 0.7.0
+ * @private
+ * @example
+ *
+ * parse('STATUS 1234');
+ * //=> { keyword: 'STATUS', args: ['1234'], text: '1234' }
+ *
+ */
+function parse(body) {
+
+  const text = _.trim(body);
+  const words = _.compact(text.split(/\s+/));
+  const keyword = _.toUpper(_.first(words));
+
+  return {
+    keyword: keyword,
+    args: _.tail(words),
+    text: _.trim(text.substring(_.size(_.first(words))))
+  };
+
+}
+
+
+/**
+ * @name matches
+ * @description check if a message satisfy handler matcher
+ * @param {Object} matcher valid handler matcher
+ * @param {Message} message valid message
+ * @param {Object} parsed parsed message body
+ * @return {Boolean} whether message match
+ * @since 0.7.0
+ * @private
+ */
+function matches(matcher, message, parsed) {
+
+  //match message type
+  if (matcher.type && !_.includes([].concat(matcher.type), message.type)) {
+    return false;
+  }
+
+  //match sender pattern
+  if (matcher.from) {
+    const pattern = _.isRegExp(matcher.from) ?
+      matcher.from : new RegExp(matcher.from);
+    if (!pattern.test(message.from)) {
+      return false;
+    }
+  }
+
+  //match keyword
+  if (matcher.keyword) {
+    const keywords = _.map([].concat(matcher.keyword), _.toUpper);
+    if (!_.includes(keywords, parsed.keyword)) {
+      return false;
+    }
+  }
+
+  return true;
+
+}
+
+
+/**
+ * @name register
+ * @description register a handler for received message(s)
+ * @param {String} name unique handler name
+ * @param {Object} matcher valid handler matcher
+ * @param {String|String[]} [matcher.keyword] message keyword(s)
+ * @param {String|RegExp} [matcher.from] sender pattern
+ * @param {String|String[]} [matcher.type] message type(s)
+ * @param {Function} handler function to process matched message
+ * @return {Object} registered handler
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * handlers.register('status', { keyword: 'STATUS' },
+ *   function(message, match, done){
+ *     //lookup service request match.args[0]
+ *     ...
+ *   });
+ *
+ */
+exports.register = function register(name, matcher, handler) {
+
+  //ensure handler name
+  if (!name || !_.isString(name)) {
+    throw new Error('Missing Handler Name');
+  }
+
+  //ensure handler function
+  if (!_.isFunction(handler)) {
+    throw new Error('Invalid Handler ' + name + '. Missing handler function');
+  }
+
+  //replace existing handler
+  exports.unregister(name);
+
+  const registered = {
+    name: name,
+    matcher: _.merge({}, matcher),
+    handle: handler
+  };
+  handlers.push(registered);
+
+  return registered;
+
+};
+
+
+/**
+ * @name unregister
+ * @description remove registered handler
+ * @param {String} name valid handler name
+ * @since 0.7.0
+ * @public
+ */
+exports.unregister = function unregister(name) {
+  handlers = _.reject(handlers, { name: name });
+};
+
+
+/**
+ * @name setDefault
+ * @description set default handler for unmatched message(s)
+ * @param {Function} handler function to process unmatched message
+ * @since 0.7.0
+ * @public
+ */
+exports.setDefault = function setDefault(handler) {
+  fallback = (_.isFunction(handler) ? {
+    name: 'default',
+    matcher: {},
+    handle: handler
+  } : undefined);
+};
+
+
+/**
+ * @name match
+ * @description obtain handler to process a received message
+ * @param {Message} message valid received message
+ * @return {Object|undefined} matched handler and parsed body
+ * @since 0.7.0
+ * @public
+ */
+exports.match = function match(message) {
+
+  //parse message body
+  const parsed = parse(message.body);
+
+  //find first matched handler or default
+  const handler = _.find(handlers, function (_handler) {
+    return matches(_handler.matcher, message, parsed);
+  }) || fallback;
+
+  return (handler ? { handler: handler, match: parsed } : undefined);
+
+};
+
+
+/**
+ * @name reset
+ * @description clear all registered handlers
+ * @since 0.7.0
+ * @private
+ */
+exports.reset = function reset() {
+  handlers = [];
+  fallback = undefined;
+};
+
+
+/**
+ * expose body parser
+ */
+exports.parse = parse;
@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * @module limiter
+ * @description registry of token bucket rate limiters used to throttle
+ *              message sending per transport and per queue.
+ *
+ *              A limiter allow `rate` message(s) `per` a given period with
+ *              optional `burst` capacity. Excess message(s) wait for a token
+ *              in first come first served order instead of failing.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * limiter.set('transport:smpp', { rate: 10, per: 'second' });
+ *
+ * limiter.acquire(['transport:smpp', 'queue:sms'], function(){
+ *   //send message
+ * });
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+
+
+/**
+ * rate limit periods in milliseconds
+ */
+const PERIODS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+
+/**
+ * registered limiters keyed by their names
+ */
+let limiters = {};
+
+
+/**
+ * @name bucket
+ * @description create token bucket limiter
+ * @param {Object} options valid rate limit options
+ * @param {Number} options.rate number of messages allowed per period
+ * @param {Number} options.interval period in milliseconds
+ * @param {Number} options.burst maximum tokens the bucket can hold
+ * @return {Object} token bucket
+ * @since 0.7.0
+ * @private
+ */
+function bucket(options) {
+
+  let tokens = options.burst;
+  let refilledAt = Date.now();
+  let waiting = [];
+  let timer;
+
+  //add tokens earned since last refill
+  const refill = function () {
+    const now = Date.now();
+    const earned = ((now - refilledAt) * options.rate) / options.interval;
+    tokens = Math.min(options.burst, tokens + earned);
+    refilledAt = now;
+  };
+
+  //give tokens to waiting callers in arrival order
+  const drain = function () {
+
+    timer = undefined;
+    refill();
+
+    while (!_.isEmpty(waiting) && tokens >= 1) {
+      tokens = tokens - 1;
+      setImmediate(waiting.shift());
+    }
+
+    //wait for next token
+    if (!_.isEmpty(waiting)) {
+      const wait = ((1 - tokens) * options.interval) / options.rate;
+      timer = setTimeout(drain, Math.ceil(wait));
+    }
+
+  };
+
+  return {
+    options: options,
+
+    take: function take(done) {
+      waiting.push(done);
+      if (!timer) {
+        drain();
+      }
+    },
+
+    pending: function pending() {
+      return _.size(waiting);
+    }
+  };
+
+}
+
+
+/**
+ * @name normalize
+ * @description normalize rate limit options
+ * @param {Object} options valid rate limit options
+ * @return {Object} normalized rate limit options
+ * @throws {Error} invalid rate limit options
+ * @since 0.7.0
+ * @private
+ */
+function normalize(options) {
+
+  //merge default options
+  options = _.merge({}, { per: 'second' }, options);
+
+  //obtain period in milliseconds
+  const interval =
+    (_.isNumber(options.per) ? options.per : PERIODS[options.per]);
+
+  //ensure valid rate and period
+  const valid = (options.rate > 0 && interval > 0);
+  if (!valid) {
+    let error = new Error('Invalid Rate Limit');
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    rate: options.rate,
+    per: options.per,
+    interval: interval,
+    burst: Math.max(1, options.burst || options.rate)
+  };
+
+}
+
+
+/**
+ * @name set
+ * @description register or replace a rate limiter
+ * @param {String} name unique limiter name i.e transport:smpp
+ * @param {Object} options valid rate limit options
+ * @param {Number} options.rate number of messages allowed per period
+ * @param {String|Number} [options.per] period i.e second, minute, hour or
+ *                                      milliseconds. default to second
+ * @param {Number} [options.burst] maximum messages sent at once.
+ *                                 default to rate
+ * @return {Object} registered limiter
+ * @since 0.7.0
+ * @public
+ */
+exports.set = function set(name, options) {
+
+  //ensure limiter name
+  if (!name || !_.isString(name)) {
+    throw new Error('Missing Rate Limit Name');
+  }
+
+  limiters[name] = bucket(normalize(options));
+
+  return limiters[name];
+
+};
+
+
+/**
+ * @name unset
+ * @description remove registered rate limiter
+ * @param {String} name valid limiter name
+ * @since 0.7.0
+ * @public
+ */
+exports.unset = function unset(name) {
+  delete limiters[name];
+};
+
+
+/**
+ * @name get
+ * @description obtain registered rate limiter
+ * @param {String} name valid limiter name
+ * @return {Object|undefined} registered limiter
+ * @since 0.7.0
+ * @public
+ */
+exports.get = function get(name) {
+  return limiters[name];
+};
+
+
+/**
+ * @name acquire
+ * @description wait for a token from each of the given rate limiters.
+ *              Unknown limiters are ignored
+ * @param {String|String[]} names valid limiter name(s)
+ * @param {Function} done a callback to invoke once tokens are acquired
+ * @since 0.7.0
+ * @public
+ */
+exports.acquire = function acquire(names, done) {
+
+  //obtain registered limiters
+  const buckets = _.compact(_.map(_.uniq(_.compact([].concat(names))),
+    function (name) {
+      return limiters[name];
+    }));
+
+  //take a token from each limiter
+  async.eachSeries(buckets, function (limiter, next) {
+    limiter.take(function () {
+      next();
+    });
+  }, function () {
+    done();
+  });
+
+};
+
+
+/**
+ * @name reset
+ * @description clear all registered rate limiters
+ * @since 0.7.0
+ * @private
+ */
+exports.reset = function reset() {
+  limiters = {};
+};
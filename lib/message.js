@@ -14,8 +14,16 @@ const async = require('async');
 const mongoose = require('mongoose');
 const hash = require('object-hash');
 const isHtml = require('is-html');
+const transports = require('./transports');
+const handlers = require('./handlers');
+const limiter = require('./limiter');
+const address = require('./address');
+const sms = require('./sms');
+const quiet = require('./quiet');
+const retry = require('./retry');
 let Schema = mongoose.Schema;
 const Mixed = Schema.Types.Mixed;
+const ObjectId = Schema.Types.ObjectId;
 
 /**
  * message directions
@@ -64,6 +72,16 @@ const SEND_MODE_PUSH = 'Push';
 const modelName = 'Message';
 
 
+/**
+ * message priorities ordered from highest to lowest.
+ * Used to lease pull message(s) by their priority
+ */
+const LEASE_PRIORITIES = [
+  PRIORITY_CRITICAL, PRIORITY_HIGH, PRIORITY_MEDIUM,
+  PRIORITY_NORMAL, PRIORITY_LOW
+];
+
+
 /**
  * message hash fields
  */
@@ -74,6 +92,16 @@ const HASH_FIELDS = [
 ];
 
 
+/**
+ * received message hash fields.
+ * It exclude creation time to allow deduplication of received message(s)
+ */
+const RECEIVED_HASH_FIELDS = [
+  'type', 'direction', 'from', 'to',
+  'transport', 'body', 'receivedAt'
+];
+
+
 /**
  * messages state
  */
@@ -98,6 +126,432 @@ const STATE_QUEUED = 'Queued';
 const STATE_DELIVERED = 'Delivered';
 
 
+//state assigned to a scheduled message cancelled before it was sent
+const STATE_CANCELLED = 'Cancelled';
+
+
+//state assigned to a message not sent because all of its receivers
+//are suppressed i.e opted out or hard bounced
+const STATE_SKIPPED = 'Skipped';
+
+
+//state assigned to a message when a transport failed to send it
+const STATE_FAILED = 'Failed';
+
+
+//state assigned to a failed message which will not be retried i.e
+//permanent failure or exhausted attempts
+const STATE_DEAD_LETTER = 'DeadLetter';
+
+
+//state assigned to a message rejected by a provider i.e invalid receiver
+const STATE_REJECTED = 'Rejected';
+
+
+//state assigned to a message a provider failed to deliver to a receiver(s)
+const STATE_UNDELIVERED = 'Undelivered';
+
+
+//state assigned to a message which expired before reaching a receiver(s)
+const STATE_EXPIRED = 'Expired';
+
+
+/**
+ * message failure states
+ */
+const FAILURE_STATES = [
+  STATE_FAILED, STATE_REJECTED, STATE_UNDELIVERED, STATE_EXPIRED
+];
+
+
+/**
+ * default mapping of provider delivery report statuses to message states.
+ * Status are matched case insensitive
+ */
+const DELIVERY_STATUSES = {
+  'delivered': STATE_DELIVERED,
+  'delivrd': STATE_DELIVERED,
+  'success': STATE_DELIVERED,
+  'accepted': STATE_QUEUED,
+  'acceptd': STATE_QUEUED,
+  'enroute': STATE_QUEUED,
+  'queued': STATE_QUEUED,
+  'pending': STATE_QUEUED,
+  'buffered': STATE_QUEUED,
+  'sent': STATE_SENT,
+  'rejected': STATE_REJECTED,
+  'rejectd': STATE_REJECTED,
+  'undelivered': STATE_UNDELIVERED,
+  'undeliv': STATE_UNDELIVERED,
+  'expired': STATE_EXPIRED,
+  'bounced': STATE_UNDELIVERED,
+  'complained': STATE_DELIVERED,
+  'failed': STATE_FAILED,
+  'deleted': STATE_FAILED,
+  'unknown': STATE_FAILED,
+  'error': STATE_FAILED
+};
+
+
+/**
+ * message states which immediately trigger fallback to next channel.
+ * Failed message is retried and fall back once its fallback timeout elapse
+ * or it become a dead letter
+ */
+const FALLBACK_STATES = [
+  STATE_REJECTED, STATE_UNDELIVERED, STATE_EXPIRED, STATE_SKIPPED,
+  STATE_DEAD_LETTER
+];
+
+
+/**
+ * default time to wait for message delivery before fallback i.e 15 minutes
+ */
+const FALLBACK_TIMEOUT = 15 * 60 * 1000;
+
+
+/**
+ * provider delivery statuses which suppress message receiver(s)
+ */
+const BOUNCE_STATUSES = ['bounced'];
+const COMPLAINT_STATUSES = ['complained'];
+
+
+/**
+ * default inbound keywords used to opt out and opt in receiver(s)
+ */
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+
+
+/**
+ * allowed message state transitions i.e from state: [to states]
+ */
+const RETRY_TRANSITIONS = [
+  STATE_UNKNOWN, STATE_SENT, STATE_QUEUED, STATE_DELIVERED,
+  STATE_CANCELLED, STATE_SKIPPED, STATE_FAILED, STATE_REJECTED,
+  STATE_UNDELIVERED, STATE_EXPIRED
+];
+const TRANSITIONS = {};
+TRANSITIONS[STATE_RECEIVED] = [];
+TRANSITIONS[STATE_UNKNOWN] = [
+  STATE_SENT, STATE_QUEUED, STATE_DELIVERED, STATE_CANCELLED, STATE_SKIPPED,
+  STATE_FAILED, STATE_REJECTED, STATE_UNDELIVERED, STATE_EXPIRED
+];
+TRANSITIONS[STATE_SENT] = [
+  STATE_UNKNOWN, STATE_QUEUED, STATE_DELIVERED,
+  STATE_FAILED, STATE_REJECTED, STATE_UNDELIVERED, STATE_EXPIRED
+];
+TRANSITIONS[STATE_QUEUED] = [
+  STATE_DELIVERED, STATE_FAILED, STATE_REJECTED,
+  STATE_UNDELIVERED, STATE_EXPIRED
+];
+TRANSITIONS[STATE_DELIVERED] = [];
+TRANSITIONS[STATE_CANCELLED] = [];
+TRANSITIONS[STATE_SKIPPED] = RETRY_TRANSITIONS;
+TRANSITIONS[STATE_FAILED] = [].concat(RETRY_TRANSITIONS, STATE_DEAD_LETTER);
+TRANSITIONS[STATE_DEAD_LETTER] = [STATE_UNKNOWN];
+TRANSITIONS[STATE_REJECTED] = RETRY_TRANSITIONS;
+TRANSITIONS[STATE_UNDELIVERED] = RETRY_TRANSITIONS;
+TRANSITIONS[STATE_EXPIRED] = RETRY_TRANSITIONS;
+
+
+/**
+ * @name canTransit
+ * @description check if message can transit between given states
+ * @param {String} from current message state
+ * @param {String} to next message state
+ * @return {Boolean} whether transition is allowed
+ * @since 0.7.0
+ * @private
+ */
+function canTransit(from, to) {
+  return (!from || from === to || _.includes(TRANSITIONS[from], to));
+}
+
+
+/**
+ * @name promised
+ * @description invoke callback style method and obtain its result as a
+ *              promise. Used when a public method is called without callback.
+ *
+ *              Rejection is also emitted as `error` event on the model if it
+ *              has error listener(s), so that failure of fire and forget
+ *              call i.e `message.queue()` can be observed. Otherwise an
+ *              unhandled rejection is left to the process.
+ *
+ * @param {Object} context method invocation context
+ * @param {Function} method callback style method
+ * @param {Array} args method arguments without callback
+ * @param {String[]} [names] names used to resolve multiple results as object
+ * @return {Promise} promise of the method result
+ * @since 0.7.0
+ * @private
+ * @example
+ *
+ * promised(message, message.queue, [options], ['message', 'jobId']);
+ * //=> Promise { { message: ..., jobId: ... } }
+ *
+ */
+function promised(context, method, args, names) {
+
+  const promise = new Promise(function (resolve, reject) {
+    method.apply(context, [].concat(args, function (error) {
+
+      //reject on failure
+      if (error) {
+        return reject(error);
+      }
+
+      //resolve single or named results
+      const results = _.tail(arguments);
+      resolve(names ? _.zipObject(names, results) : _.first(results));
+
+    }));
+  });
+
+  //notify rejection to model error listener(s)
+  //NOTE! returned promise still reject to its handlers
+  const Model = (_.isFunction(context) ? context : context.constructor);
+  if (Model.listenerCount('error') > 0) {
+    promise.catch(function (error) {
+      Model.emit('error', error);
+    });
+  }
+
+  return promise;
+
+}
+
+
+/**
+ * @name TransitionSchema
+ * @description message state transition schema
+ * @type {Schema}
+ * @since 0.7.0
+ * @private
+ */
+const TransitionSchema = new Schema({
+  from: { type: String },
+  to: { type: String },
+  at: { type: Date, default: Date.now },
+  reason: { type: String },
+  result: { type: Mixed }
+}, { _id: false });
+
+
+/**
+ * @name FailureSchema
+ * @description message send attempt failure schema
+ * @type {Schema}
+ * @since 0.7.0
+ * @private
+ */
+const FailureSchema = new Schema({
+  attempt: { type: Number },
+  at: { type: Date, default: Date.now },
+  failure: { type: String },
+  error: { type: Mixed }
+}, { _id: false });
+
+
+/**
+ * @name JobSchema
+ * @description mongo queue job schema of a queued message
+ * @see {@link module:mongo}
+ * @type {Schema}
+ * @since 0.7.0
+ * @private
+ */
+const JobSchema = new Schema({
+  id: { type: ObjectId },
+  queue: { type: String },
+  state: { type: String },
+  priority: { type: Number },
+  runAt: { type: Date },
+  lockedUntil: { type: Date },
+  claims: { type: Number },
+  enqueuedAt: { type: Date },
+  completedAt: { type: Date }
+}, { _id: false });
+
+
+/**
+ * @name AttachmentSchema
+ * @description message attachment schema
+ * @type {Schema}
+ * @since 0.7.0
+ * @private
+ */
+const AttachmentSchema = new Schema({
+  /**
+   * @name filename
+   * @description attachment file name i.e receipt.pdf
+   * @since 0.7.0
+   * @type {Object}
+   */
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+
+  /**
+   * @name contentType
+   * @description attachment mime type i.e application/pdf
+   * @since 0.7.0
+   * @type {Object}
+   */
+  contentType: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name content
+   * @description attachment content
+   * @since 0.7.0
+   * @type {Object}
+   */
+  content: {
+    type: Buffer
+  },
+
+
+  /**
+   * @name path
+   * @description attachment file path or url used instead of content
+   * @since 0.7.0
+   * @type {Object}
+   */
+  path: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name file
+   * @description id of GridFS file used instead of content
+   * @since 0.7.0
+   * @type {Object}
+   */
+  file: {
+    type: ObjectId
+  },
+
+
+  /**
+   * @name cid
+   * @description content id of inline attachment referenced on html body
+   * i.e <img src="cid:logo"/>
+   * @since 0.7.0
+   * @type {Object}
+   */
+  cid: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name size
+   * @description attachment size in bytes
+   * @since 0.7.0
+   * @type {Object}
+   */
+  size: {
+    type: Number
+  }
+
+}, { _id: false });
+
+
+/**
+ * @name FallbackSchema
+ * @description message fallback channel schema
+ * @type {Schema}
+ * @since 0.7.0
+ * @private
+ */
+const FallbackSchema = new Schema({
+  /**
+   * @name type
+   * @description type of fallback message i.e SMS, EMAIL
+   * @since 0.7.0
+   * @type {Object}
+   */
+  type: {
+    type: String,
+    required: true,
+    enum: [TYPE_EMAIL, TYPE_SMS, TYPE_PUSH]
+  },
+
+
+  /**
+   * @name timeout
+   * @description time in milliseconds to wait for delivery of message on
+   * previous channel before fallback
+   * @since 0.7.0
+   * @type {Object}
+   */
+  timeout: {
+    type: Number
+  },
+
+
+  /**
+   * @name to
+   * @description fallback message receiver(s). If not set they are
+   * resolved using `fallback.resolve` hook
+   * @since 0.7.0
+   * @type {Object}
+   */
+  to: {
+    type: [String]
+  },
+
+
+  /**
+   * @name from
+   * @description fallback message sender
+   * @since 0.7.0
+   * @type {Object}
+   */
+  from: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name subject
+   * @description fallback message subject i.e email title
+   * @since 0.7.0
+   * @type {Object}
+   */
+  subject: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name transport
+   * @description fallback message transport name
+   * @since 0.7.0
+   * @type {Object}
+   */
+  transport: {
+    type: String,
+    trim: true
+  }
+
+}, { _id: false });
+
+
 /**
  * @name MessageSchema
  * @description message schema
@@ -129,6 +583,31 @@ let MessageSchema = new Schema({
   },
 
 
+  /**
+   * @name encoding
+   * @description sms body encoding i.e GSM-7 or UCS-2
+   * @see {@link module:sms}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  encoding: {
+    type: String,
+    enum: sms.ENCODINGS
+  },
+
+
+  /**
+   * @name segments
+   * @description number of sms parts(segments) required to send the body
+   * @see {@link module:sms}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  segments: {
+    type: Number
+  },
+
+
   /**
    * @name direction
    * @description message direction i.e received or sending
@@ -154,12 +633,27 @@ let MessageSchema = new Schema({
     enum: [
       STATE_RECEIVED, STATE_UNKNOWN,
       STATE_SENT, STATE_QUEUED,
-      STATE_DELIVERED
+      STATE_DELIVERED, STATE_CANCELLED,
+      STATE_SKIPPED, STATE_FAILED,
+      STATE_DEAD_LETTER, STATE_REJECTED,
+      STATE_UNDELIVERED, STATE_EXPIRED
     ],
     index: true
   },
 
 
+  /**
+   * @name history
+   * @description message state transitions history used for
+   * troubleshooting i.e [{from, to, at, reason, result}]
+   * @since 0.7.0
+   * @type {Object}
+   */
+  history: {
+    type: [TransitionSchema]
+  },
+
+
   /**
    * @name mode
    * @description message transport send mode i.e Pull or Push etc
@@ -233,6 +727,18 @@ let MessageSchema = new Schema({
   },
 
 
+  /**
+   * @name suppressed
+   * @description receiver(s) removed from the message because they are
+   * suppressed i.e opted out or hard bounced
+   * @since 0.7.0
+   * @type {Object}
+   */
+  suppressed: {
+    type: [String]
+  },
+
+
   /**
    * @name subject
    * @description subject of the message
@@ -261,6 +767,19 @@ let MessageSchema = new Schema({
   },
 
 
+  /**
+   * @name sendAt
+   * @description time when message is scheduled to be sent.
+   * If not set, message is sent immediately once queued
+   * @since 0.7.0
+   * @type {Object}
+   */
+  sendAt: {
+    type: Date,
+    index: true
+  },
+
+
   /**
    * @name sentAt
    * @description time when message was send successfully to a receiver
@@ -275,9 +794,22 @@ let MessageSchema = new Schema({
 
 
   /**
-   * @name failedAt
-   * @description last time when message to a receiver failed
-   * if message send failed just set the result and set failed time
+   * @name deliveredAt
+   * @description time when message was delivered to a receiver(s)
+   * as reported by a transport or provider delivery report
+   * @since 0.7.0
+   * @type {Object}
+   */
+  deliveredAt: {
+    type: Date,
+    index: true
+  },
+
+
+  /**
+   * @name failedAt
+   * @description last time when message to a receiver failed
+   * if message send failed just set the result and set failed time
    * @since 0.1.0
    * @type {Object}
    */
@@ -287,6 +819,143 @@ let MessageSchema = new Schema({
   },
 
 
+  /**
+   * @name failure
+   * @description class of last send failure i.e Transient or Permanent.
+   * Permanent failure is never retried
+   * @since 0.7.0
+   * @type {Object}
+   */
+  failure: {
+    type: String,
+    enum: retry.FAILURES,
+    index: true
+  },
+
+
+  /**
+   * @name attempts
+   * @description number of send attempts made
+   * @since 0.7.0
+   * @type {Object}
+   */
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+
+  /**
+   * @name maxAttempts
+   * @description maximum number of send attempts. Default to
+   * `retry.maxAttempts` option
+   * @since 0.7.0
+   * @type {Object}
+   */
+  maxAttempts: {
+    type: Number
+  },
+
+
+  /**
+   * @name backoff
+   * @description backoff strategy used to delay retries i.e exponential or
+   * { type: 'linear', delay: 60000 }. Default to `retry.backoff` option
+   * @since 0.7.0
+   * @type {Object}
+   */
+  backoff: {
+    type: Mixed
+  },
+
+
+  /**
+   * @name nextAttemptAt
+   * @description time of next retry of a transient send failure. Not set
+   * once message is sent or no more retry is allowed
+   * @since 0.7.0
+   * @type {Object}
+   */
+  nextAttemptAt: {
+    type: Date,
+    index: true
+  },
+
+
+  /**
+   * @name failures
+   * @description error of each failed send attempt
+   * @since 0.7.0
+   * @type {Object}
+   */
+  failures: {
+    type: [FailureSchema]
+  },
+
+
+  /**
+   * @name deadAt
+   * @description time when message became a dead letter i.e failed
+   * without further retry
+   * @since 0.7.0
+   * @type {Object}
+   */
+  deadAt: {
+    type: Date,
+    index: true
+  },
+
+
+  /**
+   * @name cancelledAt
+   * @description time when scheduled message was cancelled
+   * @since 0.7.0
+   * @type {Object}
+   */
+  cancelledAt: {
+    type: Date,
+    index: true
+  },
+
+
+  /**
+   * @name leasedAt
+   * @description time when pull message was leased by a poll transport
+   * @see {@link Message.lease}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  leasedAt: {
+    type: Date
+  },
+
+
+  /**
+   * @name leasedBy
+   * @description identifier of the poll transport instance i.e gateway
+   * device which leased the message
+   * @since 0.7.0
+   * @type {Object}
+   */
+  leasedBy: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name leaseExpiresAt
+   * @description time when lease of the pull message expire and it will be
+   * released for other poll transport to lease it
+   * @since 0.7.0
+   * @type {Object}
+   */
+  leaseExpiresAt: {
+    type: Date,
+    index: true
+  },
+
+
   /**
    * @name result
    * @description message send result i.e success or failure response
@@ -301,8 +970,9 @@ let MessageSchema = new Schema({
 
   /**
    * @name transport
-   * @description node module name or path used to actual send the message
-   * it set-ed by a transport when used to send message
+   * @description name of the registered transport used to actual send the
+   * message. If not set, default transport of the message type will be used
+   * @see {@link Message.registerTransport}
    * @since 0.1.0
    * @type {Object}
    * @private
@@ -363,6 +1033,158 @@ let MessageSchema = new Schema({
   },
 
 
+  /**
+   * @name job
+   * @description mongo queue job used by push transport worker(s) when
+   * message is queued using mongo queue adapter
+   * @since 0.7.0
+   * @type {Object}
+   * @private
+   */
+  job: {
+    type: JobSchema
+  },
+
+
+  /**
+   * @name attachments
+   * @description files attached to the message i.e pdf receipt or inline
+   * image referenced on html body
+   * @since 0.7.0
+   * @type {Object}
+   */
+  attachments: {
+    type: [AttachmentSchema]
+  },
+
+
+  /**
+   * @name template
+   * @description name and version of the template used to render
+   * the message. Used for auditing
+   * @since 0.7.0
+   * @type {Object}
+   */
+  template: {
+    name: {
+      type: String,
+      trim: true,
+      index: true
+    },
+    version: {
+      type: Number
+    }
+  },
+
+
+  /**
+   * @name locale
+   * @description locale of the message content i.e en, sw etc.
+   * It set-ed from the template variant used to render the message
+   * @since 0.7.0
+   * @type {Object}
+   */
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+
+
+  /**
+   * @name timezone
+   * @description receiver IANA time zone i.e Africa/Dar_es_Salaam.
+   * Used to apply quiet hours in receiver local time
+   * @since 0.7.0
+   * @type {Object}
+   */
+  timezone: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name campaign
+   * @description campaign the message was fanned out from
+   * @see {@link Message.broadcast}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  campaign: {
+    type: ObjectId,
+    ref: 'Campaign',
+    index: true
+  },
+
+
+  /**
+   * @name fallbacks
+   * @description remaining channel(s) to try in order if the message is
+   * not delivered i.e PUSH -> SMS -> EMAIL
+   * @since 0.7.0
+   * @type {Object}
+   */
+  fallbacks: {
+    type: [FallbackSchema]
+  },
+
+
+  /**
+   * @name fallbackAt
+   * @description time after which undelivered message fall back to next
+   * channel
+   * @since 0.7.0
+   * @type {Object}
+   */
+  fallbackAt: {
+    type: Date,
+    index: true
+  },
+
+
+  /**
+   * @name fallbackTo
+   * @description message created on next channel when this message was
+   * not delivered
+   * @since 0.7.0
+   * @type {Object}
+   */
+  fallbackTo: {
+    type: ObjectId,
+    ref: modelName,
+    index: true
+  },
+
+
+  /**
+   * @name parent
+   * @description message on previous channel this message fall back from
+   * @since 0.7.0
+   * @type {Object}
+   */
+  parent: {
+    type: ObjectId,
+    ref: modelName,
+    index: true
+  },
+
+
+  /**
+   * @name chain
+   * @description first message of a fallback chain. Shared by all
+   * messages of the chain
+   * @since 0.7.0
+   * @type {Object}
+   */
+  chain: {
+    type: ObjectId,
+    ref: modelName,
+    index: true
+  },
+
+
   /**
    * @name hash
    * @description unique message hash that is set by a transport
@@ -375,6 +1197,7 @@ let MessageSchema = new Schema({
    *              You can use transport hash to check for sms existance or 
    *              upserting a message.
    *              
+   * @see {@link Message.receive}
    * @since 0.3.0
    * @type {Object}
    */
@@ -390,7 +1213,17 @@ let MessageSchema = new Schema({
 });
 
 
-//TODO add delivery date
+//ensure pull message(s) are leased by their priority and creation time
+MessageSchema.index({ mode: 1, state: 1, priority: 1, createdAt: 1 });
+
+
+//ensure mongo queue job(s) are claimed by their priority and due time
+MessageSchema.index({
+  'job.queue': 1,
+  'job.state': 1,
+  'job.priority': 1,
+  'job.runAt': 1
+});
 
 
 //-----------------------------------------------------------------------------
@@ -398,44 +1231,79 @@ let MessageSchema = new Schema({
 //-----------------------------------------------------------------------------
 
 /**
- * @name preValidate
- * @description message schema pre validate hook
+ * @name normalizeAddresses
+ * @description normalize, validate and deduplicate sender and receivers
+ *              address(es) of outbound message per message type
+ * @see {@link module:address}
  * @private
  */
-MessageSchema.pre('validate', function preValidate(next) {
+MessageSchema.pre('validate', function normalizeAddresses(next) {
 
-  //ensure `to` field is in array format
-  if (this.to && _.isString(this.to)) {
-    this.to = [].concat(this.to);
-  }
+  //obtain address options
+  const options = _.merge({}, { validate: true },
+    _.get(this.constructor, 'options.address'));
 
-  //ensure `cc` field is in array format
-  if (this.cc && _.isString(this.cc)) {
-    this.cc = [].concat(this.cc);
+  //ignore received message or disabled validation
+  if (this.direction === DIRECTION_INBOUND || !options.validate) {
+    return next();
   }
 
-  //ensure `bcc` field is in array format
-  if (this.bcc && _.isString(this.bcc)) {
-    this.bcc = [].concat(this.bcc);
-  }
+  //reference
+  const message = this;
+  const type = this.type;
+  const changed = function (field) {
+    return (message.isNew || message.isModified(field) ||
+      message.isModified('type'));
+  };
+
+  //normalize and validate receivers of a given field
+  const normalize = function (field, excludes) {
+
+    const values = _.compact([].concat(_.toArray(message[field])));
+    let invalids = [];
+
+    //normalize receivers
+    let normalized = _.map(values, function (value) {
+      const _address = address.normalize(type, value, options);
+      if (!_address) {
+        invalids.push(value);
+      }
+      return _address;
+    });
 
-  //ensure message `queue` name
-  if (!this.queueName) {
-    this.queueName = this.type.toLowerCase();
-  }
+    //notify all invalid receivers
+    if (!_.isEmpty(invalids)) {
+      message.invalidate(field,
+        'Invalid ' + type + ' Address(es): ' + invalids.join(', '), invalids);
+      return values;
+    }
 
-  //ensure message hash if not set by a transport
-  if (!this.hash || _.isEmpty(this.hash)) {
-    this.createdAt = this.creaatedAt || new Date();
-    const _hash = _.pick(this, HASH_FIELDS);
-    this.hash = hash(_hash);
+    //remove duplicate receivers
+    normalized = _.difference(_.uniq(normalized), excludes);
+    if (!_.isEqual(values, normalized)) {
+      message[field] = normalized;
+    }
+
+    return normalized;
+
+  };
+
+  //normalize and deduplicate receivers across to, cc and bcc
+  if (changed('to') || changed('cc') || changed('bcc')) {
+    const to = normalize('to', []);
+    const cc = normalize('cc', to);
+    normalize('bcc', [].concat(to, cc));
   }
 
-  //set mime type
-  if (isHtml(this.body)) {
-    this.mime = MIME_HTML;
-  } else {
-    this.mime = MIME_TEXT;
+  //normalize and validate sender
+  if (changed('from') && this.from) {
+    const from = address.sender(type, this.from, options);
+    if (!from) {
+      this.invalidate('from',
+        'Invalid ' + type + ' Sender Address: ' + this.from, this.from);
+    } else if (from !== this.from) {
+      this.from = from;
+    }
   }
 
   next();
@@ -443,110 +1311,664 @@ MessageSchema.pre('validate', function preValidate(next) {
 });
 
 
-//-----------------------------------------------------------------------------
-// instance properties & methods
-//-----------------------------------------------------------------------------
-
 /**
- * @name _send
- * @description send this message using actual transport
- * @param  {Function} done a callback to invoke on success or failure
- * @return {Message|Error} an instance of message or error
- * @type {Function}
- * @since 0.1.0
+ * @name analyzeSms
+ * @description detect sms body encoding and segments and apply configured
+ *              transliteration and maximum segments policy on outbound sms
+ * @see {@link module:sms}
  * @private
  */
-MessageSchema.methods._send = function (done) {
+MessageSchema.pre('validate', function analyzeSms(next) {
 
-  //this refer to Message instance context
+  //ignore non sms or unchanged body
+  const changed = (this.isNew || this.isModified('body') ||
+    this.isModified('type'));
+  if (this.type !== TYPE_SMS || !changed) {
+    return next();
+  }
 
-  try {
-    //obtain message transport
-    const transport = require(this.transport);
+  //obtain sms options
+  const options = _.merge({}, {
+    transliterate: false,
+    maxSegments: undefined,
+    overflow: 'fail' //or truncate
+  }, _.get(this.constructor, 'options.sms'), _.get(this, 'options.sms'));
 
-    //obtain transport queue
-    //to be used to notify on success sent or failure
-    const queue = transport._queue;
+  //apply policy on outbound sms only
+  if (this.direction !== DIRECTION_INBOUND && this.body) {
 
-    //TODO notify message queue for success send
+    //replace non GSM characters
+    if (options.transliterate) {
+      this.body = sms.transliterate(this.body);
+    }
 
-    //NOTE! poll transport should return state on the result
-    //cause they will later pick messages for sending
+    //ensure maximum segments
+    const segments = sms.analyze(this.body).segments;
+    if (options.maxSegments && segments > options.maxSegments) {
+      if (options.overflow === 'truncate') {
+        this.body = sms.truncate(this.body, options.maxSegments);
+      } else {
+        this.invalidate('body', 'SMS Body Exceeds Maximum Segments: ' +
+          segments + ' Of ' + options.maxSegments, segments);
+      }
+    }
 
-    async.waterfall([
+  }
 
-      function send(next) {
+  //set sms encoding and segments
+  const analysis = sms.analyze(this.body);
+  this.encoding = analysis.encoding;
+  this.segments = analysis.segments;
 
-        //this refer to Message instance context
+  next();
 
-        transport.send(this, function (error, result) {
+});
 
-          //this refer to Message instance context
 
-          //update last send fail details
-          if (error) {
-            this.failedAt = new Date();
-
-            //obtain error details
-            if (error instanceof Error) {
-              error = {
-                code: error.code,
-                message: error.message,
-                status: error.status
-              };
-            }
+/**
+ * @name ensureAttachments
+ * @description ensure attachments have content source and are within
+ *              configured size limits
+ * @private
+ */
+MessageSchema.pre('validate', function ensureAttachments(next) {
 
-            //notify send error
-            //TODO make use of redis message bus
-            if (queue) {
-              queue.emit('message:sent:error', error);
-            }
+  //ignore message without attachments
+  if (_.isEmpty(this.attachments) || !this.isModified('attachments')) {
+    return next();
+  }
 
-            this.result = error;
-          }
+  //obtain attachments options
+  const options = _.merge({}, {
+    maxSize: 10 * 1024 * 1024, //10MB per attachment
+    maxTotalSize: 15 * 1024 * 1024 //15MB per message
+  }, _.get(this.constructor, 'options.attachments'));
 
-          //update success details
-          else {
-            this.sentAt = new Date();
-            this.state = _.get(result, 'state', STATE_DELIVERED);
-            this.result = result;
+  let invalids = [];
+  let oversized = [];
 
-          }
+  _.forEach(this.attachments, function (attachment) {
 
-          next(null, this);
+    //ensure content source
+    if (!attachment.content && !attachment.path && !attachment.file) {
+      invalids.push(attachment.filename);
+    }
 
-        }.bind(this));
+    //ensure attachment size
+    if (attachment.content) {
+      attachment.size = attachment.content.length;
+    }
+    if (attachment.size > options.maxSize) {
+      oversized.push(attachment.filename);
+    }
 
-      }.bind(this),
+  });
 
-      function update(message, next) {
-        message.save(function (error, _message) {
-          if (!error && queue) {
-            //notify send success
-            //TODO make use of redis message bus
-            queue.emit('message:sent:success', _message);
-          }
-          next(error, _message);
-        });
-      }
+  //notify attachments without content
+  if (!_.isEmpty(invalids)) {
+    this.invalidate('attachments',
+      'Missing Attachment Content: ' + invalids.join(', '), invalids);
+  }
 
-    ], done);
+  //notify oversized attachments
+  else if (!_.isEmpty(oversized)) {
+    this.invalidate('attachments',
+      'Attachment Exceeds Maximum Size: ' + oversized.join(', '), oversized);
+  }
 
-  } catch (error) {
-    done(error);
+  //notify oversized message
+  else if (_.sumBy(this.attachments, 'size') > options.maxTotalSize) {
+    this.invalidate('attachments', 'Attachments Exceed Maximum Total Size',
+      _.sumBy(this.attachments, 'size'));
   }
 
-};
+  next();
+
+});
 
 
 /**
- * @name send
- * @description send this message using actual transport or 
+ * @name ensureFallback
+ * @description ensure fallback chain and time to fall back to next channel
+ * @private
+ */
+MessageSchema.pre('validate', function ensureFallback(next) {
+
+  //ignore message without fallback
+  if (_.isEmpty(this.fallbacks)) {
+    return next();
+  }
+
+  //mark first message of the chain
+  this.chain = (this.chain || this._id);
+
+  //update fallback time from latest send time
+  const changed = (
+    this.isNew || this.isModified('fallbacks') ||
+    this.isModified('sendAt') || this.isModified('sentAt')
+  );
+  if (changed) {
+    const timeout = (
+      _.first(this.fallbacks).timeout ||
+      _.get(this.constructor, 'options.fallback.timeout', FALLBACK_TIMEOUT)
+    );
+    const at = (this.sentAt || this.sendAt || new Date());
+    this.fallbackAt = new Date(at.getTime() + timeout);
+  }
+
+  next();
+
+});
+
+
+/**
+ * @name preValidate
+ * @description message schema pre validate hook
+ * @private
+ */
+MessageSchema.pre('validate', function preValidate(next) {
+
+  //ensure `to` field is in array format
+  if (this.to && _.isString(this.to)) {
+    this.to = [].concat(this.to);
+  }
+
+  //ensure `cc` field is in array format
+  if (this.cc && _.isString(this.cc)) {
+    this.cc = [].concat(this.cc);
+  }
+
+  //ensure `bcc` field is in array format
+  if (this.bcc && _.isString(this.bcc)) {
+    this.bcc = [].concat(this.bcc);
+  }
+
+  //ensure message `queue` name
+  if (!this.queueName) {
+    this.queueName = this.type.toLowerCase();
+  }
+
+  //ensure message hash if not set by a transport
+  if (!this.hash || _.isEmpty(this.hash)) {
+    this.createdAt = this.creaatedAt || new Date();
+    const _hash = _.pick(this, HASH_FIELDS);
+    this.hash = hash(_hash);
+  }
+
+  //set mime type
+  if (isHtml(this.body)) {
+    this.mime = MIME_HTML;
+  } else {
+    this.mime = MIME_TEXT;
+  }
+
+  next();
+
+});
+
+
+/**
+ * @name guardState
+ * @description ensure state changed by assignment follow allowed state
+ *              transitions and record it on history
+ * @private
+ */
+MessageSchema.pre('validate', function guardState(next) {
+
+  //ignore new or unchanged state
+  if (this.isNew || !this.isModified('state')) {
+    return next();
+  }
+
+  //ignore state changed using transition
+  const last = _.last(this.history);
+  if (this.isModified('history') && last && last.to === this.state) {
+    return next();
+  }
+
+  //ensure valid transition
+  const from = this._state;
+  if (!canTransit(from, this.state)) {
+    return next(this._invalidTransition(from, this.state));
+  }
+
+  //record assigned state transition
+  if (from !== this.state) {
+    this.history.push({ from: from, to: this.state, at: new Date() });
+  }
+
+  next();
+
+});
+
+
+/**
+ * @name postInit
+ * @description keep track of persisted message state
+ * @private
+ */
+MessageSchema.post('init', function postInit() {
+  this._state = this.state;
+});
+
+
+/**
+ * @name postSave
+ * @description keep track of persisted message state
+ * @private
+ */
+MessageSchema.post('save', function postSave() {
+  this._state = this.state;
+});
+
+
+//-----------------------------------------------------------------------------
+// instance properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * @name canTransition
+ * @description check if this message can transit to a given state
+ * @param {String} state valid message state
+ * @return {Boolean} whether transition is allowed
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.methods.canTransition = function canTransition(state) {
+
+  //this refer to Message instance context
+
+  return (this.isNew || canTransit(this.state, state));
+
+};
+
+
+/**
+ * @name transition
+ * @description guarded change of this message state. It record the
+ *              transition on message history
+ * @param {String} state valid message state
+ * @param {String} [reason] reason of the transition
+ * @param {Object} [result] transport or provider result of the transition
+ * @return {Message} this message
+ * @throws {Error} invalid state transition
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * message.transition(Message.STATE_DELIVERED, 'delivery report', report);
+ *
+ */
+MessageSchema.methods.transition = function (state, reason, result) {
+
+  //this refer to Message instance context
+
+  //ignore same state
+  const from = this.state;
+  if (from === state) {
+    return this;
+  }
+
+  //ensure valid transition
+  if (!this.canTransition(state)) {
+    throw this._invalidTransition(from, state);
+  }
+
+  //change state and record transition
+  this.state = state;
+  this.history.push(_.omitBy({
+    from: from,
+    to: state,
+    at: new Date(),
+    reason: reason,
+    result: result
+  }, _.isUndefined));
+
+  return this;
+
+};
+
+
+/**
+ * @name _invalidTransition
+ * @description build invalid state transition error
+ * @param {String} from current message state
+ * @param {String} to next message state
+ * @return {Error} invalid state transition error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._invalidTransition = function (from, to) {
+  let error =
+    new Error('Invalid Message State Transition From ' + from + ' To ' + to);
+  error.code = 'EINVALIDSTATE';
+  error.status = 400;
+  error.from = from;
+  error.to = to;
+  return error;
+};
+
+
+/**
+ * @name _send
+ * @description send this message using actual transport
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Message|Error} an instance of message or error
+ * @type {Function}
+ * @since 0.1.0
+ * @private
+ */
+MessageSchema.methods._send = function (done) {
+
+  //this refer to Message instance context
+
+  //reference
+  const Message = mongoose.model(modelName);
+
+  //obtain message transport
+  //NOTE! transport must support message type
+  let transport;
+  try {
+    transport = this._transport();
+  } catch (error) {
+    return done(error);
+  }
+
+  //notify unknown transport
+  if (!transport) {
+    let error = new Error('No Transport Found For Message');
+    error.status = 400;
+    return done(error);
+  }
+
+  //ensure message can be sent before using transport
+  //i.e delivered, queued or cancelled message is never sent again
+  if (!this.canTransition(STATE_SENT)) {
+    return done(this._invalidTransition(this.state, STATE_SENT));
+  }
+
+  //ensure transport name
+  this.transport = transport.name;
+
+  //obtain transport queue
+  //to be used to notify on success sent or failure
+  const queue = (transport._queue || Message._queue);
+
+  //TODO notify message queue for success send
+
+  //NOTE! poll transport should return state on the result
+  //cause they will later pick messages for sending
+
+  async.waterfall([
+
+    function validate(next) {
+
+      //this refer to Message instance context
+
+      //ensure valid message before send i.e normalized addresses
+      this.validate(function (error) {
+        if (error) {
+          error.status = 400;
+        }
+        next(error);
+      });
+
+    }.bind(this),
+
+    function suppress(next) {
+
+      //this refer to Message instance context
+
+      //drop suppressed receivers or skip fully suppressed message
+      this._suppress(next);
+
+    }.bind(this),
+
+    function throttle(skipped, next) {
+
+      //this refer to Message instance context
+
+      //skipped message is not sent
+      if (skipped) {
+        return next(null, skipped);
+      }
+
+      //wait for transport and queue rate limits
+      //NOTE! excess message(s) are delayed instead of failed
+      limiter.acquire([
+        'transport:' + transport.name, 'queue:' + this.queueName
+      ], function (error) {
+        next(error, skipped);
+      });
+
+    }.bind(this),
+
+    function send(skipped, next) {
+
+      //this refer to Message instance context
+
+      //skipped message is not sent
+      if (skipped) {
+        return next(null, this);
+      }
+
+      //count send attempt
+      this.attempts = (this.attempts || 0) + 1;
+
+      transport.send(this, function (error, result) {
+
+        //this refer to Message instance context
+
+        //update last send fail details
+        if (error) {
+          this.failedAt = new Date();
+
+          //obtain error details
+          if (error instanceof Error) {
+            error = _.omitBy({
+              code: error.code,
+              message: error.message,
+              status: error.status,
+              transient: error.transient
+            }, _.isUndefined);
+          }
+
+          //classify failure and schedule retry
+          this.failure = retry.classify(error, transport);
+          this.nextAttemptAt = this._nextAttemptAt();
+
+          //record attempt failure
+          this.failures.push({
+            attempt: this.attempts,
+            at: this.failedAt,
+            failure: this.failure,
+            error: error
+          });
+
+          //notify send error
+          //TODO make use of redis message bus
+          if (queue) {
+            queue.emit('message:sent:error', error);
+          }
+
+          this.result = error;
+        }
+
+        //update success details
+        else {
+          this.sentAt = new Date();
+          this.result = result;
+          this.failure = undefined;
+          this.nextAttemptAt = undefined;
+        }
+
+        //transit to sent state
+        try {
+          if (error) {
+            this.transition(STATE_FAILED, 'send failed', error);
+
+            //move failed message without further retry to dead letters
+            if (!this.nextAttemptAt) {
+              const reason = (this.failure === retry.FAILURE_PERMANENT ?
+                'permanent failure' : 'attempts exhausted');
+              this.transition(STATE_DEAD_LETTER, reason, error);
+              this.deadAt = this.failedAt;
+            }
+          } else {
+            const state = _.get(result, 'state', STATE_DELIVERED);
+            this.transition(state, 'sent');
+
+            //set delivery time for already delivered message
+            if (this.state === STATE_DELIVERED) {
+              this.deliveredAt = this.sentAt;
+            }
+          }
+        } catch (error) {
+          //keep send details of invalid transition i.e unknown result state
+          //NOTE! message actually sent must not be sent again on resend
+          return this.save(function (_error) {
+            next(_error || error);
+          });
+        }
+
+        next(null, this);
+
+      }.bind(this));
+
+    }.bind(this),
+
+    function update(message, next) {
+      message.save(function (error, _message) {
+        if (!error && queue) {
+          //notify send success or skipped message
+          //TODO make use of redis message bus
+          const events = {};
+          events[STATE_SKIPPED] = 'message:skipped';
+          events[STATE_DEAD_LETTER] = 'message:deadletter';
+          queue.emit(
+            (events[_message.state] || 'message:sent:success'), _message
+          );
+        }
+        next(error, _message);
+      });
+    },
+
+    function fallback(message, next) {
+      //try next channel i.e message skipped or rejected on send
+      message._fallbackIfFailed(next);
+    }
+
+  ], done);
+
+};
+
+
+/**
+ * @name _suppress
+ * @description remove suppressed receiver(s) from this message. Message
+ *              with all of its `to` receivers suppressed is transited to
+ *              skipped state and its receivers are kept for auditing.
+ *
+ *              Suppression check is disabled using `suppression.enabled`
+ *              option i.e for one time password messages.
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Boolean|Error} whether message is skipped or error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._suppress = function (done) {
+
+  //this refer to Message instance context
+
+  //obtain suppression options
+  const options = _.merge({}, { enabled: true },
+    _.get(this.constructor, 'options.suppression'),
+    _.get(this, 'options.suppression'));
+
+  //ignore disabled suppression or received message
+  const ignore = (
+    options.enabled === false || this.direction === DIRECTION_INBOUND
+  );
+  if (ignore) {
+    return done(null, false);
+  }
+
+  //obtain message receivers
+  const receivers = _.uniq([].concat(
+    _.toArray(this.to), _.toArray(this.cc), _.toArray(this.bcc)
+  ));
+
+  //reference
+  const Suppression = mongoose.model('Suppression');
+
+  Suppression.suppressed(this.type, receivers, function (error, suppressed) {
+
+    //this refer to Message instance context
+
+    //notify error or continue with all receivers
+    if (error || _.isEmpty(suppressed)) {
+      return done(error, false);
+    }
+
+    //record suppressed receivers
+    this.suppressed = _.uniq([].concat(_.toArray(this.suppressed), suppressed));
+
+    //skip message with all main receivers suppressed
+    //NOTE! cc and bcc are copies of the message to main receivers
+    if (_.isEmpty(_.difference(_.toArray(this.to), suppressed))) {
+      try {
+        this.transition(STATE_SKIPPED, 'suppressed', {
+          suppressed: suppressed
+        });
+      } catch (error) {
+        return done(error);
+      }
+      return done(null, true);
+    }
+
+    //remove suppressed receivers
+    this.to = _.difference(_.toArray(this.to), suppressed);
+    this.cc = _.difference(_.toArray(this.cc), suppressed);
+    this.bcc = _.difference(_.toArray(this.bcc), suppressed);
+
+    done(null, false);
+
+  }.bind(this));
+
+};
+
+
+/**
+ * @name _transport
+ * @description obtain registered transport to be used to send this message
+ * @return {Object|undefined} registered transport
+ * @throws {Error} if named transport does not support message type
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._transport = function () {
+
+  //this refer to Message instance context
+
+  return transports.resolve(this);
+
+};
+
+
+/**
+ * @name send
+ * @description send this message using actual transport or 
  *              log it on console
  * @param {Object} [options] valid send options
  * @param {Boolean} [options.fake] send fake message
- * @param  {Function} done a callback to invoke on success or failure
- * @return {Message|Error} an instance of message or error
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message|Error|Promise} an instance of message or error. Promise
+ *                                 when callback is not provided
  * @type {Function}
  * @since 0.1.0
  * @private
@@ -561,6 +1983,11 @@ MessageSchema.methods._send = function (done) {
  * message.send(function(error, message){
  *  ...
  * });
+ *
+ * //or using promise
+ * message.send().then(function(message){
+ *  ...
+ * });
  */
 MessageSchema.methods.send = function send(options, done) {
 
@@ -572,222 +1999,2599 @@ MessageSchema.methods.send = function send(options, done) {
     options = {};
   }
 
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, send, [options]);
+  }
+
   //merge options
   options = _.merge({}, options);
 
   //send fake message
   if (options.fake) {
 
-    this.sentAt = new Date();
+    this.sentAt = new Date();
+
+    //fake message result
+    this.response = {
+      message: 'success'
+    };
+
+    this.save(function (error, message) {
+      done(error, message);
+    });
+
+  }
+
+  //send message using actual transport
+  else {
+    this._send(done);
+  }
+
+};
+
+
+/**
+ * @name queue
+ * @description queue message for later send. Message with `sendAt` in
+ *              future is delayed until its scheduled send time
+ * @param  {Object}  [options] valid queue options
+ * @param  {Number}  [options.attempts] maximum number of send attempts
+ * @param  {String|Object}  [options.backoff] backoff strategy i.e
+ *                                            exponential
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:queue:error, message:queue:success, message:skipped,
+ *         message:deferred
+ * @fire {Message|Error} an instance of queued message or error
+ * @return {Message|Error|Promise} persisted message and its job id or error.
+ *                                 Promise when callback is not provided
+ * @type {Function}
+ * @since 0.1.0
+ * @private
+ * @example
+ * 
+ * message.queue();
+ *
+ * or with options
+ *
+ * message.queue(options);
+ *
+ * or with callback
+ *
+ * message.queue(options, function(error, message, jobId){
+ *   ...
+ * });
+ *
+ * or using promise
+ *
+ * message.queue(options).then(function(queued){
+ *   //queued = { message: ..., jobId: ... }
+ * });
+ * 
+ */
+MessageSchema.methods.queue = function queue(options, done) {
+
+  //this refer to Message instance context
+
+  //reference
+  const Message = mongoose.model(modelName);
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, queue, [options], ['message', 'jobId']);
+  }
+
+  //merge options
+  options = _.merge({}, options);
+
+  //persist retry policy
+  //NOTE! default to `retry` option when not set
+  this._retryPolicy(options);
+
+  //ensure state to be unknown for poll transport
+  if (this.mode === SEND_MODE_PULL) {
+    try {
+      this.transition(STATE_UNKNOWN, 'queued');
+    } catch (error) {
+      if (Message._queue) {
+        Message._queue.emit('message:queue:error', error);
+      }
+      return done(error);
+    }
+  }
+
+  //allow transport to prepare message before queue
+  //NOTE! poll transport may not be registered on this process
+  let transport;
+  try {
+    transport = this._transport();
+  } catch (error) {
+    if (Message._queue) {
+      Message._queue.emit('message:queue:error', error);
+    }
+    return done(error);
+  }
+  if (transport) {
+    this.transport = transport.name;
+    this.queueName = (this.queueName || transport.queueName);
+    if (_.isFunction(transport.queue)) {
+      transport.queue(this);
+    }
+  }
+
+  async.waterfall([
+
+    function suppress(next) {
+
+      //this refer to Message instance context
+
+      //drop suppressed receivers or skip fully suppressed message
+      this._suppress(next);
+
+    }.bind(this),
+
+    function defer(skipped, next) {
+
+      //this refer to Message instance context
+
+      //delay non critical message to the end of quiet hours
+      let sendAt;
+      try {
+        sendAt = (skipped ? undefined : this._deferUntil());
+      } catch (error) {
+        return next(error);
+      }
+      if (sendAt) {
+        this.sendAt = sendAt;
+      }
+
+      next(null, skipped, !!sendAt);
+
+    }.bind(this),
+
+    function persist(skipped, deferred, next) {
+
+      //this refer to Message instance context
+
+      //persist message
+      this.save(function (error, message) {
+        next(error, message, skipped, deferred);
+      });
+
+    }.bind(this),
+
+    function enqueue(message, skipped, deferred, next) {
+
+      //notify skipped message and fall back to next channel
+      //since all of its receivers are suppressed
+      //NOTE! skipped message fall back with or without message queue
+      if (skipped) {
+        if (Message._queue) {
+          Message._queue.emit('message:skipped', message);
+        }
+        return message._fallbackIfFailed(next);
+      }
+
+      //there is no message queue
+      if (!Message._queue) {
+        return next(null, message);
+      }
+
+      //notify message deferred by quiet hours
+      if (deferred) {
+        Message._queue.emit('message:deferred', message);
+      }
+
+      //notify message queued successfully
+      //since a poll transport will later pull for the message to send
+      if (message.mode === SEND_MODE_PULL) {
+        Message._queue.emit('message:queue:success', message);
+        return next(null, message);
+      }
+
+      //queue message for later send
+      //push transport are notified in their worker to send the message
+      message._enqueue(function (error, job) {
+        if (!error) {
+          Message._queue.emit('message:queue:success', message);
+        }
+        next(error, message, _.get(job, 'id'));
+      });
+
+    }
+
+  ], function (error, message, jobId) {
+
+    //notify error
+    if (error) {
+      if (Message._queue) {
+        Message._queue.emit('message:queue:error', error);
+      }
+      return done(error);
+    }
+
+    done(null, message, jobId);
+
+  });
+
+};
+
+
+/**
+ * @name _enqueue
+ * @description create and save queue job used by push transport worker(s)
+ *              to send this message. Scheduled or retried message job is
+ *              delayed until message is due.
+ *
+ *              Job is attempted once. Retries follow message retry policy
+ *              and are queued as new job(s) by the worker.
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Job|Error} saved queue job or error
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._enqueue = function (done) {
+
+  //this refer to Message instance context
+
+  //reference
+  const Message = mongoose.model(modelName);
+
+  //prepare job details
+  const title = (this.subject || this.type);
+  const jobDetails = _.merge({}, { title: title }, this.toObject());
+
+  //keep mongo queue job out of job payload
+  delete jobDetails.job;
+
+  //keep attachments content out of job payload
+  //NOTE! worker load message with its attachments before send
+  jobDetails.attachments = _.map(jobDetails.attachments, function (file) {
+    return _.omit(file, 'content');
+  });
+
+  //delay scheduled or retried message until it is due
+  const delay = (this.isDue() ? 0 : this._dueAt().getTime() - Date.now());
+
+  //create message sent job and queue it
+  Message._queue.enqueue(this.queueName, jobDetails, {
+    priority: this.priority,
+    delay: delay
+  }, done);
+
+};
+
+
+/**
+ * @name resolveAttachments
+ * @description obtain attachments with readable content. GridFS file
+ *              attachment content is provided as a download stream
+ * @return {Object[]} attachments with content or path
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * const attachments = message.resolveAttachments();
+ * //=> [{ filename: 'receipt.pdf', content: <Buffer|Stream> }]
+ *
+ */
+MessageSchema.methods.resolveAttachments = function resolveAttachments() {
+
+  //this refer to Message instance context
+
+  //reference
+  const Message = this.constructor;
+
+  return _.map(this.attachments, function (attachment) {
+
+    let resolved = _.omitBy(_.pick(attachment, [
+      'filename', 'contentType', 'content', 'path', 'cid'
+    ]), _.isNil);
+
+    //stream GridFS file content
+    if (!resolved.content && !resolved.path && attachment.file) {
+      const bucket = new mongoose.mongo.GridFSBucket(Message.db.db, {
+        bucketName: _.get(Message, 'options.attachments.bucket', 'fs')
+      });
+      resolved.content = bucket.openDownloadStream(attachment.file);
+    }
+
+    return resolved;
+
+  });
+
+};
+
+
+/**
+ * @name _deferUntil
+ * @description obtain time this message should be deferred to if it is
+ *              due within quiet hours. Quiet hours are merged from global,
+ *              per type and per message `quietHours` options and applied in
+ *              receiver time zone. Critical message bypass quiet hours.
+ * @return {Date|undefined} end of quiet hours or undefined if not quiet
+ * @throws {Error} invalid quiet hours
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._deferUntil = function () {
+
+  //this refer to Message instance context
+
+  //critical and received message are never deferred
+  const bypass = (
+    this.priority === PRIORITY_CRITICAL || this.direction === DIRECTION_INBOUND
+  );
+  if (bypass) {
+    return undefined;
+  }
+
+  //obtain quiet hours options
+  //NOTE! message may disable quiet hours i.e quietHours: false
+  const overrides = _.get(this, 'options.quietHours');
+  const options = (overrides === false ? undefined : _.merge({},
+    _.get(this.constructor, 'options.quietHours'), overrides));
+
+  //obtain quiet window of the message type
+  const window = quiet.window(options, this.type);
+
+  //obtain next allowed send time
+  const now = new Date();
+  const at = (this.isDue() ? now : this._dueAt());
+  const next = quiet.next(at, window, this.timezone);
+
+  return (next.getTime() !== at.getTime() ? next : undefined);
+
+};
+
+
+/**
+ * @name _retryPolicy
+ * @description persist retry policy of this message from queue options
+ * @param  {Object}  options valid queue options
+ * @param  {Number}  [options.attempts] maximum number of send attempts
+ * @param  {String|Object}  [options.backoff] backoff strategy
+ * @return {Message} this message
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._retryPolicy = function (options) {
+
+  //this refer to Message instance context
+
+  if (options.attempts) {
+    this.maxAttempts = options.attempts;
+  }
+
+  if (options.backoff) {
+    this.backoff = options.backoff;
+  }
+
+  return this;
+
+};
+
+
+/**
+ * @name _nextAttemptAt
+ * @description compute time of next retry of this failed message using
+ *              message, `retry` option or default retry policy
+ * @return {Date|undefined} next retry time or undefined if permanently
+ *                          failed or no more attempt is allowed
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._nextAttemptAt = function () {
+
+  //this refer to Message instance context
+
+  //obtain retry policy
+  const options = _.get(this.constructor, 'options.retry');
+  const maxAttempts = (this.maxAttempts ||
+    _.get(options, 'maxAttempts', retry.DEFAULT_MAX_ATTEMPTS));
+  const backoff = (this.backoff || _.get(options, 'backoff'));
+
+  //never retry permanent failure or exhausted attempts
+  const exhausted = (
+    this.failure === retry.FAILURE_PERMANENT || this.attempts >= maxAttempts
+  );
+  if (exhausted) {
+    return undefined;
+  }
+
+  //compute retry delay
+  //NOTE! unknown backoff strategy is not retried
+  try {
+    return new Date(Date.now() + retry.delay(backoff, this.attempts));
+  } catch (error) {
+    return undefined;
+  }
+
+};
+
+
+/**
+ * @name _dueAt
+ * @description obtain time this message is due i.e latest of its scheduled
+ *              send time and next retry time
+ * @return {Date|undefined} due time or undefined if due immediately
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._dueAt = function () {
+
+  //this refer to Message instance context
+
+  return _.maxBy(_.compact([this.sendAt, this.nextAttemptAt]), function (at) {
+    return at.getTime();
+  });
+
+};
+
+
+/**
+ * @name isDue
+ * @description check if this message is due for sending i.e it is not
+ *              scheduled or its scheduled send time and next retry time
+ *              has reached
+ * @return {Boolean} whether message is due
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.methods.isDue = function isDue() {
+
+  //this refer to Message instance context
+
+  const dueAt = this._dueAt();
+  return (!dueAt || dueAt.getTime() <= Date.now());
+
+};
+
+
+/**
+ * @name reschedule
+ * @description change send time of a message not yet sent.
+ *
+ *              Message is queued again with the new send time the same way
+ *              as `queue` i.e deferred to the end of quiet hours, and its
+ *              previous job is skipped by the worker.
+ *
+ * @param {Date} sendAt new send time
+ * @param {Object} [options] valid queue options
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message|Error|Promise} an instance of rescheduled message or
+ *                                 error. Promise when callback is not provided
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * message.reschedule(new Date('2018-07-01T08:00:00'), function(error, msg){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.methods.reschedule = function (sendAt, options, done) {
+
+  //this refer to Message instance context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, this.reschedule, [sendAt, options]);
+  }
+
+  //ensure message is not sent, cancelled or in final state
+  //i.e delivered, queued on provider or dead letter
+  const sent = (
+    this.sentAt || this.state === STATE_SENT ||
+    !this.canTransition(STATE_SENT)
+  );
+  if (sent) {
+    let error = new Error('Message Already Sent Or Cancelled');
+    error.status = 400;
+    return done(error);
+  }
+
+  //update send time
+  this.sendAt = sendAt;
+
+  //queue message with new send time
+  //NOTE! apply same scheduling as queue i.e quiet hours
+  this.queue(options, function (error, message) {
+    done(error, message);
+  });
+
+};
+
+
+/**
+ * @name cancel
+ * @description cancel a message not yet sent
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message|Error|Promise} an instance of cancelled message or error.
+ *                                 Promise when callback is not provided
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * message.cancel(function(error, cancelled){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.methods.cancel = function cancel(done) {
+
+  //this refer to Message instance context
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, cancel, []);
+  }
+
+  //ensure message is not sent
+  if (this.sentAt) {
+    let error = new Error('Message Already Sent');
+    error.status = 400;
+    return done(error);
+  }
+
+  //cancel message
+  try {
+    this.transition(STATE_CANCELLED, 'cancelled');
+  } catch (error) {
+    return done(error);
+  }
+  this.cancelledAt = new Date();
+
+  this.save(done);
+
+};
+
+
+/**
+ * @name replay
+ * @description reset and queue again a dead letter message. Its failures
+ *              history is kept
+ * @param {Object} [options] valid queue options
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:replay:success, message:replay:error
+ * @return {Message|Error|Promise} an instance of replayed message or error.
+ *                                 Promise when callback is not provided
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * message.replay(function(error, replayed){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.methods.replay = function replay(options, done) {
+
+  //this refer to Message instance context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, replay, [options]);
+  }
+
+  //reference
+  const queue = mongoose.model(modelName)._queue;
+
+  //ensure dead letter message
+  if (this.state !== STATE_DEAD_LETTER) {
+    let error = new Error('Message Is Not A Dead Letter');
+    error.status = 400;
+    return done(error);
+  }
+
+  //reset retry details
+  try {
+    this.transition(STATE_UNKNOWN, 'replayed');
+  } catch (error) {
+    return done(error);
+  }
+  this.attempts = 0;
+  this.failure = undefined;
+  this.nextAttemptAt = undefined;
+  this.failedAt = undefined;
+  this.deadAt = undefined;
+
+  //queue again
+  this.queue(options, function (error, message) {
+
+    //notify replay result
+    //TODO make use of redis message bus
+    if (queue) {
+      if (error) {
+        queue.emit('message:replay:error', error);
+      } else {
+        queue.emit('message:replay:success', message);
+      }
+    }
+
+    done(error, message);
+
+  });
+
+};
+
+
+/**
+ * @name canFallback
+ * @description check if this message should fall back to next channel
+ *              i.e it was rejected, undelivered, expired, skipped or it is a
+ *              dead letter
+ * @return {Boolean} whether message should fall back
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.methods.canFallback = function canFallback() {
+
+  //this refer to Message instance context
+
+  return (
+    !_.isEmpty(this.fallbacks) && !this.fallbackTo &&
+    _.includes(FALLBACK_STATES, this.state)
+  );
+
+};
+
+
+/**
+ * @name fallback
+ * @description create and queue linked message on next fallback channel.
+ *
+ *              Fallback message receiver(s) are taken from the fallback
+ *              channel or resolved using `fallback.resolve` hook i.e to
+ *              obtain phone number of a push message receiver.
+ *
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:fallback:success, message:fallback:error
+ * @return {Message|Error|Promise} queued fallback message or error. Promise
+ *                                 when callback is not provided
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * const Message = require('open311-messages')({
+ *   fallback: {
+ *     resolve: function(message, fallback, done){
+ *       //lookup receiver phone or email of fallback.type
+ *       done(null, { to: '+255714000000', from: 'OPEN311' });
+ *     }
+ *   }
+ * });
+ *
+ * message.fallback(function(error, fallback){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.methods.fallback = function fallback(done) {
+
+  //this refer to Message instance context
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, fallback, []);
+  }
+
+  //reference
+  const Message = mongoose.model(modelName);
+  const options = _.merge({}, _.get(Message, 'options.fallback'));
+  const step = _.first(this.fallbacks);
+
+  async.waterfall([
+
+    function ensureFallback(next) {
+
+      //this refer to Message instance context
+
+      //notify message without fallback channel
+      if (!step) {
+        let error = new Error('No Fallback Channel');
+        error.status = 400;
+        return next(error);
+      }
+
+      //notify message already fallen back
+      if (this.fallbackTo) {
+        let error = new Error('Message Already Fallen Back');
+        error.status = 400;
+        return next(error);
+      }
+
+      next();
+
+    }.bind(this),
+
+    function resolve(next) {
+
+      //this refer to Message instance context
+
+      //use fallback channel receivers
+      if (!_.isEmpty(step.to) || !_.isFunction(options.resolve)) {
+        return next(null, { to: _.toArray(step.to) });
+      }
+
+      //resolve receivers of fallback channel
+      options.resolve(this, step.toObject(), function (error, receiver) {
+        const isReceiver = (_.isPlainObject(receiver) && receiver.to);
+        next(error, (isReceiver ? receiver : { to: receiver }));
+      });
+
+    }.bind(this),
+
+    function prepare(receiver, next) {
+
+      //this refer to Message instance context
+
+      //notify missing receivers
+      const to = _.compact([].concat(receiver.to));
+      if (_.isEmpty(to)) {
+        let error = new Error('Missing Fallback Receiver');
+        error.status = 400;
+        return next(error);
+      }
+
+      //prepare linked message on next channel
+      const child = new Message(_.omitBy({
+        type: step.type,
+        from: (receiver.from || step.from ||
+          _.get(options, ['from', step.type]) || this.from),
+        to: to,
+        subject: (step.subject || this.subject),
+        body: this.body,
+        priority: this.priority,
+        transport: step.transport,
+        locale: this.locale,
+        timezone: this.timezone,
+        campaign: this.campaign,
+        parent: this._id,
+        chain: (this.chain || this._id),
+        fallbacks: _.map(_.tail(this.fallbacks), function (_step) {
+          return _step.toObject();
+        })
+      }, _.isUndefined));
+
+      next(null, child);
+
+    }.bind(this),
+
+    function claim(child, next) {
+
+      //this refer to Message instance context
+
+      //link fallback message once
+      //NOTE! delivery report and timeout may fall back concurrently
+      Message.findOneAndUpdate({ _id: this._id, fallbackTo: null }, {
+        $set: { fallbackTo: child._id }
+      }, function (error, claimed) {
+        if (!error && !claimed) {
+          error = new Error('Message Already Fallen Back');
+          error.status = 400;
+        }
+        if (!error) {
+          this.fallbackTo = child._id;
+        }
+        next(error, child);
+      }.bind(this));
+
+    }.bind(this),
+
+    function queue(child, next) {
+
+      //this refer to Message instance context
+
+      //send fallback message at once if there is no message queue
+      //NOTE! queue only persist push message without message queue
+      const sync = (!Message._queue && child.mode === SEND_MODE_PUSH);
+      const dispatch = (sync ? child.send : child.queue);
+
+      dispatch.call(child, function (error, queued) {
+
+        //release fallback link on failure
+        if (error) {
+          this.fallbackTo = undefined;
+          return Message.update({ _id: this._id }, {
+            $unset: { fallbackTo: 1 }
+          }, function () {
+            next(error);
+          });
+        }
+
+        next(null, queued);
+
+      }.bind(this));
+
+    }.bind(this)
+
+  ], function (error, queued) {
+
+    //notify fallback result
+    if (Message._queue) {
+      if (error) {
+        Message._queue.emit('message:fallback:error', error);
+      } else {
+        Message._queue.emit('message:fallback:success', this, queued);
+      }
+    }
+
+    done(error, queued);
+
+  }.bind(this));
+
+};
+
+
+/**
+ * @name _fallbackIfFailed
+ * @description fall back to next channel if this message failed. Fallback
+ *              errors are notified as events and never fail the caller
+ * @param  {Function} done a callback to invoke on completion
+ * @return {Message} this message
+ * @type {Function}
+ * @since 0.7.0
+ * @private
+ */
+MessageSchema.methods._fallbackIfFailed = function (done) {
+
+  //this refer to Message instance context
+
+  //ignore delivered or pending message
+  if (!this.canFallback()) {
+    return done(null, this);
+  }
+
+  this.fallback(function () {
+    done(null, this);
+  }.bind(this));
+
+};
+
+
+//-----------------------------------------------------------------------------
+// static properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * message directions
+ */
+MessageSchema.statics.DIRECTION_INBOUND = DIRECTION_INBOUND;
+MessageSchema.statics.DIRECTION_OUTBOUND = DIRECTION_OUTBOUND;
+MessageSchema.statics.DIRECTIONS = [
+  DIRECTION_OUTBOUND,
+  DIRECTION_OUTBOUND
+];
+
+/**
+ * message types
+ */
+MessageSchema.statics.TYPE_SMS = TYPE_SMS;
+MessageSchema.statics.TYPE_EMAIL = TYPE_EMAIL;
+MessageSchema.statics.TYPE_PUSH = TYPE_PUSH;
+MessageSchema.statics.TYPES = [
+  TYPE_SMS, TYPE_EMAIL, TYPE_PUSH
+];
+
+
+/**
+ * message mime types
+ */
+MessageSchema.statics.MIME_TEXT = MIME_TEXT;
+MessageSchema.statics.MIME_HTML = MIME_HTML;
+MessageSchema.statics.MIMES = [
+  MIME_TEXT, MIME_HTML
+];
+
+
+/**
+ * sms encodings
+ */
+MessageSchema.statics.ENCODING_GSM = sms.ENCODING_GSM;
+MessageSchema.statics.ENCODING_UCS2 = sms.ENCODING_UCS2;
+MessageSchema.statics.ENCODINGS = sms.ENCODINGS;
+
+
+/**
+ * mesage priorities
+ */
+MessageSchema.statics.PRIORITY_LOW = PRIORITY_LOW;
+MessageSchema.statics.PRIORITY_NORMAL = PRIORITY_NORMAL;
+MessageSchema.statics.PRIORITY_MEDIUM = PRIORITY_MEDIUM;
+MessageSchema.statics.PRIORITY_HIGH = PRIORITY_HIGH;
+MessageSchema.statics.PRIORITY_CRITICAL = PRIORITY_CRITICAL;
+MessageSchema.statics.PRIORITIES = [
+  PRIORITY_LOW, PRIORITY_NORMAL,
+  PRIORITY_MEDIUM, PRIORITY_HIGH,
+  PRIORITY_CRITICAL
+];
+
+
+/**
+ * transaport sending mode
+ */
+MessageSchema.statics.SEND_MODE_PULL = SEND_MODE_PULL;
+MessageSchema.statics.SEND_MODE_PUSH = SEND_MODE_PUSH;
+MessageSchema.statics.SEND_MODES = [
+  SEND_MODE_PUSH,
+  SEND_MODE_PULL
+];
+
+
+/**
+ * message stateS
+ */
+MessageSchema.statics.STATE_RECEIVED = STATE_RECEIVED;
+MessageSchema.statics.STATE_UNKNOWN = STATE_UNKNOWN;
+MessageSchema.statics.STATE_SENT = STATE_SENT;
+MessageSchema.statics.STATE_QUEUED = STATE_QUEUED;
+MessageSchema.statics.STATE_DELIVERED = STATE_DELIVERED;
+MessageSchema.statics.STATE_CANCELLED = STATE_CANCELLED;
+MessageSchema.statics.STATE_SKIPPED = STATE_SKIPPED;
+MessageSchema.statics.STATE_DEAD_LETTER = STATE_DEAD_LETTER;
+MessageSchema.statics.STATE_FAILED = STATE_FAILED;
+MessageSchema.statics.STATE_REJECTED = STATE_REJECTED;
+MessageSchema.statics.STATE_UNDELIVERED = STATE_UNDELIVERED;
+MessageSchema.statics.STATE_EXPIRED = STATE_EXPIRED;
+MessageSchema.statics.STATES = [
+  STATE_RECEIVED, STATE_UNKNOWN,
+  STATE_SENT, STATE_QUEUED,
+  STATE_DELIVERED, STATE_CANCELLED,
+  STATE_SKIPPED, STATE_FAILED,
+  STATE_DEAD_LETTER, STATE_REJECTED,
+  STATE_UNDELIVERED, STATE_EXPIRED
+];
+MessageSchema.statics.FAILURE_STATES = FAILURE_STATES;
+MessageSchema.statics.FALLBACK_STATES = FALLBACK_STATES;
+
+
+/**
+ * send failure classes
+ */
+MessageSchema.statics.FAILURE_TRANSIENT = retry.FAILURE_TRANSIENT;
+MessageSchema.statics.FAILURE_PERMANENT = retry.FAILURE_PERMANENT;
+MessageSchema.statics.FAILURES = retry.FAILURES;
+
+
+/**
+ * allowed message state transitions
+ */
+MessageSchema.statics.TRANSITIONS = TRANSITIONS;
+
+
+/**
+ * default provider delivery statuses mapping
+ */
+MessageSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+
+/**
+ * @name registerTransport
+ * @description register a transport to be used to send message(s)
+ * @param {String} name unique transport name
+ * @param {Object} transport valid transport
+ * @param {String[]} transport.types message types supported by transport
+ * @param {Function} transport.send function used to actual send a message
+ * @param {Function} [transport.queue] hook to prepare a message before queue
+ * @param {Function} [transport.receive] hook to normalize received payload
+ * @param {Object} [options] valid register options
+ * @param {Boolean} [options.default] set transport as default for its types
+ * @return {Object} registered transport
+ * @see {@link module:transports}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.registerTransport('echo', {
+ *   types: [Message.TYPE_EMAIL],
+ *   send: function(message, done){
+ *     ...
+ *   }
+ * });
+ *
+ */
+MessageSchema.statics.registerTransport = function (name, transport, options) {
+  return transports.register(name, transport, options);
+};
+
+
+/**
+ * @name unregisterTransport
+ * @description remove registered transport
+ * @param {String} name valid transport name
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.statics.unregisterTransport = function (name) {
+  transports.unregister(name);
+};
+
+
+/**
+ * @name getTransport
+ * @description obtain registered transport by its name
+ * @param {String} name valid transport name
+ * @return {Object|undefined} registered transport
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.statics.getTransport = function (name) {
+  return transports.get(name);
+};
+
+
+/**
+ * @name defaultTransport
+ * @description obtain or set default transport for a given message type
+ * @param {String} type valid message type
+ * @param {String} [name] valid registered transport name to set as default
+ * @return {Object|undefined} default transport
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * //set default sms transport
+ * Message.defaultTransport(Message.TYPE_SMS, 'smpp');
+ *
+ * //obtain default sms transport
+ * const transport = Message.defaultTransport(Message.TYPE_SMS);
+ *
+ */
+MessageSchema.statics.defaultTransport = function (type, name) {
+
+  //set default transport
+  if (name) {
+    transports.setDefault(type, name);
+  }
+
+  return transports.getDefault(type);
+
+};
+
+
+/**
+ * @name rateLimit
+ * @description set or clear rate limit of a transport or a queue.
+ *              Message(s) exceeding the rate limit are delayed until allowed
+ *              on both direct send and worker processing
+ * @param {Object} limit valid rate limit
+ * @param {String} [limit.transport] name of the transport to limit
+ * @param {String} [limit.queueName] name of the queue to limit
+ * @param {Number} [limit.rate] number of messages allowed per period.
+ *                              rate limit is cleared if not provided
+ * @param {String|Number} [limit.per] period i.e second, minute, hour or
+ *                                    milliseconds. default to second
+ * @param {Number} [limit.burst] maximum messages sent at once.
+ *                               default to rate
+ * @throws {Error} invalid rate limit
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.rateLimit({ transport: 'smpp', rate: 10, per: 'second' });
+ * Message.rateLimit({ queueName: 'sms', rate: 500, per: 'minute' });
+ *
+ */
+MessageSchema.statics.rateLimit = function rateLimit(limit) {
+
+  //ensure limited transport or queue
+  if (!limit.transport && !limit.queueName) {
+    throw new Error('Missing Rate Limit Transport Or Queue Name');
+  }
+
+  //obtain limiter name
+  const name = (limit.transport ?
+    'transport:' + limit.transport : 'queue:' + limit.queueName);
+
+  //clear rate limit
+  if (!limit.rate) {
+    return limiter.unset(name);
+  }
+
+  //set rate limit
+  limiter.set(name, _.omit(limit, ['transport', 'queueName']));
+
+};
+
+
+/**
+ * @name fromTemplate
+ * @description create a new message by rendering a template.
+ *
+ *              Template locale variant is selected using `overrides.locale`
+ *              or a locale resolved by `options.locales.resolve` hook and
+ *              then falling back to `options.locales.fallback` chain.
+ *
+ * @param {String} name valid template name
+ * @param {Object} [data] variables used to render the template
+ * @param {Object} [overrides] additional message details
+ * i.e from, to, type, locale etc
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message|Promise} unsaved message instance. Promise when callback
+ *                           is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.fromTemplate('service-request-received', {
+ *   name: 'John', code: 'HQ1234'
+ * }, {
+ *   type: Message.TYPE_SMS,
+ *   locale: 'sw',
+ *   from: 'open311',
+ *   to: '+255714000000'
+ * }, function(error, message){
+ *   message.queue();
+ * });
+ *
+ */
+MessageSchema.statics.fromTemplate = function (name, data, overrides, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (data && _.isFunction(data)) {
+    done = data;
+    data = {};
+    overrides = {};
+  }
+  if (overrides && _.isFunction(overrides)) {
+    done = overrides;
+    overrides = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, this.fromTemplate, [name, data, overrides]);
+  }
+
+  //merge arguments
+  data = _.merge({}, data);
+  overrides = _.merge({}, overrides);
+
+  //reference
+  const Message = this;
+  const MessageTemplate = mongoose.model('MessageTemplate');
+
+  //obtain locales options
+  const options = _.merge({}, {
+    fallback: [MessageTemplate.DEFAULT_LOCALE]
+  }, _.get(Message, 'options.locales'));
+
+  async.waterfall([
+
+    function resolveLocale(next) {
+
+      //use provided locale
+      if (overrides.locale || !_.isFunction(options.resolve)) {
+        return next(null, overrides.locale);
+      }
+
+      //resolve receiver locale
+      options.resolve(overrides, next);
+
+    },
+
+    function findTemplate(locale, next) {
+      const locales = MessageTemplate.locales(locale, options.fallback);
+      MessageTemplate.findByName(name, overrides.type, locales,
+        function (error, template) {
+          next(error, template, locales);
+        });
+    },
+
+    function findPartials(template, locales, next) {
+      MessageTemplate.partials(template, locales, function (error, partials) {
+        next(error, template, partials);
+      });
+    },
+
+    function renderMessage(template, partials, next) {
+
+      try {
+        //render template
+        const rendered = template.render(data, partials);
+
+        //prepare message
+        const message = new Message(_.merge({}, {
+          type: template.type
+        }, rendered, overrides, {
+          locale: template.locale,
+          template: { name: template.name, version: template.version }
+        }));
+
+        next(null, message);
+      }
+
+      //notify render error
+      catch (error) {
+        next(error);
+      }
+
+    }
+
+  ], done);
+
+};
+
+
+/**
+ * @name stateOf
+ * @description map provider delivery status into message state using
+ *              default and `options.statuses` mapping
+ * @param {String} status provider delivery status i.e DELIVRD, UNDELIV
+ * @return {String|undefined} message state
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.stateOf('DELIVRD');
+ * //=> Delivered
+ *
+ */
+MessageSchema.statics.stateOf = function stateOf(status) {
+
+  //this refer to Message static context
+
+  //use message state as is
+  if (_.includes(this.STATES, status)) {
+    return status;
+  }
+
+  //map provider status
+  const statuses = _.merge({}, DELIVERY_STATUSES, _.mapKeys(
+    _.get(this, 'options.statuses'),
+    function (state, key) {
+      return _.toLower(key);
+    }));
+
+  return statuses[_.toLower(status)];
+
+};
+
+
+/**
+ * @name acknowledge
+ * @description update message state from a provider delivery report
+ * @param {String} id provider message id or message hash
+ * @param {Object} report valid delivery report
+ * @param {String} report.status provider delivery status or message state
+ * @param {Date} [report.at] time of the delivery report. default to now
+ * @param {Object} [report.error] provider delivery error
+ * @param {String} [report.bounce] bounce type i.e hard or soft. Hard
+ *                                 bounce suppress message receiver(s)
+ * @param {Boolean} [report.complaint] whether receiver complained i.e
+ *                                     marked message as spam
+ * @param {String|String[]} [report.to] reported receiver(s). default to
+ *                                      all message receivers
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:acknowledge:error, message:acknowledge:success,
+ *         message:<state> i.e message:delivered, message:undelivered
+ * @return {Message|Error|Promise} acknowledged message or error. Promise
+ *                                 when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.acknowledge('<provider id>', {
+ *   status: 'DELIVRD',
+ *   at: new Date()
+ * }, function(error, message){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.acknowledge = function (id, report, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (report && _.isFunction(report)) {
+    done = report;
+    report = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, this.acknowledge, [id, report]);
+  }
+
+  //merge report
+  report = _.merge({}, { at: new Date() }, report);
+
+  //reference
+  const Message = this;
+
+  async.waterfall([
+
+    function findMessage(next) {
+      Message.findOne({
+        $or: [
+          { hash: id },
+          { 'result.messageId': id },
+          { 'result.messageIds': id }
+        ]
+      }, next);
+    },
+
+    function updateMessage(message, next) {
+
+      //notify unknown message
+      if (!message) {
+        let error = new Error('Message Not Found');
+        error.status = 404;
+        return next(error);
+      }
+
+      //obtain reported state
+      const state = Message.stateOf(report.status);
+      if (!state) {
+        let error = new Error('Unknown Delivery Status ' + report.status);
+        error.status = 400;
+        return next(error);
+      }
+
+      //record report per provider message id
+      let result = _.merge({}, message.result);
+      const ids = _.compact([].concat(result.messageIds));
+      result.receipts = _.merge({}, result.receipts);
+      result.receipts[_.includes(ids, id) ? id : message.hash] =
+        report.status;
+      result.report = _.omit(report, 'at');
+
+      //message delivered once all receivers received it
+      //NOTE! message with failed receivers is retried instead
+      const delivered = !_.some(result.receivers, 'error') &&
+        _.every(ids, function (_id) {
+          return Message.stateOf(result.receipts[_id]) === STATE_DELIVERED;
+        });
+
+      try {
+        //update delivered message
+        if (state === STATE_DELIVERED) {
+          if (delivered) {
+            message.transition(STATE_DELIVERED, 'delivery report', report);
+            message.deliveredAt = report.at;
+          }
+        }
+
+        //update failed message
+        else if (_.includes(FAILURE_STATES, state)) {
+          message.transition(state, 'delivery report', report);
+          message.failedAt = report.at;
+        }
+
+        //update in progress message
+        //NOTE! late in progress report are ignored
+        else if (message.canTransition(state)) {
+          message.transition(state, 'delivery report', report);
+        }
+      }
+
+      //notify invalid transition
+      catch (error) {
+        return next(error);
+      }
+
+      message.result = result;
+      message.markModified('result');
+      message.save(next);
+
+    },
+
+    function suppress(message, next) {
+
+      //reference
+      const Suppression = mongoose.model('Suppression');
+
+      //obtain suppression reason from report
+      //NOTE! soft bounce does not suppress receivers
+      const status = _.toLower(report.status);
+      const bounced =
+        (_.includes(BOUNCE_STATUSES, status) || report.bounce === 'hard');
+      const complained =
+        (_.includes(COMPLAINT_STATUSES, status) || report.complaint === true);
+      if (!bounced && !complained) {
+        return next(null, message);
+      }
+
+      //suppress reported or all message receivers
+      const receivers = (report.to || [].concat(
+        _.toArray(message.to), _.toArray(message.cc), _.toArray(message.bcc)
+      ));
+      Suppression.suppress(message.type, receivers, {
+        reason: (bounced ?
+          Suppression.REASON_BOUNCE : Suppression.REASON_COMPLAINT),
+        source: Suppression.SOURCE_DELIVERY_REPORT,
+        message: message._id,
+        note: _.get(report, 'error.message')
+      }, function (error) {
+        next(error, message);
+      });
+
+    },
+
+    function fallback(message, next) {
+      //try next channel i.e message undelivered on this channel
+      message._fallbackIfFailed(next);
+    }
+
+  ], function (error, message) {
+
+    //notify acknowledge result
+    if (Message._queue) {
+      if (error) {
+        Message._queue.emit('message:acknowledge:error', error);
+      } else {
+        Message._queue.emit('message:acknowledge:success', message);
+        Message._queue.emit('message:' + _.toLower(message.state), message);
+      }
+    }
+
+    done(error, message);
+
+  });
+
+};
+
+
+/**
+ * @name release
+ * @description release pull message(s) with expired lease so that they can
+ *              be leased again by a poll transport
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Object|Promise} update result or error. Promise when callback is
+ *                          not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.release(function(error, result){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.release = function release(criteria, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, release, [criteria]);
+  }
+
+  const now = new Date();
+
+  criteria = _.merge({}, criteria, {
+    mode: SEND_MODE_PULL, //ensure pull message
+    state: STATE_SENT, //ensure leased message
+    leaseExpiresAt: { $lte: now } //ensure lease expired
+  });
+
+  //return leased message(s) to unknown state
+  this.updateMany(criteria, {
+    $set: { state: STATE_UNKNOWN },
+    $unset: { sentAt: 1, leasedAt: 1, leasedBy: 1, leaseExpiresAt: 1 },
+    $push: {
+      history: {
+        from: STATE_SENT,
+        to: STATE_UNKNOWN,
+        at: now,
+        reason: 'lease expired'
+      }
+    }
+  }, done);
+
+};
+
+
+/**
+ * @name lease
+ * @description atomically claim pending pull message(s) to be sent by a
+ *              poll transport.
+ *
+ *              Message(s) are claimed by their priority and creation time
+ *              and marked as sent until their lease expire. Expired lease(s)
+ *              are released before claiming so a message is never leased by
+ *              two poll transports at the same time.
+ *
+ * @param {Object} [options] valid lease options
+ * @param {String} [options.transport] name of the poll transport
+ * @param {String} [options.queueName] name of the message queue
+ * @param {Number} [options.limit] maximum message(s) to lease. default to 10
+ * @param {Number} [options.leaseFor] lease duration in milliseconds.
+ *                                    default to 60000
+ * @param {String} [options.by] identifier of the poll transport instance
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:lease:error, message:lease:success
+ * @return {Array[Message]|Error|Promise} leased message(s) or error. Promise
+ *                                        when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.lease({
+ *   transport: 'android-gateway',
+ *   limit: 20,
+ *   leaseFor: 120000,
+ *   by: '<device id>'
+ * }, function(error, messages){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.lease = function lease(options, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, lease, [options]);
+  }
+
+  //merge options
+  options = _.merge({}, { limit: 10, leaseFor: 60000 }, options);
+
+  //reference
+  const Message = this;
+
+  //prepare lease criteria
+  const criteria = _.omitBy({
+    mode: SEND_MODE_PULL, //ensure pull message
+    state: STATE_UNKNOWN, //ensure message not leased
+    transport: options.transport,
+    queueName: options.queueName
+  }, _.isUndefined);
+
+  //prepare lease update
+  const update = function () {
+    const now = new Date();
+    return {
+      $set: _.omitBy({
+        state: STATE_SENT,
+        sentAt: now,
+        leasedAt: now,
+        leasedBy: options.by,
+        leaseExpiresAt: new Date(now.getTime() + options.leaseFor)
+      }, _.isUndefined),
+      $push: {
+        history: {
+          from: STATE_UNKNOWN,
+          to: STATE_SENT,
+          at: now,
+          reason: 'leased'
+        }
+      }
+    };
+  };
+
+  let leased = [];
+
+  async.waterfall([
+
+    function releaseExpired(next) {
+      Message.release(function (error) {
+        next(error);
+      });
+    },
+
+    function claimByPriority(next) {
+      async.eachSeries(LEASE_PRIORITIES, function (priority, nextPriority) {
+
+        let exhausted = false;
+
+        //claim message one at a time until limit or none left
+        async.whilst(function () {
+          return !exhausted && leased.length < options.limit;
+        }, function (then) {
+          Message.findOneAndUpdate(_.merge({}, criteria, {
+            priority: priority,
+            sendAt: { $not: { $gt: new Date() } } //ensure message is due
+          }), update(), {
+            new: true,
+            sort: { createdAt: 1 }
+          }, function (error, message) {
+            if (message) {
+              leased.push(message);
+            } else {
+              exhausted = true;
+            }
+            then(error);
+          });
+        }, nextPriority);
+
+      }, function (error) {
+        next(error, leased);
+      });
+    }
+
+  ], function (error, leased) {
+
+    //notify lease result
+    if (Message._queue) {
+      if (error) {
+        Message._queue.emit('message:lease:error', error);
+      } else {
+        Message._queue.emit('message:lease:success', leased);
+      }
+    }
+
+    done(error, leased);
+
+  });
+
+};
+
+
+/**
+ * @name ack
+ * @description acknowledge leased pull message(s) by a poll transport.
+ *              Only message(s) whose lease is not expired and is owned by
+ *              the poll transport instance are acknowledged
+ * @param {String|String[]} ids valid leased message id(s)
+ * @param {Object} [result] poll transport result
+ * @param {String} [result.state] message state or provider status.
+ *                                default to Queued
+ * @param {Object} [options] valid ack options
+ * @param {String} [options.by] identifier of the poll transport instance
+ *                              which leased the message(s)
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:ack:error, message:ack:success,
+ *         message:<state> i.e message:queued, message:delivered
+ * @return {Array[Message]|Error|Promise} acknowledged message(s) and errors
+ *                                        keyed by message id or error.
+ *                                        Promise when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.ack(['<id>', '<id>'], { state: 'Delivered' }, { by: '<device id>' },
+ *   function(error, messages, errors){
+ *     ...
+ *   });
+ *
+ */
+MessageSchema.statics.ack = function ack(ids, result, options, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (result && _.isFunction(result)) {
+    done = result;
+    result = {};
+    options = {};
+  }
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, ack, [ids, result, options]);
+  }
+
+  //merge result and options
+  result = _.merge({}, { state: STATE_QUEUED }, result);
+  options = _.merge({}, options);
+
+  //reference
+  const Message = this;
+
+  //obtain acknowledged state
+  const state = Message.stateOf(result.state);
+  if (!state) {
+    let error = new Error('Unknown Message State ' + result.state);
+    error.status = 400;
+    return done(error);
+  }
+
+  //normalize ids
+  ids = _.uniq(_.map(_.compact([].concat(ids)), String));
+
+  //ack errors keyed by message id
+  let errors = {};
+
+  async.waterfall([
+
+    function findMessages(next) {
+      Message.find({
+        _id: { $in: ids },
+        leasedBy: (options.by || null), //ensure lease owner
+        leaseExpiresAt: { $gt: new Date() } //ensure lease not expired
+      }, next);
+    },
+
+    function updateMessages(messages, next) {
+
+      //collect not leased message(s) errors
+      const leased = _.map(messages, function (message) {
+        return String(message._id);
+      });
+      _.forEach(_.difference(ids, leased), function (id) {
+        let error = new Error('Message Lease Not Found');
+        error.status = 404;
+        errors[id] = error;
+      });
+
+      //update each leased message
+      //NOTE! message failed to be acknowledged does not stop others
+      async.mapSeries(messages, function (message, then) {
+
+        //collect message error
+        const fail = function (error) {
+          errors[String(message._id)] = error;
+          then();
+        };
+
+        //update acknowledged message
+        const now = new Date();
+        try {
+          message.transition(state, 'acknowledged', result);
+        } catch (error) {
+          return fail(error);
+        }
+        message.result = result;
+        message.leaseExpiresAt = undefined;
+        if (state === STATE_DELIVERED) {
+          message.deliveredAt = now;
+        }
+        if (_.includes(FAILURE_STATES, state)) {
+          message.failedAt = now;
+        }
+
+        message.save(function (error, saved) {
+          if (error) {
+            return fail(error);
+          }
+          then(null, saved);
+        });
+
+      }, function (error, acked) {
+        next(error, _.compact(acked));
+      });
+    }
+
+  ], function (error, messages) {
+
+    //notify ack result
+    if (Message._queue) {
+      if (error) {
+        Message._queue.emit('message:ack:error', error);
+      } else {
+        _.forEach(errors, function (error) {
+          Message._queue.emit('message:ack:error', error);
+        });
+        Message._queue.emit('message:ack:success', messages);
+        _.forEach(messages, function (message) {
+          Message._queue.emit('message:' + _.toLower(message.state), message);
+        });
+      }
+    }
+
+    done(error, messages, errors);
+
+  });
+
+};
+
+
+/**
+ * @name registerHandler
+ * @description register a handler to process received message(s)
+ * @param {String} name unique handler name
+ * @param {Object} matcher valid handler matcher
+ * @param {String|String[]} [matcher.keyword] message keyword(s)
+ * @param {String|RegExp} [matcher.from] sender pattern
+ * @param {String|String[]} [matcher.type] message type(s)
+ * @param {Function} handler function to process matched message
+ * @return {Object} registered handler
+ * @see {@link module:handlers}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.registerHandler('status', { keyword: 'STATUS' },
+ *   function(message, match, done){
+ *     //lookup service request using match.args[0]
+ *     ...
+ *   });
+ *
+ */
+MessageSchema.statics.registerHandler = function (name, matcher, handler) {
+  return handlers.register(name, matcher, handler);
+};
+
+
+/**
+ * @name unregisterHandler
+ * @description remove registered received message handler
+ * @param {String} name valid handler name
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.statics.unregisterHandler = function (name) {
+  handlers.unregister(name);
+};
+
+
+/**
+ * @name defaultHandler
+ * @description set default handler for unmatched received message(s)
+ * @param {Function} handler function to process unmatched message
+ * @since 0.7.0
+ * @public
+ */
+MessageSchema.statics.defaultHandler = function (handler) {
+  handlers.setDefault(handler);
+};
+
+
+/**
+ * @name receive
+ * @description normalize and persist received(inbound) message and
+ *              dispatch it to a matched handler.
+ *
+ *              Received message is upserted by its hash and duplicate
+ *              message(s) are not dispatched again.
+ *
+ *              Sender of message with opt out keyword i.e STOP is
+ *              suppressed and sender of message with opt in keyword
+ *              i.e START is no longer suppressed.
+ *
+ * @param {Object} payload received message details or transport payload
+ * @param {Object} [options] valid receive options
+ * @param {String} [options.transport] name of the transport used to
+ *                                     normalize the payload
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:receive:error, message:receive:success
+ * @return {Message|Error|Promise} received message, dispatch details or
+ *                                 error. Promise of `{ message, dispatched }`
+ *                                 when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.receive({
+ *   type: Message.TYPE_SMS,
+ *   from: '255714000000',
+ *   to: '15200',
+ *   body: 'STATUS 1234'
+ * }, function(error, message, dispatch){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.receive = function receive(payload, options, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, receive, [payload, options],
+      ['message', 'dispatched']);
+  }
+
+  //merge options
+  options = _.merge({}, options);
+
+  //reference
+  const Message = this;
+
+  async.waterfall([
+
+    function normalize(next) {
+
+      //normalize payload using transport receive hook
+      const transport = transports.get(options.transport);
+      let details = payload;
+      try {
+        if (transport && _.isFunction(transport.receive)) {
+          details = transport.receive(payload);
+        }
+      } catch (error) {
+        return next(error);
+      }
+
+      //ensure received message details
+      details = _.merge({}, {
+        transport: options.transport
+      }, details, {
+        direction: DIRECTION_INBOUND,
+        state: STATE_RECEIVED
+      });
+      details.to = _.compact([].concat(details.to));
+
+      //ensure received message hash
+      if (!details.hash) {
+        details.hash = hash(_.pick(details, RECEIVED_HASH_FIELDS));
+      }
+
+      next(null, details);
+
+    },
+
+    function upsert(details, next) {
+      Message.findOne({ hash: details.hash }, function (error, found) {
+
+        //drop duplicate
+        if (error || found) {
+          return next(error, found, true);
+        }
+
+        //persist received message
+        Message.create(details, function (error, created) {
+
+          //handle concurrent receive of same message
+          if (error && error.code === 11000) {
+            return Message.findOne({ hash: details.hash }, function (
+              error, found) {
+              next(error, found, true);
+            });
+          }
+
+          next(error, created, false);
+
+        });
+
+      });
+    },
+
+    function optOut(message, duplicate, next) {
+
+      //ignore duplicate message
+      if (duplicate) {
+        return next(null, message, duplicate, {});
+      }
+
+      //obtain opt out and opt in keywords
+      //NOTE! configured keywords replace default keywords
+      const keywords = _.defaults({},
+        _.get(Message, 'options.suppression.keywords'), {
+          optOut: OPT_OUT_KEYWORDS,
+          optIn: OPT_IN_KEYWORDS
+        });
+      const keyword = handlers.parse(message.body).keyword;
+      const isKeyword = function (words) {
+        return _.includes(_.map([].concat(words), _.toUpper), keyword);
+      };
+
+      //reference
+      const Suppression = mongoose.model('Suppression');
+
+      //suppress sender who opted out
+      if (isKeyword(keywords.optOut)) {
+        return Suppression.suppress(message.type, message.from, {
+          reason: Suppression.REASON_OPT_OUT,
+          source: Suppression.SOURCE_INBOUND,
+          message: message._id
+        }, function (error) {
+          next(error, message, duplicate, { optOut: true });
+        });
+      }
+
+      //lift suppression of sender who opted in
+      if (isKeyword(keywords.optIn)) {
+        return Suppression.lift(message.type, message.from, function (error) {
+          next(error, message, duplicate, { optIn: true });
+        });
+      }
+
+      next(null, message, duplicate, {});
+
+    },
+
+    function dispatch(message, duplicate, optOut, next) {
+
+      //ignore duplicate message
+      if (duplicate) {
+        return next(null, message, { duplicate: true });
+      }
+
+      //obtain message handler
+      const matched = handlers.match(message);
+      if (!matched) {
+        return next(null, message, _.merge({ duplicate: false }, optOut));
+      }
+
+      //dispatch message to handler
+      //NOTE! opt out message is dispatched to allow confirmation reply
+      matched.handler.handle(message, matched.match, function (error, result) {
+        next(error, message, _.merge({ duplicate: false }, optOut, {
+          handler: matched.handler.name,
+          result: result
+        }));
+      });
+
+    }
+
+  ], function (error, message, dispatched) {
+
+    //notify receive result
+    if (Message._queue) {
+      if (error) {
+        Message._queue.emit('message:receive:error', error);
+      } else {
+        Message._queue.emit('message:receive:success', message, dispatched);
+      }
+    }
+
+    done(error, message, dispatched);
+
+  });
+
+};
+
+
+/**
+ * @name backoffStrategy
+ * @description register custom backoff strategy used to delay retries of
+ *              transient send failures
+ * @param {String} name unique strategy name
+ * @param {Function} strategy function which compute delay in milliseconds
+ *                            of a given attempt
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.backoffStrategy('fibonacci', function(attempt, delay){
+ *   return delay * fibonacci(attempt);
+ * });
+ *
+ * message.queue({ attempts: 5, backoff: 'fibonacci' });
+ *
+ */
+MessageSchema.statics.backoffStrategy = function (name, strategy) {
+  retry.strategy(name, strategy);
+};
+
+
+/**
+ * @name suppress
+ * @description suppress receiver address(es) of a given message type.
+ *              Message(s) to suppressed address(es) are not sent
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @param {Object} [options] valid suppression details
+ * @param {String} [options.reason] suppression reason. default to Manual
+ * @param {String} [options.note] suppression details
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Suppression[]|Error|Promise} active suppressions or error.
+ *                                       Promise when callback is not provided
+ * @see {@link Suppression}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.suppress(Message.TYPE_EMAIL, 'john@example.com', {
+ *   reason: Message.Suppression.REASON_COMPLAINT
+ * }, function(error, suppressions){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.suppress = function suppress(type, addresses, options,
+  done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, suppress, [type, addresses, options]);
+  }
+
+  //reference
+  const Suppression = mongoose.model('Suppression');
+
+  Suppression.suppress(type, addresses, options, done);
+
+};
+
+
+/**
+ * @name unsuppress
+ * @description lift suppression of receiver address(es) of a given
+ *              message type
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {String[]|Error|Promise} lifted address(es) or error. Promise
+ *                                  when callback is not provided
+ * @see {@link Suppression}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.unsuppress(Message.TYPE_SMS, '+255714000000', function(error){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.unsuppress = function unsuppress(type, addresses,
+  done) {
+
+  //this refer to Message static context
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, unsuppress, [type, addresses]);
+  }
+
+  //reference
+  const Suppression = mongoose.model('Suppression');
+
+  Suppression.lift(type, addresses, done);
+
+};
+
+
+/**
+ * @name suppressions
+ * @description list active suppression(s) latest first
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Suppression[]|Error|Promise} active suppressions or error.
+ *                                       Promise when callback is not provided
+ * @see {@link Suppression}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.suppressions({ type: Message.TYPE_SMS }, function(error, found){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.suppressions = function suppressions(criteria, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, suppressions, [criteria]);
+  }
+
+  //reference
+  const Suppression = mongoose.model('Suppression');
+
+  Suppression.list(criteria, done);
+
+};
+
+
+/**
+ * @name fallback
+ * @description fall back undelivered message(s) to their next channel.
+ *              Used periodically to fall back message(s) which are failed
+ *              or not delivered within their fallback timeout
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message[]|Error|Promise} queued fallback message(s) or error.
+ *                                   Promise when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * setInterval(function(){
+ *   Message.fallback(function(error, fallbacks){
+ *     ...
+ *   });
+ * }, 60000);
+ *
+ */
+MessageSchema.statics.fallback = function fallback(criteria, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, fallback, [criteria]);
+  }
+
+  //prepare fallback due criteria
+  const due = {
+    'fallbacks.0': { $exists: true }, //ensure message has next channel
+    fallbackTo: null, //ensure message not fallen back
+    $or: [{
+      state: { $in: FALLBACK_STATES } //ensure message not delivered
+    }, {
+      fallbackAt: { $lte: new Date() }, //ensure fallback timeout elapsed
+      state: {
+        $nin: [STATE_RECEIVED, STATE_DELIVERED, STATE_CANCELLED]
+      }
+    }]
+  };
+
+  //combine due and given criteria
+  //NOTE! merge would combine $or conditions by their index
+  criteria = (_.isEmpty(criteria) ? due : { $and: [due, criteria] });
+
+  this.find(criteria, function (error, messages) {
+
+    //back off on query error
+    if (error) {
+      return done(error);
+    }
+
+    //fall back each message
+    //NOTE! fallback errors are notified as events
+    async.mapSeries(messages, function (message, next) {
+      message.fallback(function (error, queued) {
+        next(null, queued);
+      });
+    }, function (error, queued) {
+      done(error, _.compact(queued));
+    });
+
+  });
+
+};
+
+
+/**
+ * @name deadLetters
+ * @description list dead letter message(s) i.e failed message(s) which will
+ *              not be retried, latest first
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message[]|Error|Promise} dead letter message(s) or error. Promise
+ *                                   when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.deadLetters({ type: 'SMS' }, function(error, deads){
+ *   //deads[0].failures => [{ attempt: 1, failure: 'Transient', ... }]
+ * });
+ *
+ */
+MessageSchema.statics.deadLetters = function deadLetters(criteria, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, deadLetters, [criteria]);
+  }
+
+  //ensure dead letter
+  criteria = _.merge({}, criteria, { state: STATE_DEAD_LETTER });
+
+  this.find(criteria).sort({ deadAt: -1 }).exec(done);
+
+};
+
+
+/**
+ * @name replay
+ * @description reset and queue again dead letter message(s)
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param {Object} [options] valid queue options
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Message[]|Error|Promise} replayed message(s) or error. Promise
+ *                                   when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.replay({ type: 'SMS' }, function(error, replayed){
+ *   ...
+ * });
+ *
+ */
+MessageSchema.statics.replay = function replay(criteria, options, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+    options = {};
+  }
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, replay, [criteria, options]);
+  }
 
-    //fake message result
-    this.response = {
-      message: 'success'
-    };
+  this.deadLetters(criteria, function (error, deads) {
 
-    this.save(function (error, message) {
-      done(error, message);
-    });
+    //back off on query error
+    if (error) {
+      return done(error);
+    }
 
-  }
+    //replay each dead letter
+    async.mapSeries(deads, function (dead, next) {
+      dead.replay(options, next);
+    }, done);
 
-  //send message using actual transport
-  else {
-    this._send(done);
-  }
+  });
 
 };
 
 
 /**
- * @name queue
- * @description queue message for later send
- * @param  {Object}  [options] valid queue options
- * @param  {Number}  [options.attempts] number of retries
- * @param  {Number}  [options.backoff] backoff strategy
- * @events message:queue:error, message:queue:success
- * @fire {Message|Error} an instance of queued message or error
- * @type {Function}
- * @since 0.1.0
- * @private
+ * @name discard
+ * @description remove dead letter message(s) permanently
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:discard:success
+ * @return {Message[]|Error|Promise} discarded message(s) or error. Promise
+ *                                   when callback is not provided
+ * @since 0.7.0
+ * @public
  * @example
- * 
- * message.queue();
  *
- * or with options
+ * Message.discard({ deadAt: { $lte: lastMonth } }, function(error, discarded){
+ *   ...
+ * });
  *
- * message.queue(options);
- * 
  */
-MessageSchema.methods.queue = function queue(options) {
+MessageSchema.statics.discard = function discard(criteria, done) {
 
-  //this refer to Message instance context
+  //this refer to Message static context
 
-  //reference
-  const Message = mongoose.model(modelName);
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
 
-  //merge options
-  options = _.merge({}, {
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, discard, [criteria]);
+  }
 
-    //number of attempts to send message
-    //@see {@link https://github.com/Automattic/kue#failure-attempts}
-    attempts: 3,
+  //reference
+  const Message = this;
 
-    // back-off strategy to use on each sent failure
-    // @see {@link https://github.com/Automattic/kue#failure-backoff}
-    backoff: 'exponential'
+  async.waterfall([
 
-  }, options);
+    function findDeadLetters(next) {
+      Message.deadLetters(criteria, next);
+    },
 
-  //ensure state to be unknown for poll transport
-  if (this.mode === SEND_MODE_PULL) {
-    this.state = STATE_UNKNOWN;
-  }
+    function removeDeadLetters(deads, next) {
+      Message.remove({ _id: { $in: _.map(deads, '_id') } },
+        function (error) {
+          next(error, deads);
+        });
+    }
 
-  //persist message
-  this.save(function (error, message) {
+  ], function (error, deads) {
 
-    //there is no message queue
-    if (!Message._queue) {
-      if (error) {
-        throw error;
-      }
+    //notify discarded dead letters
+    if (!error && Message._queue) {
+      Message._queue.emit('message:discard:success', deads);
     }
 
-    //we have message queue
-    else {
-      //notify error
-      if (error) {
-        Message._queue.emit('message:queue:error', error);
-      }
-
-      //notify message queued successfully
-      //since a poll transport will later pull for the message to send
-      else if (message.mode === SEND_MODE_PULL) {
-        Message._queue.emit('message:queue:success', message);
-      }
+    done(error, deads);
 
-      //queue message for later send
-      //push transport are notified in their worker to send the message
-      else {
+  });
 
-        //prepare job details
-        const title = (message.subject || message.type);
-        const jobDetails = _.merge({}, { title: title }, message.toObject());
+};
 
-        //create message sent job and queue it
-        let job =
-          Message._queue.create(message.queueName, jobDetails);
 
-        //set job prioroty
-        job.priority(message.priority);
+/**
+ * @name deliveryChain
+ * @description obtain all message(s) of a fallback chain in channel order
+ *              and the message which reached the receiver
+ * @param {ObjectId|Message} id valid message or its id of any channel on
+ *                              the chain
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @return {Object|Error|Promise} chain `{ messages, reached }` or error.
+ *                                Promise when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.deliveryChain(message._id, function(error, chain){
+ *   //chain.reached.type => SMS
+ * });
+ *
+ */
+MessageSchema.statics.deliveryChain = function deliveryChain(id, done) {
 
-        //set job number of attempt to try send message
-        job.attempts(options.attempts);
+  //this refer to Message static context
 
-        //set backoff strategy to use on message sending failures
-        job.backoff({ type: options.backoff });
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, deliveryChain, [id]);
+  }
 
-        //ensure message has been queued
-        job.save(function (error) {
-          if (error) {
-            Message._queue.emit('message:queue:error', error);
-          } else {
-            Message._queue.emit('message:queue:success', message);
-          }
-        });
+  //reference
+  const Message = this;
 
-      }
-    }
+  async.waterfall([
 
-  });
+    function findMessage(next) {
+      Message.findById(_.get(id, '_id', id), function (error, message) {
+        if (!error && !message) {
+          error = new Error('Message Not Found');
+          error.status = 404;
+        }
+        next(error, message);
+      });
+    },
 
-};
+    function findChain(message, next) {
+      const chain = (message.chain || message._id);
+      Message.find({ $or: [{ _id: chain }, { chain: chain }] })
+        .sort({ createdAt: 1 }).exec(next);
+    }
 
+  ], function (error, messages) {
 
-//-----------------------------------------------------------------------------
-// static properties & methods
-//-----------------------------------------------------------------------------
+    //notify error
+    if (error) {
+      return done(error);
+    }
 
-/**
- * message directions
- */
-MessageSchema.statics.DIRECTION_INBOUND = DIRECTION_INBOUND;
-MessageSchema.statics.DIRECTION_OUTBOUND = DIRECTION_OUTBOUND;
-MessageSchema.statics.DIRECTIONS = [
-  DIRECTION_OUTBOUND,
-  DIRECTION_OUTBOUND
-];
+    //order messages from first to last channel
+    const byId = _.keyBy(messages, function (message) {
+      return String(message._id);
+    });
+    let ordered = [];
+    let current = _.find(messages, function (message) {
+      return !message.parent;
+    });
+    while (current && !_.includes(ordered, current)) {
+      ordered.push(current);
+      current = (current.fallbackTo ?
+        byId[String(current.fallbackTo)] : undefined);
+    }
 
-/**
- * message types
- */
-MessageSchema.statics.TYPE_SMS = TYPE_SMS;
-MessageSchema.statics.TYPE_EMAIL = TYPE_EMAIL;
-MessageSchema.statics.TYPE_PUSH = TYPE_PUSH;
-MessageSchema.statics.TYPES = [
-  TYPE_SMS, TYPE_EMAIL, TYPE_PUSH
-];
+    done(null, {
+      messages: ordered,
+      reached: _.find(ordered, { state: STATE_DELIVERED })
+    });
 
+  });
 
-/**
- * message mime types
- */
-MessageSchema.statics.MIME_TEXT = MIME_TEXT;
-MessageSchema.statics.MIME_HTML = MIME_HTML;
-MessageSchema.statics.MIMES = [
-  MIME_TEXT, MIME_HTML
-];
+};
 
 
 /**
- * mesage priorities
+ * @name broadcast
+ * @description send same message to many recipients by fanning out a
+ *              campaign into individual message per recipient in batches.
+ *
+ *              Each recipient message may be personalised using campaign
+ *              `data` and recipient `data` rendered on campaign subject and
+ *              body or a stored template.
+ *
+ * @param {Object|Campaign} campaign valid campaign or its details
+ * @param {Array} recipients valid recipient(s) i.e phone number, email or
+ *                           { to, data, locale }
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @events message:broadcast:batch, message:broadcast:success,
+ *         message:broadcast:error
+ * @return {Campaign|Error|Promise} dispatched campaign or error. Promise
+ *                                  when callback is not provided
+ * @see {@link Campaign}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.broadcast({
+ *   name: 'Water Interruption',
+ *   type: Message.TYPE_SMS,
+ *   from: 'open311',
+ *   body: 'Dear {{name}}, there will be no water in {{area}} tomorrow',
+ *   data: { area: 'Ilala' },
+ *   batchSize: 500
+ * }, [
+ *   { to: '+255714000000', data: { name: 'John' } },
+ *   { to: '+255714000001', data: { name: 'Jane' } }
+ * ], function(error, campaign){
+ *   ...
+ * });
+ *
  */
-MessageSchema.statics.PRIORITY_LOW = PRIORITY_LOW;
-MessageSchema.statics.PRIORITY_NORMAL = PRIORITY_NORMAL;
-MessageSchema.statics.PRIORITY_MEDIUM = PRIORITY_MEDIUM;
-MessageSchema.statics.PRIORITY_HIGH = PRIORITY_HIGH;
-MessageSchema.statics.PRIORITY_CRITICAL = PRIORITY_CRITICAL;
-MessageSchema.statics.PRIORITIES = [
-  PRIORITY_LOW, PRIORITY_NORMAL,
-  PRIORITY_MEDIUM, PRIORITY_HIGH,
-  PRIORITY_CRITICAL
-];
+MessageSchema.statics.broadcast = function (campaign, recipients, done) {
 
+  //this refer to Message static context
 
-/**
- * transaport sending mode
- */
-MessageSchema.statics.SEND_MODE_PULL = SEND_MODE_PULL;
-MessageSchema.statics.SEND_MODE_PUSH = SEND_MODE_PUSH;
-MessageSchema.statics.SEND_MODES = [
-  SEND_MODE_PUSH,
-  SEND_MODE_PULL
-];
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, this.broadcast, [campaign, recipients]);
+  }
 
+  //fan out campaign messages
+  const Campaign = mongoose.model('Campaign');
+  Campaign.broadcast(campaign, recipients, done);
 
-/**
- * message stateS
- */
-MessageSchema.statics.STATE_RECEIVED = STATE_RECEIVED;
-MessageSchema.statics.STATE_UNKNOWN = STATE_UNKNOWN;
-MessageSchema.statics.STATE_SENT = STATE_SENT;
-MessageSchema.statics.STATE_QUEUED = STATE_QUEUED;
-MessageSchema.statics.STATE_DELIVERED = STATE_DELIVERED;
-MessageSchema.statics.STATES = [
-  STATE_RECEIVED, STATE_UNKNOWN,
-  STATE_SENT, STATE_QUEUED,
-  STATE_DELIVERED
-];
+};
 
 
 /**
  * @name unsent
- * @description obtain unsent message(s)
+ * @description obtain unsent message(s) which are due and not cancelled
  * @param {Object} [criteria] valid mongoose query criteria
- * @param  {Function} done a callback to invoke on success or failure
+ * @param  {Function} [done] a callback to invoke on success or failure
  * @type {Function}
- * @return {Array[Message]} collection of unsent messages
+ * @return {Array[Message]|Promise} collection of unsent messages. Promise
+ *                                  when callback is not provided
  * @since 0.1.0
  * @public
  * @example
@@ -807,6 +4611,12 @@ MessageSchema.statics.STATES = [
  *     //process unsents
  *     ...
  * });
+ *
+ * or using promise
+ *
+ * Message.unsent(criteria).then(function(unsents){
+ *     ...
+ * });
  * 
  */
 MessageSchema.statics.unsent = function unsent(criteria, done) {
@@ -820,10 +4630,29 @@ MessageSchema.statics.unsent = function unsent(criteria, done) {
     criteria = {};
   }
 
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, unsent, [criteria]);
+  }
+
+  const now = new Date();
+
   criteria = _.merge({}, {
-    sentAt: null //ensure message have not been sent
+    //ensure outbound message i.e received message is never sent
+    //NOTE! message saved before direction was introduced has no direction
+    direction: { $ne: DIRECTION_INBOUND },
+    sentAt: null, //ensure message have not been sent
+    sendAt: { $not: { $gt: now } }, //ensure message is due
+    //ensure message is not cancelled, skipped or dead letter
+    state: { $nin: [STATE_CANCELLED, STATE_SKIPPED, STATE_DEAD_LETTER] }
   }, criteria);
 
+  //ensure message never failed or is due for retry
+  //NOTE! permanent or exhausted failure has no next retry time
+  criteria.$and = [].concat(_.toArray(criteria.$and), {
+    $or: [{ failure: null }, { nextAttemptAt: { $lte: now } }]
+  });
+
   //find unsent messages
   this.find(criteria, done);
 
@@ -834,9 +4663,10 @@ MessageSchema.statics.unsent = function unsent(criteria, done) {
  * @name sent
  * @description obtain already sent message(s)
  * @param {Object} [criteria] valid mongoose query criteria
- * @param  {Function} done a callback to invoke on success or failure
+ * @param  {Function} [done] a callback to invoke on success or failure
  * @type {Function}
- * @return {Array[Message]} collection of already sent message(s)
+ * @return {Array[Message]|Promise} collection of already sent message(s).
+ *                                  Promise when callback is not provided
  * @public
  * @since 0.1.0
  * @example
@@ -868,6 +4698,11 @@ MessageSchema.statics.sent = function sent(criteria, done) {
     criteria = {};
   }
 
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, sent, [criteria]);
+  }
+
   criteria = _.merge({}, {
     sentAt: { $ne: null } //ensure message have been sent
   }, criteria);
@@ -878,13 +4713,62 @@ MessageSchema.statics.sent = function sent(criteria, done) {
 };
 
 
+/**
+ * @name scheduled
+ * @description obtain scheduled message(s) which are not yet due
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
+ * @type {Function}
+ * @return {Array[Message]|Promise} collection of scheduled message(s).
+ *                                  Promise when callback is not provided
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Message.scheduled(function(error, scheduled){
+ *     ...
+ *     //process error
+ *     //process scheduled
+ *     ...
+ * });
+ *
+ */
+MessageSchema.statics.scheduled = function scheduled(criteria, done) {
+
+  //this refer to Message static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, scheduled, [criteria]);
+  }
+
+  criteria = _.merge({}, {
+    sentAt: null, //ensure message have not been sent
+    sendAt: { $gt: new Date() }, //ensure message is not yet due
+    //ensure message is not cancelled or skipped
+    state: { $nin: [STATE_CANCELLED, STATE_SKIPPED] }
+  }, criteria);
+
+  //find scheduled messages ordered by their send time
+  this.find(criteria).sort({ sendAt: 1 }).exec(done);
+
+};
+
+
 /**
  * @name resend
  * @description re-send all failed message(s) based on specified criteria
  * @param {Object} [criteria] valid mongoose query criteria
- * @param  {Function} done a callback to invoke on success or failure
+ * @param  {Function} [done] a callback to invoke on success or failure
  * @type {Function}
- * @return {Array[Message]} collection of resend message(s)
+ * @return {Array[Message]|Promise} collection of resend message(s). Promise
+ *                                  when callback is not provided
  * @since 0.1.0
  * @public
  * @example
@@ -916,6 +4800,11 @@ MessageSchema.statics.resend = function resend(criteria, done) {
     criteria = {};
   }
 
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, resend, [criteria]);
+  }
+
   //reference Message
   const Message = this;
 
@@ -956,10 +4845,14 @@ MessageSchema.statics.resend = function resend(criteria, done) {
  * @name requeue
  * @description requeue all failed message(s) based on specified criteria
  * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} [done] a callback to invoke on success or failure
  * @type {Function}
  * @events message:requeue:error, message:requeue:success, 
  *         message:queue:error, message:queue:success
  * @fire {Array[Message]|Error} collection of requeued messages or error
+ * @return {Array[Message]|Error|Promise} collection of requeued messages or
+ *                                        error. Promise when callback is not
+ *                                        provided
  * @since 0.1.0 
  * @public
  * @example
@@ -969,47 +4862,55 @@ MessageSchema.statics.resend = function resend(criteria, done) {
  *
  * //requeue with criteria
  * Message.requeue(criteria);
+ *
+ * //requeue with callback
+ * Message.requeue(criteria, function(error, requeued){
+ *   ...
+ * });
  * 
  */
-MessageSchema.statics.requeue = function (criteria) {
+MessageSchema.statics.requeue = function requeue(criteria, done) {
 
   //this refer to Message static context
 
-  //merge criteria
-  criteria = _.merge({}, criteria);
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(this, requeue, [criteria]);
+  }
 
   //reference Message
   const Message = this;
 
+  //merge criteria
+  criteria = _.merge({}, criteria);
+
   //find all unsent message(s) for requeue
   Message.unsent(criteria, function (error, unsents) {
 
-    //there is no message queue
-    if (!Message._queue) {
-      if (error) {
-        throw error;
-      }
-    }
-
-    //there is message queue
-    else {
-      //fire requeue error
-      if (error) {
+    //fire requeue error
+    if (error) {
+      if (Message._queue) {
         Message._queue.emit('message:requeue:error', error);
       }
+      return done(error);
+    }
 
-      //re-queue all unsent message(s)
-      else {
-        //fire requeue success
-        Message._queue.emit('message:requeue:success', unsents);
-
-        //re-queue unsent message
-        _.forEach(unsents, function (unsent) {
-          unsent.queue();
-        });
-      }
+    //fire requeue success
+    if (Message._queue) {
+      Message._queue.emit('message:requeue:success', unsents);
     }
 
+    //re-queue all unsent message(s)
+    async.map(unsents, function (unsent, next) {
+      unsent.queue(next);
+    }, done);
+
   });
 
 };
@@ -1017,10 +4918,14 @@ MessageSchema.statics.requeue = function (criteria) {
 
 /**
  * @name process
- * @description used by worker process to process message and send them
- * @param  {Job}   job  valid instance of kue job
- * @param  {Function} done a callback to invoke on success send or failure
- * @return {Object}        message result or error
+ * @description used by worker process to process message and send them.
+ *              Non critical message due within quiet hours is rescheduled
+ *              to the end of quiet hours instead of being sent. Transient
+ *              send failure is queued again until its next retry time
+ * @param  {Job}   job  valid queue adapter job i.e kue job
+ * @param  {Function} [done] a callback to invoke on success send or failure
+ * @return {Object|Promise} message result or error. Promise when callback
+ *                          is not provided
  * @since 0.2.0
  * @public
  */
@@ -1029,6 +4934,11 @@ MessageSchema.statics.process = function (job, done) {
   //reference Message
   const Message = mongoose.model('Message');
 
+  //return promise if no callback
+  if (!_.isFunction(done)) {
+    return promised(Message, Message.process, [job]);
+  }
+
   async.waterfall([
 
     function findMessageById(next) {
@@ -1037,9 +4947,56 @@ MessageSchema.statics.process = function (job, done) {
 
     function sendMessage(message, next) {
 
+      //skip sent, cancelled, suppressed, given up or rescheduled message
+      const skip = message && (
+        message.sentAt ||
+        _.includes([
+          STATE_CANCELLED, STATE_SKIPPED, STATE_DEAD_LETTER
+        ], message.state) ||
+        (message.failure && !message.nextAttemptAt) ||
+        !message.isDue()
+      );
+      if (skip) {
+        return next(null, message);
+      }
+
+      //defer message due within quiet hours i.e retry at night
+      let sendAt;
+      try {
+        sendAt = (message ? message._deferUntil() : undefined);
+      } catch (error) {
+        return next(error);
+      }
+      if (sendAt) {
+        return message.reschedule(sendAt, function (error, deferred) {
+          if (!error && Message._queue) {
+            Message._queue.emit('message:deferred', deferred);
+          }
+          next(error, deferred);
+        });
+      }
+
       //send message if exists
       if (message) {
-        message.send(next);
+        message.send(function (error, sent) {
+
+          //queue retry of transient send failure
+          const retried = (
+            !error && Message._queue && sent.state === STATE_FAILED &&
+            sent.nextAttemptAt
+          );
+          if (retried) {
+            return sent._enqueue(function (error) {
+              if (!error) {
+                Message._queue.emit('message:retry', sent);
+              }
+              next(error, sent);
+            });
+          }
+
+          next(error, sent);
+
+        });
       }
 
       //do nothing and continue
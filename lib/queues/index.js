@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * @module queues
+ * @description registry of queue adapters used to queue message(s) for
+ *              push transport worker(s).
+ *
+ *              A queue adapter is created once per process and is also used
+ *              as message event bus. A valid queue adapter must conform to
+ *              the following contract:
+ *
+ *              {
+ *                //required. emit and listen message event(s)
+ *                //i.e EventEmitter on, once and emit
+ *                on: function(event, listener){ ... },
+ *                emit: function(event, ...args){ ... },
+ *
+ *                //required. add job to a named queue and callback with
+ *                //error or saved job. Delayed job is processed after
+ *                //options.delay milliseconds
+ *                enqueue: function(name, data, options, done){ ... },
+ *
+ *                //required. process job(s) of a named queue. A job must
+ *                //expose its data as job.data
+ *                process: function(name, concurrency, handler){ ... },
+ *
+ *                //optional. stop processing job(s)
+ *                shutdown: function(timeout, done){ ... }
+ *              }
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * registered queue adapter factories keyed by their names
+ */
+let adapters = {};
+
+
+/**
+ * default queue adapter name
+ */
+const DEFAULT_ADAPTER = 'kue';
+
+
+/**
+ * @name register
+ * @description register a queue adapter factory
+ * @param {String} name unique queue adapter name
+ * @param {Function} factory function which create queue adapter from
+ *                           options i.e function(options){ return queue; }
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * queues.register('memory', function(options){ ... });
+ *
+ */
+exports.register = function register(name, factory) {
+
+  //ensure adapter name
+  if (!name || !_.isString(name)) {
+    throw new Error('Missing Queue Adapter Name');
+  }
+
+  //ensure adapter factory
+  if (!_.isFunction(factory)) {
+    throw new Error('Invalid Queue Adapter ' + name +
+      '. Missing factory function');
+  }
+
+  adapters[name] = factory;
+
+};
+
+
+/**
+ * @name create
+ * @description create queue adapter by its registered name or use given
+ *              queue adapter as is
+ * @param {String|Object} [adapter] registered adapter name or valid queue
+ *                                  adapter. default to kue
+ * @param {Object} [options] valid queue adapter options
+ * @return {Object} valid queue adapter
+ * @throws {Error} unknown or invalid queue adapter
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * const queue = queues.create('memory');
+ *
+ */
+exports.create = function create(adapter, options) {
+
+  //obtain adapter by its name
+  const name = (_.isString(adapter) ? adapter : undefined);
+  if (!adapter || name) {
+    const factory = adapters[name || DEFAULT_ADAPTER];
+    if (!factory) {
+      throw new Error('Unknown Queue Adapter ' + name);
+    }
+    adapter = factory(options);
+  }
+
+  //ensure valid adapter
+  const valid = (
+    _.isFunction(adapter.enqueue) && _.isFunction(adapter.process) &&
+    _.isFunction(adapter.emit) && _.isFunction(adapter.on)
+  );
+  if (!valid) {
+    throw new Error('Invalid Queue Adapter ' + (name || adapter.name) +
+      '. Missing enqueue, process or event functions');
+  }
+
+  return adapter;
+
+};
+
+
+/**
+ * @name names
+ * @description obtain registered queue adapter names
+ * @return {String[]} registered queue adapter names
+ * @since 0.7.0
+ * @public
+ */
+exports.names = function names() {
+  return _.keys(adapters);
+};
+
+
+/**
+ * @name reset
+ * @description remove custom queue adapters and register default adapters
+ * @since 0.7.0
+ * @private
+ */
+exports.reset = function reset() {
+
+  adapters = {};
+
+  exports.register('kue', require('./kue'));
+  exports.register('memory', require('./memory'));
+  exports.register('mongo', require('./mongo'));
+
+};
+
+
+//register default adapters
+exports.reset();
+
+
+/**
+ * expose default adapter name
+ */
+exports.DEFAULT_ADAPTER = DEFAULT_ADAPTER;
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * @module kue
+ * @description redis backed queue adapter using kue.
+ *
+ *              The adapter is kue queue itself with `enqueue` added, so
+ *              existing kue workers, listeners and ui continue to work.
+ *
+ * @see {@link https://github.com/Automattic/kue}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const Message = require('open311-messages')({
+ *   queue: 'kue',
+ *   redis: { port: 6379, host: '127.0.0.1' }
+ * });
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const kue = require('kue');
+
+
+/**
+ * @name kue
+ * @description create kue queue adapter
+ * @param {Object} [options] valid kue queue options
+ * @return {Object} valid queue adapter
+ * @see {@link https://github.com/Automattic/kue#redis-connection-settings}
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //create or obtain kue queue
+  //NOTE! kue queue is a singleton per process
+  const queue = kue.createQueue(options);
+
+  /**
+   * @name enqueue
+   * @description create and save kue job
+   * @param {String} name valid queue name
+   * @param {Object} data job data
+   * @param {Object} [options] valid job options
+   * @param {String} [options.priority] job priority i.e normal, high
+   * @param {Number} [options.delay] milliseconds to delay job processing
+   * @param {Function} done a callback to invoke on success or failure
+   * @return {Job|Error} saved kue job or error
+   * @since 0.7.0
+   * @public
+   */
+  queue.enqueue = function enqueue(name, data, options, done) {
+
+    //normalize arguments
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    //merge options
+    options = _.merge({}, options);
+
+    let job = queue.create(name, data);
+
+    //set job priority
+    if (options.priority) {
+      job.priority(options.priority);
+    }
+
+    //delay job
+    if (options.delay > 0) {
+      job.delay(options.delay);
+    }
+
+    //ensure job has been queued
+    job.save(function (error) {
+      done(error, job);
+    });
+
+  };
+
+  return queue;
+
+};
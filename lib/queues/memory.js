@@ -0,0 +1,278 @@
+'use strict';
+
+/**
+ * @module memory
+ * @description in process queue adapter for tests and small deployments.
+ *
+ *              Jobs are kept in memory and processed by worker(s) of the
+ *              same process in priority order. Queued jobs are lost when
+ *              the process exit, so pull or resend unsent message(s) on
+ *              startup if they must not be lost.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const Message = require('open311-messages')({ queue: 'memory' });
+ *
+ * Message._queue.process('email', Message.process);
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * job priorities. Lower value is processed first
+ * @see {@link https://github.com/Automattic/kue#job-priority}
+ */
+const PRIORITIES = {
+  low: 10,
+  normal: 0,
+  medium: -5,
+  high: -10,
+  critical: -15
+};
+
+
+/**
+ * @name memory
+ * @description create in process queue adapter
+ * @param {Object} [options] valid memory queue options
+ * @param {String} [options.name] queue adapter name. default to memory
+ * @return {Object} valid queue adapter
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //merge default options
+  options = _.merge({}, { name: 'memory' }, options);
+
+  const queue = new EventEmitter();
+  queue.name = options.name;
+  queue.shuttingDown = false;
+
+  //pending jobs and workers keyed by queue name
+  let sequence = 0;
+  let jobs = {};
+  let workers = {};
+  let timers = [];
+
+  /**
+   * @name start
+   * @description process a job on next tick using worker of its queue
+   * @param {Object} worker valid queue worker
+   * @param {Object} job valid job
+   * @param {Function} done a callback to invoke once job is processed
+   * @since 0.7.0
+   * @private
+   */
+  const start = function (worker, job, done) {
+
+    job.state = 'active';
+    worker.active = worker.active + 1;
+
+    //NOTE! enqueue callback is invoked before job is processed
+    setImmediate(worker.handler, job, _.once(function (error, result) {
+
+      worker.active = worker.active - 1;
+
+      //notify job result
+      if (error) {
+        job.state = 'failed';
+        job.error = error;
+        queue.emit('job failed', job.id, _.get(error, 'message', error));
+      } else {
+        job.state = 'complete';
+        job.result = result;
+        queue.emit('job complete', job.id, result);
+      }
+
+      done();
+
+    }));
+
+  };
+
+  /**
+   * @name run
+   * @description process pending jobs of a named queue within worker
+   *              concurrency
+   * @param {String} name valid queue name
+   * @since 0.7.0
+   * @private
+   */
+  const run = function (name) {
+
+    const worker = workers[name];
+
+    //ensure worker and pending jobs
+    if (!worker || queue.shuttingDown) {
+      return;
+    }
+
+    const next = function () {
+      run(name);
+    };
+
+    while (worker.active < worker.concurrency && !_.isEmpty(jobs[name])) {
+      start(worker, jobs[name].shift(), next);
+    }
+
+  };
+
+  /**
+   * @name push
+   * @description add job to pending jobs in priority order
+   * @param {Object} job valid job
+   * @since 0.7.0
+   * @private
+   */
+  const push = function (job) {
+
+    job.state = 'inactive';
+    jobs[job.type] = _.sortBy([].concat(jobs[job.type] || [], job), [
+      'priority', 'id'
+    ]);
+
+    run(job.type);
+
+  };
+
+  /**
+   * @name enqueue
+   * @description create and queue in memory job
+   * @param {String} name valid queue name
+   * @param {Object} data job data
+   * @param {Object} [options] valid job options
+   * @param {String} [options.priority] job priority i.e normal, high
+   * @param {Number} [options.delay] milliseconds to delay job processing
+   * @param {Function} done a callback to invoke on success or failure
+   * @return {Object|Error} queued job or error
+   * @since 0.7.0
+   * @public
+   */
+  queue.enqueue = function enqueue(name, data, options, done) {
+
+    //normalize arguments
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    //merge options
+    options = _.merge({}, options);
+
+    //ensure queue is running
+    if (queue.shuttingDown) {
+      return done(new Error('Queue Is Shutting Down'));
+    }
+
+    //prepare job
+    sequence = sequence + 1;
+    const job = {
+      id: sequence,
+      type: name,
+      data: data,
+      priority: _.get(PRIORITIES, options.priority, PRIORITIES.normal),
+      createdAt: new Date()
+    };
+
+    //delay job until it is due
+    if (options.delay > 0) {
+      job.state = 'delayed';
+      const timer = setTimeout(function () {
+        _.pull(timers, timer);
+        push(job);
+      }, options.delay);
+
+      //NOTE! delayed job must not keep process alive
+      if (_.isFunction(timer.unref)) {
+        timer.unref();
+      }
+      timers.push(timer);
+    }
+
+    //queue job
+    else {
+      push(job);
+    }
+
+    queue.emit('job enqueue', job.id, job.type);
+
+    done(null, job);
+
+  };
+
+  /**
+   * @name process
+   * @description process job(s) of a named queue
+   * @param {String} name valid queue name
+   * @param {Number} [concurrency] maximum jobs processed at once.
+   *                               default to 1
+   * @param {Function} handler function to process job
+   *                           i.e function(job, done){ ... }
+   * @since 0.7.0
+   * @public
+   */
+  queue.process = function process(name, concurrency, handler) {
+
+    //normalize arguments
+    if (concurrency && _.isFunction(concurrency)) {
+      handler = concurrency;
+      concurrency = 1;
+    }
+
+    workers[name] = {
+      concurrency: (concurrency || 1),
+      handler: handler,
+      active: 0
+    };
+
+    run(name);
+
+  };
+
+  /**
+   * @name shutdown
+   * @description stop processing and drop pending job(s)
+   * @param {Number} [timeout] ignored. kept for kue compatibility
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  queue.shutdown = function shutdown(timeout, done) {
+
+    //normalize arguments
+    if (timeout && _.isFunction(timeout)) {
+      done = timeout;
+    }
+
+    queue.shuttingDown = true;
+
+    //clear delayed and pending jobs
+    _.forEach(timers, clearTimeout);
+    timers = [];
+    jobs = {};
+    workers = {};
+
+    if (_.isFunction(done)) {
+      done();
+    }
+
+  };
+
+  return queue;
+
+};
+
+
+/**
+ * expose job priorities
+ */
+exports.PRIORITIES = PRIORITIES;
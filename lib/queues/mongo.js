@@ -0,0 +1,388 @@
+'use strict';
+
+/**
+ * @module mongo
+ * @description mongodb backed queue adapter so that redis is optional.
+ *
+ *              Jobs are kept on queued message(s) of the messages collection
+ *              itself. Workers claim a due job atomically by its priority and
+ *              hide it for a visibility timeout. A job whose worker crash
+ *              before completion become visible again once its visibility
+ *              timeout elapse and is claimed by another worker.
+ *
+ *              Job data is loaded from its message when claimed.
+ *
+ *              Claim and completion error(s) are emitted as `queue error`
+ *              event and as `error` event only if it has listener(s), so
+ *              that a lost connection is reported without crashing worker.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const Message = require('open311-messages')({
+ *   queue: 'mongo',
+ *   pollInterval: 1000,
+ *   visibilityTimeout: 300000
+ * });
+ *
+ * Message._queue.process('email', Message.process);
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const EventEmitter = require('events').EventEmitter;
+const PRIORITIES = require('./memory').PRIORITIES;
+
+
+/**
+ * model name used by mongo queue
+ */
+const messageModelName = 'Message';
+
+
+/**
+ * job states
+ */
+const JOB_INACTIVE = 'inactive';
+const JOB_ACTIVE = 'active';
+const JOB_COMPLETE = 'complete';
+const JOB_FAILED = 'failed';
+
+
+/**
+ * @name mongo
+ * @description create mongodb backed queue adapter
+ * @param {Object} [options] valid mongo queue options
+ * @param {String} [options.name] queue adapter name. default to mongo
+ * @param {Number} [options.pollInterval] milliseconds to wait before
+ *                                        checking for due job(s) when none
+ *                                        is found. default to 1 second
+ * @param {Number} [options.visibilityTimeout] milliseconds a claimed job is
+ *                                             hidden from other worker(s).
+ *                                             default to 5 minutes
+ * @return {Object} valid queue adapter
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //merge default options
+  options = _.merge({}, {
+    name: 'mongo',
+    pollInterval: 1000,
+    visibilityTimeout: 300000
+  }, options);
+
+  const queue = new EventEmitter();
+  queue.name = options.name;
+  queue.shuttingDown = false;
+
+  //poll timers of worker(s)
+  let timers = [];
+
+  /**
+   * @name model
+   * @description obtain message model
+   * @return {Model} message model
+   * @since 0.7.0
+   * @private
+   */
+  const model = function () {
+    return mongoose.model(messageModelName);
+  };
+
+  /**
+   * @name notify
+   * @description notify queue error as `queue error` event and to error
+   *              listener(s) if any. Error event without listener would
+   *              crash the worker
+   * @param {Error} error valid queue error
+   * @param {Object} [job] job whose claim or completion failed
+   * @since 0.7.0
+   * @private
+   */
+  const notify = function (error, job) {
+    queue.emit('queue error', error, _.get(job, 'id'));
+    if (queue.listenerCount('error') > 0) {
+      queue.emit('error', error);
+    }
+  };
+
+  /**
+   * @name toJob
+   * @description convert queued message into job
+   * @param {Message} message valid queued message
+   * @return {Object} valid job
+   * @since 0.7.0
+   * @private
+   */
+  const toJob = function (message) {
+    const job = message.job.toObject();
+    return _.merge({}, job, {
+      type: job.queue,
+      data: _.merge({}, {
+        title: (message.subject || message.type)
+      }, _.omit(message.toObject(), 'job'))
+    });
+  };
+
+  /**
+   * @name claim
+   * @description atomically claim next due job of a named queue by its
+   *              priority. Job of a crashed worker is claimed again once
+   *              its visibility timeout elapse
+   * @param {String} name valid queue name
+   * @param {Function} done a callback to invoke on success or failure
+   * @return {Object|undefined} claimed job or undefined if none is due
+   * @since 0.7.0
+   * @private
+   */
+  const claim = function (name, done) {
+
+    const now = new Date();
+
+    model().findOneAndUpdate({
+      'job.queue': name,
+      $or: [{
+        'job.state': JOB_INACTIVE, //ensure job is due
+        'job.runAt': { $lte: now }
+      }, {
+        'job.state': JOB_ACTIVE, //ensure visibility timeout elapsed
+        'job.lockedUntil': { $lte: now }
+      }]
+    }, {
+      $set: {
+        'job.state': JOB_ACTIVE,
+        'job.lockedUntil': new Date(now.getTime() + options.visibilityTimeout)
+      },
+      $inc: { 'job.claims': 1 }
+    }, {
+      new: true,
+      sort: { 'job.priority': 1, 'job.runAt': 1 }
+    }, function (error, message) {
+      done(error, (message ? toJob(message) : undefined));
+    });
+
+  };
+
+  /**
+   * @name complete
+   * @description mark claimed job as complete or failed.
+   *              Job queued again while being processed i.e retry is kept
+   * @param {Object} job valid claimed job
+   * @param {Object} [error] job processing error
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  const complete = function (job, error, done) {
+
+    model().updateOne({
+      _id: job.data._id,
+      'job.id': job.id //ensure job is not queued again
+    }, {
+      $set: {
+        'job.state': (error ? JOB_FAILED : JOB_COMPLETE),
+        'job.completedAt': new Date()
+      },
+      $unset: { 'job.lockedUntil': 1 }
+    }, function (error) {
+      done(error);
+    });
+
+  };
+
+  /**
+   * @name work
+   * @description continuously claim and process due job(s) of a named
+   *              queue. Wait for poll interval when no job is due
+   * @param {String} name valid queue name
+   * @param {Function} handler function to process job
+   * @since 0.7.0
+   * @private
+   */
+  const work = function (name, handler) {
+
+    //stop on shutdown
+    if (queue.shuttingDown) {
+      return;
+    }
+
+    //wait for next poll
+    const wait = function () {
+      const timer = setTimeout(function () {
+        _.pull(timers, timer);
+        work(name, handler);
+      }, options.pollInterval);
+      timers.push(timer);
+    };
+
+    claim(name, function (error, job) {
+
+      //back off on claim error
+      if (error) {
+        notify(error);
+        return wait();
+      }
+
+      //wait for due job
+      if (!job) {
+        return wait();
+      }
+
+      //process claimed job
+      handler(job, _.once(function (error, result) {
+
+        complete(job, error, function (_error) {
+
+          //notify job result
+          if (_error) {
+            notify(_error, job);
+          } else if (error) {
+            queue.emit('job failed', job.id, _.get(error, 'message', error));
+          } else {
+            queue.emit('job complete', job.id, result);
+          }
+
+          //continue with next job
+          setImmediate(work, name, handler);
+
+        });
+
+      }));
+
+    });
+
+  };
+
+  /**
+   * @name enqueue
+   * @description queue a persisted message as a job of a named queue
+   * @param {String} name valid queue name
+   * @param {Object} data job data. Must contain queued message _id
+   * @param {Object} [options] valid job options
+   * @param {String} [options.priority] job priority i.e normal, high
+   * @param {Number} [options.delay] milliseconds to delay job processing
+   * @param {Function} done a callback to invoke on success or failure
+   * @return {Object|Error} queued job or error
+   * @since 0.7.0
+   * @public
+   */
+  queue.enqueue = function enqueue(name, data, options, done) {
+
+    //normalize arguments
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    //merge options
+    options = _.merge({}, options);
+
+    //prepare job
+    //NOTE! new job id ensure previous claim of the message is not completed
+    const now = new Date();
+    const job = {
+      id: new mongoose.Types.ObjectId(),
+      queue: name,
+      state: JOB_INACTIVE,
+      priority: _.get(PRIORITIES, options.priority, PRIORITIES.normal),
+      runAt: new Date(now.getTime() + Math.max(0, options.delay || 0)),
+      claims: 0,
+      enqueuedAt: now
+    };
+
+    model().findOneAndUpdate({
+      _id: _.get(data, '_id')
+    }, {
+      $set: { job: job }
+    }, { new: true }, function (error, message) {
+
+      //ensure message is persisted
+      if (!error && !message) {
+        error = new Error('Message Not Found');
+        error.status = 404;
+      }
+
+      if (error) {
+        return done(error);
+      }
+
+      queue.emit('job enqueue', job.id, name);
+
+      done(null, toJob(message));
+
+    });
+
+  };
+
+  /**
+   * @name process
+   * @description process job(s) of a named queue
+   * @param {String} name valid queue name
+   * @param {Number} [concurrency] maximum jobs processed at once.
+   *                               default to 1
+   * @param {Function} handler function to process job
+   *                           i.e function(job, done){ ... }
+   * @since 0.7.0
+   * @public
+   */
+  queue.process = function process(name, concurrency, handler) {
+
+    //normalize arguments
+    if (concurrency && _.isFunction(concurrency)) {
+      handler = concurrency;
+      concurrency = 1;
+    }
+
+    //start worker(s)
+    _.times(concurrency || 1, function () {
+      work(name, handler);
+    });
+
+  };
+
+  /**
+   * @name shutdown
+   * @description stop claiming job(s). Claimed job(s) are completed
+   * @param {Number} [timeout] ignored. kept for kue compatibility
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  queue.shutdown = function shutdown(timeout, done) {
+
+    //normalize arguments
+    if (timeout && _.isFunction(timeout)) {
+      done = timeout;
+    }
+
+    queue.shuttingDown = true;
+
+    //stop polling
+    _.forEach(timers, clearTimeout);
+    timers = [];
+
+    if (_.isFunction(done)) {
+      done();
+    }
+
+  };
+
+  return queue;
+
+};
+
+
+/**
+ * expose job states
+ */
+exports.JOB_INACTIVE = JOB_INACTIVE;
+exports.JOB_ACTIVE = JOB_ACTIVE;
+exports.JOB_COMPLETE = JOB_COMPLETE;
+exports.JOB_FAILED = JOB_FAILED;
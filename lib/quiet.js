@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * @module quiet
+ * @description quiet hours i.e daily time window(s) in which non urgent
+ *              message(s) should not be sent to receiver(s).
+ *
+ *              A quiet window is specified using local start and end time
+ *              i.e `{ start: '21:00', end: '07:00' }` in receiver time zone.
+ *              A window whose end is before its start spans midnight. Time
+ *              zone is an IANA time zone name i.e Africa/Dar_es_Salaam and
+ *              default to UTC.
+ *
+ * @see {@link https://www.iana.org/time-zones}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * default quiet hours time zone
+ */
+const DEFAULT_TIMEZONE = 'UTC';
+
+
+/**
+ * valid local time i.e 07:00, 21:30
+ */
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+
+/**
+ * minutes in a day
+ */
+const DAY_MINUTES = 24 * 60;
+
+
+/**
+ * @name minutesOf
+ * @description convert local time into minutes since midnight
+ * @param {String} time valid local time i.e 21:30
+ * @return {Number|undefined} minutes since midnight or undefined if invalid
+ * @since 0.7.0
+ * @private
+ */
+function minutesOf(time) {
+  const parts = TIME.exec(_.trim(time));
+  return (parts ? (Number(parts[1]) * 60) + Number(parts[2]) : undefined);
+}
+
+
+/**
+ * @name localMinutes
+ * @description obtain minutes since local midnight of a time in a given
+ *              time zone
+ * @param {Date} date valid date
+ * @param {String} timezone valid IANA time zone
+ * @return {Number} minutes since local midnight
+ * @since 0.7.0
+ * @private
+ */
+function localMinutes(date, timezone) {
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const valueOf = function (type) {
+    return Number(_.get(_.find(parts, { type: type }), 'value'));
+  };
+
+  return (valueOf('hour') * 60) + valueOf('minute');
+
+}
+
+
+/**
+ * @name isTimezone
+ * @description check if a time zone is a valid IANA time zone
+ * @param {String} timezone time zone to check
+ * @return {Boolean} whether time zone is valid
+ * @since 0.7.0
+ * @private
+ */
+function isTimezone(timezone) {
+  try {
+    localMinutes(new Date(), timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+
+/**
+ * @name zoneOf
+ * @description obtain time zone used to check quiet window. Invalid
+ *              receiver time zone fall back to window time zone
+ * @param {Object} window valid quiet window
+ * @param {String} [timezone] receiver IANA time zone
+ * @return {String} valid IANA time zone
+ * @since 0.7.0
+ * @private
+ */
+function zoneOf(window, timezone) {
+  return ((timezone && isTimezone(timezone)) ? timezone : window.timezone);
+}
+
+
+/**
+ * @name invalid
+ * @description build invalid quiet hours error
+ * @param {String} reason why quiet hours are invalid
+ * @return {Error} invalid quiet hours error
+ * @since 0.7.0
+ * @private
+ */
+function invalid(reason) {
+  let error = new Error('Invalid Quiet Hours');
+  error.status = 400;
+  error.reason = reason;
+  return error;
+}
+
+
+/**
+ * @name window
+ * @description obtain quiet window of a given message type by merging
+ *              global and per type quiet hours
+ * @param {Object} options valid quiet hours options
+ * @param {String} options.start local start time i.e 21:00
+ * @param {String} options.end local end time i.e 07:00
+ * @param {String} [options.timezone] default IANA time zone
+ * @param {Object} [options.types] per message type quiet hours. Type set
+ *                                 to false has no quiet hours
+ * @param {String} [type] valid message type i.e SMS
+ * @return {Object|undefined} quiet window or undefined if none
+ * @throws {Error} invalid quiet hours
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * quiet.window({
+ *   start: '21:00', end: '07:00',
+ *   types: { EMAIL: false, SMS: { start: '20:00' } }
+ * }, 'SMS');
+ * //=> { start: '20:00', end: '07:00', timezone: 'UTC' }
+ *
+ */
+exports.window = function window(options, type) {
+
+  //ignore disabled quiet hours
+  if (!options || options.enabled === false) {
+    return undefined;
+  }
+
+  //ignore message type without quiet hours
+  const typed = _.get(options, ['types', type]);
+  if (typed === false) {
+    return undefined;
+  }
+
+  //merge global and per type quiet hours
+  const merged = _.merge({}, { timezone: DEFAULT_TIMEZONE },
+    _.pick(options, ['start', 'end', 'timezone']), typed);
+
+  //ignore unspecified quiet hours
+  if (!merged.start || !merged.end) {
+    return undefined;
+  }
+
+  //ensure valid window
+  if (minutesOf(merged.start) === undefined) {
+    throw invalid('start');
+  }
+  if (minutesOf(merged.end) === undefined) {
+    throw invalid('end');
+  }
+  if (!isTimezone(merged.timezone)) {
+    throw invalid('timezone');
+  }
+
+  return _.pick(merged, ['start', 'end', 'timezone']);
+
+};
+
+
+/**
+ * @name isQuiet
+ * @description check if a time is within quiet window
+ * @param {Date} date valid date
+ * @param {Object} window valid quiet window
+ * @param {String} [timezone] receiver IANA time zone. default to window
+ *                            time zone if not set or invalid
+ * @return {Boolean} whether time is quiet
+ * @since 0.7.0
+ * @public
+ */
+exports.isQuiet = function isQuiet(date, window, timezone) {
+
+  //no quiet window
+  if (!window) {
+    return false;
+  }
+
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+  const now = localMinutes(date, zoneOf(window, timezone));
+
+  //window within a day i.e 13:00 - 14:00
+  if (start <= end) {
+    return (now >= start && now < end);
+  }
+
+  //window span midnight i.e 21:00 - 07:00
+  return (now >= start || now < end);
+
+};
+
+
+/**
+ * @name next
+ * @description obtain next allowed send time i.e end of quiet window
+ * @param {Date} date valid date
+ * @param {Object} window valid quiet window
+ * @param {String} [timezone] receiver IANA time zone. default to window
+ *                            time zone if not set or invalid
+ * @return {Date} given date if not quiet or end of quiet window
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * quiet.next(new Date('2018-07-01T23:15:00Z'), {
+ *   start: '21:00', end: '07:00'
+ * });
+ * //=> 2018-07-02T07:00:00.000Z
+ *
+ */
+exports.next = function next(date, window, timezone) {
+
+  //use given time if not quiet
+  if (!exports.isQuiet(date, window, timezone)) {
+    return date;
+  }
+
+  //obtain minutes until window end
+  const end = minutesOf(window.end);
+  const now = localMinutes(date, zoneOf(window, timezone));
+  const minutes = (end - now + DAY_MINUTES) % DAY_MINUTES;
+
+  //move to start of window end minute
+  //NOTE! time zone offsets are in whole minutes
+  const start = date.getTime() - (date.getTime() % 60000);
+  return new Date(start + (minutes * 60000));
+
+};
+
+
+/**
+ * expose default time zone
+ */
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
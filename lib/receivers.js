@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * @module receivers
+ * @description track send result per message receiver for transport(s)
+ *              which send to each receiver separately i.e smpp, http.
+ *
+ *              Per receiver results are kept on `message.result.receivers`
+ *              for both succeed and failed send. A retried message is only
+ *              sent to its receiver(s) which were not accepted on previous
+ *              send(s), so that accepted receiver(s) never receive same
+ *              message twice.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @private
+ * @example
+ *
+ * const pending = receivers.pending(message);
+ * //=> { receivers: ['255714000001'], accepted: [{ to, messageId }], ... }
+ *
+ * const collected = receivers.collect(pending, [
+ *   { to: '255714000001', messageId: '2' }
+ * ]);
+ * //=> { result: { messageId: '1', messageIds: ['1', '2'], receivers } }
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * @name pending
+ * @description obtain message receiver(s) not yet accepted on previous
+ *              send(s) and result(s) of already accepted receiver(s)
+ * @param {Message} message valid message instance
+ * @return {Object} pending receivers, accepted results and previous
+ *                  delivery receipts
+ * @since 0.7.0
+ * @public
+ */
+exports.pending = function pending(message) {
+
+  //obtain previous send result
+  const result = _.get(message, 'result');
+
+  //obtain receivers accepted on previous send(s)
+  const accepted = _.filter(_.get(result, 'receivers'), function (receiver) {
+    return !_.isEmpty(receiver) && !receiver.error;
+  });
+  const acceptedTo = _.map(accepted, 'to');
+
+  //obtain receivers to send to
+  const receivers = _.filter(_.compact([].concat(message.to)), function (to) {
+    return !_.includes(acceptedTo, to);
+  });
+
+  return {
+    receivers: receivers,
+    accepted: accepted,
+    receipts: _.get(result, 'receipts')
+  };
+
+};
+
+
+/**
+ * @name collect
+ * @description merge per receiver results of current send with accepted
+ *              results of previous send(s). Send fail if any receiver
+ *              failed and its error keep all per receiver results
+ * @param {Object} pending valid pending receivers
+ * @param {Object[]} results per receiver results i.e { to, messageId }
+ *                           or { to, error }
+ * @return {Object} collected `{ error }` or `{ result }`
+ * @since 0.7.0
+ * @public
+ */
+exports.collect = function collect(pending, results) {
+
+  //normalize receiver errors
+  results = _.map(_.compact(results), function (result) {
+    if (result.error instanceof Error) {
+      result = _.assign({}, result, {
+        error: _.omitBy({
+          code: result.error.code,
+          message: result.error.message,
+          status: result.error.status,
+          transient: result.error.transient
+        }, _.isUndefined)
+      });
+    }
+    return result;
+  });
+
+  //merge accepted and current results
+  const all = [].concat(pending.accepted, results);
+  const failed = _.filter(all, 'error');
+  const messageIds = _.compact(_.map(_.reject(all, 'error'), 'messageId'));
+
+  //prepare per receiver details
+  const details = _.omitBy({
+    messageIds: messageIds,
+    receivers: all,
+    receipts: pending.receipts
+  }, _.isUndefined);
+
+  //notify failure with per receiver results
+  if (!_.isEmpty(failed)) {
+    return { error: _.merge({}, _.first(failed).error, details) };
+  }
+
+  //notify success
+  return {
+    result: _.merge({ messageId: _.first(messageIds) }, details)
+  };
+
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * @module recipient
+ * @description mongoose model to store campaign recipient(s) outside of
+ *              their campaign so that campaign(s) with many recipients do
+ *              not hit document size limit and are fanned out by streaming
+ *              their recipient(s) batch by batch.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const mongoose = require('mongoose');
+let Schema = mongoose.Schema;
+const ObjectId = Schema.Types.ObjectId;
+const Mixed = Schema.Types.Mixed;
+
+
+/**
+ * model name used by recipient
+ */
+const campaignModelName = 'Campaign';
+
+
+/**
+ * @name RecipientSchema
+ * @description campaign recipient schema
+ * @type {Schema}
+ */
+let RecipientSchema = new Schema({
+  /**
+   * @name campaign
+   * @description campaign of the recipient
+   * @since 0.7.0
+   * @type {Object}
+   */
+  campaign: {
+    type: ObjectId,
+    ref: campaignModelName,
+    required: true
+  },
+
+
+  /**
+   * @name index
+   * @description recipient position on the campaign used to fan out
+   * campaign in batches
+   * @since 0.7.0
+   * @type {Object}
+   */
+  index: {
+    type: Number,
+    required: true
+  },
+
+
+  /**
+   * @name to
+   * @description recipient address i.e phone number, email, device owner
+   * @since 0.7.0
+   * @type {Object}
+   */
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+
+  /**
+   * @name data
+   * @description recipient specific variable(s) used to personalise message
+   * @since 0.7.0
+   * @type {Object}
+   */
+  data: {
+    type: Mixed
+  },
+
+
+  /**
+   * @name locale
+   * @description recipient preferred locale used to select template variant
+   * @since 0.7.0
+   * @type {Object}
+   */
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+
+}, {
+  timestamps: true
+});
+
+
+//ensure single recipient per campaign position and ordered batch lookup
+RecipientSchema.index({
+  campaign: 1,
+  index: 1
+}, { unique: true });
+
+
+/**
+ * export recipient schema
+ * @type {mongoose.Schema}
+ */
+exports = module.exports = RecipientSchema;
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * @module request
+ * @description minimal http(s) client used by http based transport(s)
+ *              i.e http, push.
+ *
+ *              It send a single request and callback with error, response
+ *              and its body. Json body is parsed when json is requested.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @private
+ * @example
+ *
+ * request({
+ *   url: 'https://api.example.com/sms/send',
+ *   method: 'POST',
+ *   json: { to: '255714000000', text: 'Hello' },
+ *   timeout: 30000
+ * }, function(error, response, body){
+ *   ...
+ * });
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const http = require('http');
+const https = require('https');
+const querystring = require('querystring');
+const url = require('url');
+
+
+/**
+ * @name request
+ * @description send http(s) request
+ * @param {Object} options valid request options
+ * @param {String} options.url request url
+ * @param {String} [options.method] request method. default to GET
+ * @param {Object} [options.headers] request headers
+ * @param {Object} [options.qs] request query string
+ * @param {Object|Boolean} [options.json] request json body or true to
+ *                                        only parse json response
+ * @param {Object} [options.form] request url encoded form body
+ * @param {Number} [options.timeout] milliseconds to wait for response
+ * @param {Function} done a callback to invoke on success or failure
+ * @return {Object|Error} response and its body or error
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function request(options, done) {
+
+  //ensure single callback i.e error after timeout
+  done = _.once(done);
+
+  //prepare url
+  let target;
+  try {
+    target = new url.URL(options.url);
+  } catch (error) {
+    return done(error);
+  }
+
+  //append query string
+  _.forEach(options.qs, function (value, key) {
+    _.forEach(_.reject([].concat(value), _.isNil), function (value) {
+      target.searchParams.append(key, value);
+    });
+  });
+
+  //prepare body and its headers
+  let headers = {};
+  let body;
+  if (options.form) {
+    body = querystring.stringify(options.form);
+    headers['content-type'] = 'application/x-www-form-urlencoded';
+  } else if (options.json && options.json !== true) {
+    body = JSON.stringify(options.json);
+    headers['content-type'] = 'application/json';
+  }
+  if (options.json) {
+    headers.accept = 'application/json';
+  }
+
+  //NOTE! provided headers take precedence
+  headers = _.merge(headers, options.headers);
+  if (body) {
+    headers['content-length'] = Buffer.byteLength(body);
+  }
+
+  //send request
+  const client = (target.protocol === 'https:' ? https : http);
+  const req = client.request(target, {
+    method: (options.method || 'GET'),
+    headers: headers
+  }, function (response) {
+
+    //collect response body
+    let chunks = [];
+    response.on('data', function (chunk) {
+      chunks.push(chunk);
+    });
+
+    response.on('end', function () {
+
+      //parse json response
+      let data = Buffer.concat(chunks).toString();
+      if (options.json && data) {
+        try {
+          data = JSON.parse(data);
+        } catch (e) { /*ignore*/ }
+      }
+
+      done(null, response, data);
+
+    });
+
+    response.on('error', done);
+
+  });
+
+  //fail request on timeout
+  if (options.timeout) {
+    req.setTimeout(options.timeout, function () {
+      let error = new Error('Request Timeout');
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+  }
+
+  req.on('error', done);
+
+  req.end(body);
+
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * @module retry
+ * @description classify send error(s) and compute retry delay(s).
+ *
+ *              A send error is either transient i.e network failure,
+ *              provider throttling or temporary outage, and it is retried,
+ *              or permanent i.e invalid receiver or rejected content, and it
+ *              is never retried.
+ *
+ *              An error may be classified by setting its `transient` flag,
+ *              by transport `classify(error)` hook or using default network
+ *              and http status rules.
+ *
+ *              Retry delay is computed using a named backoff strategy i.e
+ *              fixed, linear, exponential or a registered custom strategy.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * send error classes
+ */
+const FAILURE_TRANSIENT = 'Transient';
+const FAILURE_PERMANENT = 'Permanent';
+
+
+/**
+ * default retry policy
+ */
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF = { type: 'exponential', delay: 60000 };
+
+
+/**
+ * network error codes which are always transient
+ */
+const TRANSIENT_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'ECONNECTION', 'ETHROTTLED'
+];
+
+
+/**
+ * http statuses which are transient i.e timeout, throttle and server errors
+ */
+const TRANSIENT_STATUSES = [408, 425, 429];
+
+
+/**
+ * registered backoff strategies keyed by their names.
+ * A strategy compute delay in milliseconds of a given attempt
+ */
+let strategies = {};
+
+
+/**
+ * @name classify
+ * @description classify send error as transient or permanent
+ * @param {Object} error valid send error
+ * @param {Object} [transport] transport which failed to send a message
+ * @return {String} Transient or Permanent
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * retry.classify({ code: 'ECONNRESET' });
+ * //=> Transient
+ *
+ * retry.classify({ code: 'EHTTP', status: 400 });
+ * //=> Permanent
+ *
+ */
+exports.classify = function classify(error, transport) {
+
+  //use error classification
+  if (_.isBoolean(_.get(error, 'transient'))) {
+    return (error.transient ? FAILURE_TRANSIENT : FAILURE_PERMANENT);
+  }
+
+  //use transport classification
+  if (transport && _.isFunction(transport.classify)) {
+    const classified = transport.classify(error);
+    if (_.includes([FAILURE_TRANSIENT, FAILURE_PERMANENT], classified)) {
+      return classified;
+    }
+  }
+
+  //network error is transient
+  if (_.includes(TRANSIENT_CODES, _.get(error, 'code'))) {
+    return FAILURE_TRANSIENT;
+  }
+
+  //http client error is permanent except timeout and throttling
+  const status = Number(_.get(error, 'status'));
+  if (status >= 400 && status < 500) {
+    return (_.includes(TRANSIENT_STATUSES, status) ?
+      FAILURE_TRANSIENT : FAILURE_PERMANENT);
+  }
+
+  //unknown or server error is transient
+  return FAILURE_TRANSIENT;
+
+};
+
+
+/**
+ * @name strategy
+ * @description register custom backoff strategy
+ * @param {String} name unique strategy name
+ * @param {Function} fn function which compute delay of a given attempt
+ *                      i.e function(attempt, delay){ return delay; }
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * retry.strategy('hourly', function(attempt){
+ *   return 3600000;
+ * });
+ *
+ */
+exports.strategy = function strategy(name, fn) {
+
+  //ensure strategy name
+  if (!name || !_.isString(name)) {
+    throw new Error('Missing Backoff Strategy Name');
+  }
+
+  //ensure strategy function
+  if (!_.isFunction(fn)) {
+    throw new Error('Invalid Backoff Strategy ' + name +
+      '. Missing strategy function');
+  }
+
+  strategies[name] = fn;
+
+};
+
+
+/**
+ * @name delay
+ * @description compute delay before a given retry attempt
+ * @param {String|Object} [backoff] strategy name or
+ *                                  `{ type, delay, maxDelay }`
+ * @param {Number} attempt number of attempt(s) already made
+ * @return {Number} delay in milliseconds
+ * @throws {Error} unknown backoff strategy
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * retry.delay({ type: 'exponential', delay: 1000 }, 3);
+ * //=> 4000
+ *
+ */
+exports.delay = function delay(backoff, attempt) {
+
+  //normalize backoff
+  backoff = _.merge({}, DEFAULT_BACKOFF,
+    (_.isString(backoff) ? { type: backoff } : backoff));
+
+  //ensure known strategy
+  const fn = strategies[backoff.type];
+  if (!fn) {
+    let error = new Error('Unknown Backoff Strategy ' + backoff.type);
+    error.status = 400;
+    throw error;
+  }
+
+  //compute and cap delay
+  const computed = Math.max(0, Number(fn(attempt, backoff.delay)) || 0);
+  return (backoff.maxDelay ? Math.min(computed, backoff.maxDelay) : computed);
+
+};
+
+
+/**
+ * @name reset
+ * @description remove custom strategies and register default strategies
+ * @since 0.7.0
+ * @private
+ */
+exports.reset = function reset() {
+
+  strategies = {};
+
+  //same delay on each attempt
+  exports.strategy('fixed', function (attempt, delay) {
+    return delay;
+  });
+
+  //delay grow with number of attempts
+  exports.strategy('linear', function (attempt, delay) {
+    return delay * attempt;
+  });
+
+  //delay double on each attempt
+  exports.strategy('exponential', function (attempt, delay) {
+    return delay * Math.pow(2, Math.max(0, attempt - 1));
+  });
+
+};
+
+
+//register default strategies
+exports.reset();
+
+
+/**
+ * expose failure classes and defaults
+ */
+exports.FAILURE_TRANSIENT = FAILURE_TRANSIENT;
+exports.FAILURE_PERMANENT = FAILURE_PERMANENT;
+exports.FAILURES = [FAILURE_TRANSIENT, FAILURE_PERMANENT];
+exports.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS;
+exports.DEFAULT_BACKOFF = DEFAULT_BACKOFF;
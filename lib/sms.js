@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * @module sms
+ * @description analyze sms body encoding and segments.
+ *
+ *              SMS body is encoded using GSM-7 if all of its characters
+ *              are in GSM 03.38 alphabet, otherwise UCS-2 is used. A single
+ *              segment hold 160 GSM-7 or 70 UCS-2 characters and each segment
+ *              of a concatenated(multipart) sms hold 153 GSM-7 or 67 UCS-2
+ *              characters. GSM-7 extension characters i.e `{}[]~^|\€` count
+ *              as two characters.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/GSM_03.38}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+
+
+/**
+ * sms encodings
+ */
+const ENCODING_GSM = 'GSM-7';
+const ENCODING_UCS2 = 'UCS-2';
+
+
+/**
+ * GSM 03.38 basic and extension characters
+ */
+const GSM_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENSION = '\f^{}\\[~]|€';
+
+
+/**
+ * segment limits per encoding
+ */
+const LIMITS = {};
+LIMITS[ENCODING_GSM] = { single: 160, multi: 153 };
+LIMITS[ENCODING_UCS2] = { single: 70, multi: 67 };
+
+
+/**
+ * common non GSM characters and their GSM transliteration
+ */
+const TRANSLITERATIONS = {
+  '‘': '\'', '’': '\'', '‚': '\'', '‛': '\'', '´': '\'', '`': '\'',
+  '“': '"', '”': '"', '„': '"', '‟': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '‐': '-', '‑': '-', '−': '-',
+  '…': '...', '•': '-', ' ': ' ', '\t': ' ',
+  '©': '(c)', '®': '(r)', '™': 'TM'
+};
+
+
+/**
+ * @name isGsm
+ * @description check if a character is in GSM 03.38 alphabet
+ * @param {String} char valid character
+ * @return {Boolean} whether character is GSM
+ * @since 0.7.0
+ * @private
+ */
+function isGsm(char) {
+  return (_.includes(GSM_BASIC, char) || _.includes(GSM_EXTENSION, char));
+}
+
+
+/**
+ * @name units
+ * @description split text into encoding units i.e GSM-7 septets or UCS-2
+ *              code units. Extension characters and surrogate pairs are kept
+ *              together so that they are never split across segments
+ * @param {String} text valid sms text
+ * @param {String} encoding valid sms encoding
+ * @return {Object[]} characters with their units length
+ * @since 0.7.0
+ * @private
+ */
+function units(text, encoding) {
+  return _.map(_.toArray(text), function (char) {
+    const length = (encoding === ENCODING_GSM ?
+      (_.includes(GSM_EXTENSION, char) ? 2 : 1) : char.length);
+    return { char: char, length: length };
+  });
+}
+
+
+/**
+ * @name split
+ * @description split text into segments of a given size
+ * @param {String} text valid sms text
+ * @param {String} encoding valid sms encoding
+ * @return {String[]} text segments
+ * @since 0.7.0
+ * @private
+ */
+function split(text, encoding) {
+
+  const chars = units(text, encoding);
+  const limit = LIMITS[encoding];
+
+  //single segment sms
+  if (_.sumBy(chars, 'length') <= limit.single) {
+    return _.isEmpty(chars) ? [] : [text];
+  }
+
+  //multipart sms
+  let segments = [];
+  let segment = '';
+  let size = 0;
+  _.forEach(chars, function (char) {
+    if (size + char.length > limit.multi) {
+      segments.push(segment);
+      segment = '';
+      size = 0;
+    }
+    segment = segment + char.char;
+    size = size + char.length;
+  });
+  segments.push(segment);
+
+  return segments;
+
+}
+
+
+/**
+ * @name encoding
+ * @description detect encoding required to send a given text
+ * @param {String} text valid sms text
+ * @return {String} GSM-7 or UCS-2
+ * @since 0.7.0
+ * @public
+ */
+exports.encoding = function encoding(text) {
+  return (_.every(_.toArray(text), isGsm) ? ENCODING_GSM : ENCODING_UCS2);
+};
+
+
+/**
+ * @name analyze
+ * @description analyze encoding and segments of a given text
+ * @param {String} text valid sms text
+ * @return {Object} text encoding, length in encoding units and segments
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * sms.analyze('Hello');
+ * //=> { encoding: 'GSM-7', length: 5, segments: 1 }
+ *
+ */
+exports.analyze = function analyze(text) {
+
+  text = (text || '');
+
+  const encoding = exports.encoding(text);
+
+  return {
+    encoding: encoding,
+    length: _.sumBy(units(text, encoding), 'length'),
+    segments: _.size(split(text, encoding))
+  };
+
+};
+
+
+/**
+ * @name transliterate
+ * @description replace common non GSM characters i.e smart quotes and
+ *              accented letters with their GSM equivalent. Characters
+ *              without GSM equivalent are kept
+ * @param {String} text valid sms text
+ * @return {String} transliterated text
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * sms.transliterate('“Karibu” – Dar es Salaam');
+ * //=> '"Karibu" - Dar es Salaam'
+ *
+ */
+exports.transliterate = function transliterate(text) {
+  return _.map(_.toArray(text), function (char) {
+
+    //keep GSM character
+    if (isGsm(char)) {
+      return char;
+    }
+
+    //use known transliteration
+    if (_.has(TRANSLITERATIONS, char)) {
+      return TRANSLITERATIONS[char];
+    }
+
+    //use letter without diacritics i.e á to a
+    const deburred = _.deburr(char);
+    return (_.every(_.toArray(deburred), isGsm) ? deburred : char);
+
+  }).join('');
+};
+
+
+/**
+ * @name truncate
+ * @description truncate text to fit into a given number of segments
+ * @param {String} text valid sms text
+ * @param {Number} segments maximum number of segments
+ * @return {String} truncated text
+ * @since 0.7.0
+ * @public
+ */
+exports.truncate = function truncate(text, segments) {
+
+  const encoding = exports.encoding(text);
+  const limit = LIMITS[encoding];
+
+  //obtain allowed units
+  const allowed =
+    (segments > 1 ? segments * limit.multi : limit.single);
+
+  //take characters until allowed units
+  let size = 0;
+  return _.map(_.takeWhile(units(text, encoding), function (char) {
+    size = size + char.length;
+    return size <= allowed;
+  }), 'char').join('');
+
+};
+
+
+/**
+ * expose encodings
+ */
+exports.ENCODING_GSM = ENCODING_GSM;
+exports.ENCODING_UCS2 = ENCODING_UCS2;
+exports.ENCODINGS = [ENCODING_GSM, ENCODING_UCS2];
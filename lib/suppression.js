@@ -0,0 +1,418 @@
+'use strict';
+
+/**
+ * @module suppression
+ * @description mongoose model to manage suppressed receiver address(es)
+ *              per message type i.e citizen who replied STOP or e-mail
+ *              address that hard bounced.
+ *
+ *              Message(s) to suppressed address(es) are not sent. A
+ *              suppression is lifted instead of removed so that its reason
+ *              and source are kept for auditing.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const mongoose = require('mongoose');
+const address = require('./address');
+let Schema = mongoose.Schema;
+const ObjectId = Schema.Types.ObjectId;
+
+
+/**
+ * suppressed message types
+ */
+const TYPE_SMS = 'SMS';
+const TYPE_EMAIL = 'EMAIL';
+const TYPE_PUSH = 'PUSH';
+
+
+/**
+ * suppression reasons
+ */
+const REASON_OPT_OUT = 'OptOut';
+const REASON_BOUNCE = 'Bounce';
+const REASON_COMPLAINT = 'Complaint';
+const REASON_MANUAL = 'Manual';
+
+
+/**
+ * suppression sources
+ */
+const SOURCE_INBOUND = 'Inbound';
+const SOURCE_DELIVERY_REPORT = 'DeliveryReport';
+const SOURCE_API = 'API';
+
+
+/**
+ * model name used by suppression
+ */
+const messageModelName = 'Message';
+
+
+/**
+ * @name bare
+ * @description obtain bare address of a given message type so that it
+ *              match bare address of message receivers i.e e-mail without
+ *              display name and with lowercased domain
+ * @param {String} type valid message type
+ * @param {String} value valid address
+ * @return {String} bare address
+ * @since 0.7.0
+ * @private
+ */
+function bare(type, value) {
+
+  //obtain address options
+  let options;
+  try {
+    options = _.get(mongoose.model(messageModelName), 'options.address');
+  } catch (error) {
+    options = undefined;
+  }
+
+  //use bare address or keep trimmed address as is
+  return (address.bare(type, value, options) || _.trim(value));
+
+}
+
+
+/**
+ * @name normalize
+ * @description normalize address(es) of a given message type into their
+ *              bare address(es)
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @return {String[]} bare address(es)
+ * @since 0.7.0
+ * @private
+ */
+function normalize(type, addresses) {
+  return _.uniq(_.compact(_.map([].concat(addresses), function (value) {
+    return bare(type, value);
+  })));
+}
+
+
+/**
+ * @name SuppressionSchema
+ * @description suppression schema
+ * @type {Schema}
+ */
+let SuppressionSchema = new Schema({
+  /**
+   * @name type
+   * @description type of suppressed message(s) i.e SMS, e-mail, push etc
+   * @since 0.7.0
+   * @type {Object}
+   */
+  type: {
+    type: String,
+    required: true,
+    enum: [TYPE_EMAIL, TYPE_SMS, TYPE_PUSH]
+  },
+
+
+  /**
+   * @name address
+   * @description suppressed receiver address i.e phone number, email
+   * @since 0.7.0
+   * @type {Object}
+   */
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+
+  /**
+   * @name reason
+   * @description why address was suppressed i.e OptOut, Bounce
+   * @since 0.7.0
+   * @type {Object}
+   */
+  reason: {
+    type: String,
+    default: REASON_MANUAL,
+    enum: [REASON_OPT_OUT, REASON_BOUNCE, REASON_COMPLAINT, REASON_MANUAL],
+    index: true
+  },
+
+
+  /**
+   * @name source
+   * @description where suppression came from i.e Inbound, DeliveryReport
+   * @since 0.7.0
+   * @type {Object}
+   */
+  source: {
+    type: String,
+    default: SOURCE_API,
+    enum: [SOURCE_INBOUND, SOURCE_DELIVERY_REPORT, SOURCE_API],
+    index: true
+  },
+
+
+  /**
+   * @name message
+   * @description message which caused the suppression i.e received STOP
+   * or bounced message
+   * @since 0.7.0
+   * @type {Object}
+   */
+  message: {
+    type: ObjectId,
+    ref: messageModelName
+  },
+
+
+  /**
+   * @name note
+   * @description human readable suppression details i.e bounce diagnostic
+   * @since 0.7.0
+   * @type {Object}
+   */
+  note: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name suppressedAt
+   * @description latest time address was suppressed
+   * @since 0.7.0
+   * @type {Object}
+   */
+  suppressedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+
+  /**
+   * @name liftedAt
+   * @description time suppression was lifted. Only suppression without
+   * lifted time is active
+   * @since 0.7.0
+   * @type {Object}
+   */
+  liftedAt: {
+    type: Date,
+    index: true
+  }
+
+}, {
+  timestamps: true
+});
+
+
+//ensure single suppression per message type and address
+SuppressionSchema.index({
+  type: 1,
+  address: 1
+}, { unique: true });
+
+
+//-----------------------------------------------------------------------------
+// static properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * suppression reasons
+ */
+SuppressionSchema.statics.REASON_OPT_OUT = REASON_OPT_OUT;
+SuppressionSchema.statics.REASON_BOUNCE = REASON_BOUNCE;
+SuppressionSchema.statics.REASON_COMPLAINT = REASON_COMPLAINT;
+SuppressionSchema.statics.REASON_MANUAL = REASON_MANUAL;
+SuppressionSchema.statics.REASONS = [
+  REASON_OPT_OUT, REASON_BOUNCE, REASON_COMPLAINT, REASON_MANUAL
+];
+
+
+/**
+ * suppression sources
+ */
+SuppressionSchema.statics.SOURCE_INBOUND = SOURCE_INBOUND;
+SuppressionSchema.statics.SOURCE_DELIVERY_REPORT = SOURCE_DELIVERY_REPORT;
+SuppressionSchema.statics.SOURCE_API = SOURCE_API;
+SuppressionSchema.statics.SOURCES = [
+  SOURCE_INBOUND, SOURCE_DELIVERY_REPORT, SOURCE_API
+];
+
+
+/**
+ * @name suppress
+ * @description suppress or re-suppress address(es) of a given message type
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @param {Object} [options] valid suppression details
+ * @param {String} [options.reason] suppression reason. default to Manual
+ * @param {String} [options.source] suppression source. default to API
+ * @param {ObjectId} [options.message] message which caused the suppression
+ * @param {String} [options.note] suppression details
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Suppression[]} active suppressions
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * Suppression.suppress('SMS', '+255714000000', {
+ *   reason: Suppression.REASON_OPT_OUT
+ * }, function(error, suppressions){
+ *   ...
+ * });
+ *
+ */
+SuppressionSchema.statics.suppress = function (type, addresses, options,
+  done) {
+
+  //this refer to Suppression static context
+
+  //normalize arguments
+  if (options && _.isFunction(options)) {
+    done = options;
+    options = {};
+  }
+
+  //reference
+  const Suppression = this;
+
+  //prepare suppression details
+  const details = _.merge({}, _.pick(options, [
+    'reason', 'source', 'message', 'note'
+  ]), { suppressedAt: new Date() });
+
+  //upsert and re-activate suppression per address
+  async.map(normalize(type, addresses), function (_address, next) {
+    Suppression.findOneAndUpdate({ type: type, address: _address }, {
+      $set: details,
+      $unset: { liftedAt: 1 }
+    }, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    }, next);
+  }, done);
+
+};
+
+
+/**
+ * @name lift
+ * @description lift active suppression(s) of given address(es)
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {String[]} lifted address(es)
+ * @since 0.7.0
+ * @public
+ */
+SuppressionSchema.statics.lift = function lift(type, addresses, done) {
+
+  //this refer to Suppression static context
+
+  //normalize addresses
+  addresses = normalize(type, addresses);
+
+  //do nothing
+  if (_.isEmpty(addresses)) {
+    return done(null, addresses);
+  }
+
+  //mark active suppressions as lifted
+  this.updateMany({
+    type: type,
+    address: { $in: addresses },
+    liftedAt: null
+  }, { $set: { liftedAt: new Date() } }, function (error) {
+    done(error, addresses);
+  });
+
+};
+
+
+/**
+ * @name suppressed
+ * @description obtain suppressed address(es) among given address(es).
+ *              Address(es) are compared using their bare address(es)
+ * @param {String} type valid message type
+ * @param {String|String[]} addresses valid address(es)
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {String[]} suppressed address(es)
+ * @since 0.7.0
+ * @public
+ */
+SuppressionSchema.statics.suppressed = function (type, addresses, done) {
+
+  //this refer to Suppression static context
+
+  //normalize addresses
+  addresses = _.compact([].concat(addresses));
+  const bares = normalize(type, addresses);
+
+  //do nothing
+  if (_.isEmpty(bares)) {
+    return done(null, bares);
+  }
+
+  //find active suppressions
+  this.find({
+    type: type,
+    address: { $in: bares },
+    liftedAt: null
+  }).select('address').exec(function (error, suppressions) {
+
+    //obtain given address(es) which are suppressed
+    //NOTE! given address may differ from its bare suppressed address
+    //i.e e-mail with display name
+    const suppressed = _.map(suppressions, 'address');
+    done(error, _.uniq(_.filter(addresses, function (value) {
+      return _.includes(suppressed, bare(type, value));
+    })));
+
+  });
+
+};
+
+
+/**
+ * @name list
+ * @description list active suppression(s) latest first
+ * @param {Object} [criteria] valid mongoose query criteria
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Suppression[]} active suppressions
+ * @since 0.7.0
+ * @public
+ */
+SuppressionSchema.statics.list = function list(criteria, done) {
+
+  //this refer to Suppression static context
+
+  //normalize arguments
+  if (criteria && _.isFunction(criteria)) {
+    done = criteria;
+    criteria = {};
+  }
+
+  //ensure active suppression
+  criteria = _.merge({}, { liftedAt: null }, criteria);
+
+  this.find(criteria).sort({ suppressedAt: -1 }).exec(done);
+
+};
+
+
+/**
+ * export suppression schema
+ * @type {mongoose.Schema}
+ */
+exports = module.exports = SuppressionSchema;
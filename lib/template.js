@@ -0,0 +1,524 @@
+'use strict';
+
+/**
+ * @module template
+ * @description mongoose model to manage message templates.
+ *
+ *              A template is keyed by its name, message type and locale. Its
+ *              subject and body are rendered using handlebars variables
+ *              i.e `{{name}}` and partials i.e `{{> footer}}`. Partials are
+ *              other templates of the same message type.
+ *
+ *              A template may have per locale variants i.e English and
+ *              Swahili which are templates of the same name and type but
+ *              different locale. A variant is selected using a locale
+ *              fallback chain i.e sw-TZ, sw, en.
+ *
+ * @see {@link http://handlebarsjs.com/}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const mongoose = require('mongoose');
+const isHtml = require('is-html');
+const Handlebars = require('handlebars');
+let Schema = mongoose.Schema;
+const Mixed = Schema.Types.Mixed;
+
+
+/**
+ * template message types
+ */
+const TYPE_SMS = 'SMS';
+const TYPE_EMAIL = 'EMAIL';
+const TYPE_PUSH = 'PUSH';
+
+
+/**
+ * default template locale
+ */
+const DEFAULT_LOCALE = 'en';
+
+
+/**
+ * partial reference pattern i.e {{> footer}}
+ */
+const PARTIAL = /{{>\s*([\w.-]+)[^}]*}}/g;
+
+
+/**
+ * @name partialsOf
+ * @description obtain names of the partials used in given sources
+ * @param {String[]} sources valid template sources
+ * @return {String[]} partial names
+ * @since 0.7.0
+ * @private
+ */
+function partialsOf(sources) {
+
+  let names = [];
+
+  _.forEach(_.compact(sources), function (source) {
+    let match;
+    PARTIAL.lastIndex = 0;
+    while ((match = PARTIAL.exec(source)) !== null) {
+      names.push(match[1]);
+    }
+  });
+
+  return _.uniq(names);
+
+}
+
+
+/**
+ * @name localesOf
+ * @description build locale fallback chain of a given locale
+ * @param {String} [locale] preferred locale i.e sw-TZ
+ * @param {String[]} [fallbacks] fallback locales i.e ['sw', 'en']
+ * @return {String[]} locale fallback chain
+ * @since 0.7.0
+ * @private
+ * @example
+ *
+ * localesOf('sw-TZ', ['en']);
+ * //=> ['sw-tz', 'sw', 'en']
+ *
+ */
+function localesOf(locale, fallbacks) {
+
+  //normalize locales
+  const locales = _.map(_.compact([].concat(locale)), _.toLower);
+
+  //add base language i.e sw for sw-TZ
+  const bases = _.map(locales, function (_locale) {
+    return _.first(_locale.split(/[-_]/));
+  });
+
+  //ensure fallback chain
+  fallbacks = _.isEmpty(fallbacks) ? [DEFAULT_LOCALE] : [].concat(fallbacks);
+
+  return _.uniq([].concat(locales, bases, _.map(fallbacks, _.toLower)));
+
+}
+
+
+/**
+ * @name pickLocale
+ * @description pick template with the most preferred locale
+ * @param {MessageTemplate[]} templates templates of different locales
+ * @param {String[]} locales locale fallback chain
+ * @return {MessageTemplate|undefined} preferred template
+ * @since 0.7.0
+ * @private
+ */
+function pickLocale(templates, locales) {
+  return _.first(_.sortBy(templates, function (template) {
+    return _.indexOf(locales, template.locale);
+  }));
+}
+
+
+/**
+ * @name MessageTemplateSchema
+ * @description message template schema
+ * @type {Schema}
+ */
+let MessageTemplateSchema = new Schema({
+  /**
+   * @name name
+   * @description unique template name per message type
+   * e.g service-request-received
+   * @since 0.7.0
+   * @type {Object}
+   */
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+
+
+  /**
+   * @name type
+   * @description message type of the template i.e SMS, e-mail, push etc
+   * @since 0.7.0
+   * @type {Object}
+   */
+  type: {
+    type: String,
+    default: TYPE_EMAIL,
+    enum: [TYPE_EMAIL, TYPE_SMS, TYPE_PUSH],
+    index: true
+  },
+
+
+  /**
+   * @name locale
+   * @description locale of the template variant i.e en, sw etc
+   * @since 0.7.0
+   * @type {Object}
+   */
+  locale: {
+    type: String,
+    default: DEFAULT_LOCALE,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+
+
+  /**
+   * @name description
+   * @description human readable description of the template
+   * @since 0.7.0
+   * @type {Object}
+   */
+  description: {
+    type: String,
+    trim: true
+  },
+
+
+  /**
+   * @name subject
+   * @description subject template of the message
+   * e.g Service Request {{code}}
+   * @since 0.7.0
+   * @type {Object}
+   */
+  subject: {
+    type: String
+  },
+
+
+  /**
+   * @name body
+   * @description body template of the message
+   * e.g Dear {{name}}, your service request {{code}} is received
+   * @since 0.7.0
+   * @type {Object}
+   */
+  body: {
+    type: String,
+    required: true
+  },
+
+
+  /**
+   * @name variables
+   * @description variable(s) which must be provided on render
+   * e.g ['name', 'code']
+   * @since 0.7.0
+   * @type {Object}
+   */
+  variables: {
+    type: [String]
+  },
+
+
+  /**
+   * @name defaults
+   * @description default variable(s) value used on render
+   * @since 0.7.0
+   * @type {Object}
+   */
+  defaults: {
+    type: Mixed
+  },
+
+
+  /**
+   * @name version
+   * @description template version. Incremented on each content change
+   * @since 0.7.0
+   * @type {Object}
+   */
+  version: {
+    type: Number,
+    default: 1
+  }
+
+}, {
+  timestamps: true
+});
+
+
+//ensure unique template name per message type and locale
+MessageTemplateSchema.index({
+  name: 1,
+  type: 1,
+  locale: 1
+}, { unique: true });
+
+
+//-----------------------------------------------------------------------------
+// hooks
+//-----------------------------------------------------------------------------
+
+/**
+ * @name preSave
+ * @description message template schema pre save hook
+ * @private
+ */
+MessageTemplateSchema.pre('save', function preSave(next) {
+
+  //bump version on content change
+  const changed = (
+    this.isModified('subject') || this.isModified('body') ||
+    this.isModified('variables')
+  );
+  if (!this.isNew && changed) {
+    this.version = (this.version || 1) + 1;
+  }
+
+  next();
+
+});
+
+
+//-----------------------------------------------------------------------------
+// instance properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * @name missing
+ * @description obtain required variable(s) not provided in given data
+ * @param {Object} [data] render data
+ * @return {String[]} missing variable names
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ */
+MessageTemplateSchema.methods.missing = function missing(data) {
+
+  //this refer to MessageTemplate instance context
+
+  data = _.merge({}, this.defaults, data);
+
+  return _.filter(this.variables, function (variable) {
+    return _.isNil(_.get(data, variable));
+  });
+
+};
+
+
+/**
+ * @name render
+ * @description render template subject and body using given data
+ * @param {Object} [data] render data
+ * @param {Object} [partials] partials templates keyed by name
+ * @return {Object} rendered subject and body
+ * @throws {Error} missing required variables or invalid template
+ * @type {Function}
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * const rendered = template.render({ name: 'John' });
+ * //=> { subject: ..., body: ... }
+ *
+ */
+MessageTemplateSchema.methods.render = function render(data, partials) {
+
+  //this refer to MessageTemplate instance context
+
+  //ensure required variables
+  const missing = this.missing(data);
+  if (!_.isEmpty(missing)) {
+    let error =
+      new Error('Missing Template Variables: ' + missing.join(', '));
+    error.status = 400;
+    error.variables = missing;
+    throw error;
+  }
+
+  //prepare render data and options
+  data = _.merge({}, this.defaults, data);
+  const options = {
+    partials: _.mapValues(_.merge({}, partials), function (partial) {
+      return _.get(partial, 'body', partial);
+    })
+  };
+
+  //compile template.
+  //NOTE! only html body is escaped
+  const compile = function (source, escape) {
+    return Handlebars.compile(source || '', { noEscape: !escape });
+  };
+
+  return _.omitBy({
+    subject: (this.subject ?
+      compile(this.subject, false)(data, options) : undefined),
+    body: compile(this.body, isHtml(this.body))(data, options)
+  }, _.isUndefined);
+
+};
+
+
+//-----------------------------------------------------------------------------
+// static properties & methods
+//-----------------------------------------------------------------------------
+
+/**
+ * template message types
+ */
+MessageTemplateSchema.statics.TYPE_SMS = TYPE_SMS;
+MessageTemplateSchema.statics.TYPE_EMAIL = TYPE_EMAIL;
+MessageTemplateSchema.statics.TYPE_PUSH = TYPE_PUSH;
+
+
+/**
+ * default template locale
+ */
+MessageTemplateSchema.statics.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+
+/**
+ * @name locales
+ * @description build locale fallback chain of a given locale
+ * @param {String} [locale] preferred locale i.e sw-TZ
+ * @param {String[]} [fallbacks] fallback locales i.e ['en']
+ * @return {String[]} locale fallback chain
+ * @since 0.7.0
+ * @public
+ */
+MessageTemplateSchema.statics.locales = localesOf;
+
+
+/**
+ * @name findByName
+ * @description find template by its name, optional message type and
+ *              optional locale fallback chain
+ * @param {String} name valid template name
+ * @param {String} [type] valid message type
+ * @param {String[]} [locales] locale fallback chain i.e ['sw', 'en']
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {MessageTemplate} found template
+ * @since 0.7.0
+ * @public
+ */
+MessageTemplateSchema.statics.findByName = function (name, type, locales,
+  done) {
+
+  //this refer to MessageTemplate static context
+
+  //normalize arguments
+  if (type && _.isFunction(type)) {
+    done = type;
+    type = undefined;
+    locales = undefined;
+  }
+  if (locales && _.isFunction(locales)) {
+    done = locales;
+    locales = undefined;
+  }
+
+  //prepare criteria
+  const criteria = _.omitBy({
+    name: name,
+    type: type,
+    locale: (_.isEmpty(locales) ? undefined : { $in: locales })
+  }, _.isUndefined);
+
+  this.find(criteria, function (error, templates) {
+
+    //pick most preferred locale variant
+    const template = pickLocale(templates, locales);
+
+    //notify template not found
+    if (!error && !template) {
+      error = new Error('Template Not Found: ' + name);
+      error.status = 404;
+    }
+
+    done(error, template);
+
+  });
+
+};
+
+
+/**
+ * @name partials
+ * @description load partial templates used by a given template
+ * @param {MessageTemplate} template valid template
+ * @param {String[]} [locales] locale fallback chain. default to template
+ *                             locale
+ * @param  {Function} done a callback to invoke on success or failure
+ * @return {Object} partial templates keyed by name
+ * @since 0.7.0
+ * @public
+ */
+MessageTemplateSchema.statics.partials = function (template, locales, done) {
+
+  //this refer to MessageTemplate static context
+
+  //normalize arguments
+  if (locales && _.isFunction(locales)) {
+    done = locales;
+    locales = undefined;
+  }
+  locales = _.isEmpty(locales) ? localesOf(template.locale) : locales;
+
+  //reference
+  const MessageTemplate = this;
+
+  let partials = {};
+  let pending = partialsOf([template.subject, template.body]);
+
+  //load nested partials until all are resolved
+  async.whilst(function () {
+    return !_.isEmpty(pending);
+  }, function (next) {
+    MessageTemplate.find({
+      name: { $in: pending },
+      type: template.type,
+      locale: { $in: locales }
+    }, function (error, founds) {
+
+      if (error) {
+        return next(error);
+      }
+
+      //collect most preferred locale variant of loaded partials
+      founds = _.map(_.groupBy(founds, 'name'), function (variants) {
+        return pickLocale(variants, locales);
+      });
+      _.forEach(founds, function (found) {
+        partials[found.name] = found;
+      });
+
+      //ensure all partials exists
+      const missing = _.difference(pending, _.keys(partials));
+      if (!_.isEmpty(missing)) {
+        error = new Error('Template Partials Not Found: ' + missing.join(', '));
+        error.status = 400;
+        return next(error);
+      }
+
+      //obtain next level partials
+      pending = _.difference(partialsOf(_.map(founds, 'body')),
+        _.keys(partials));
+
+      next();
+
+    });
+  }, function (error) {
+    done(error, partials);
+  });
+
+};
+
+
+/**
+ * export message template schema
+ * @type {mongoose.Schema}
+ */
+exports = module.exports = MessageTemplateSchema;
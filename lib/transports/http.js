@@ -0,0 +1,418 @@
+'use strict';
+
+/**
+ * @module http
+ * @description configurable http(webhook) transport to send message(s)
+ *              through http api i.e sms aggregators, chat platforms etc.
+ *
+ *              Request is build from a template mapping where `{{path}}`
+ *              placeholders are resolved from message details i.e `{{from}}`,
+ *              `{{to}}`, `{{body}}`, `{{subject}}`. A placeholder which is a
+ *              whole value keep its original type i.e `to` array.
+ *
+ *              Response is mapped by a response mapper which decide if
+ *              message was sent successfully and obtain provider message id.
+ *
+ *              Transport options can be overridden per message using
+ *              `message.options.http`.
+ *
+ *              When request is sent per receiver, result is kept per
+ *              receiver and a retried message is only sent to its
+ *              receiver(s) which failed on previous send(s).
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const http = require('open311-messages/lib/transports/http');
+ *
+ * Message.registerTransport(http({
+ *   name: 'aggregator',
+ *   types: [Message.TYPE_SMS],
+ *   url: 'https://api.example.com/sms/send',
+ *   method: 'POST',
+ *   headers: { Authorization: 'Bearer <token>' },
+ *   body: {
+ *     sender: '{{from}}',
+ *     receivers: '{{to}}',
+ *     text: '{{body}}'
+ *   },
+ *   response: {
+ *     success: { path: 'status', equals: 'OK' },
+ *     id: 'data.messageId',
+ *     error: 'error.message'
+ *   }
+ * }));
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const request = require('../request');
+const receivers = require('../receivers');
+
+
+/**
+ * template placeholder pattern i.e {{to}}
+ */
+const PLACEHOLDER = /{{\s*([\w.[\]]+)\s*}}/g;
+const WHOLE_PLACEHOLDER = /^{{\s*([\w.[\]]+)\s*}}$/;
+
+
+/**
+ * @name render
+ * @description render template mapping using provided data
+ * @param {Object|Array|String} template valid template mapping
+ * @param {Object} data data used to resolve placeholders
+ * @return {Object|Array|String} rendered template
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * render({ to: '{{to}}', text: 'Hi {{body}}' }, message);
+ * //=> { to: ['255714000000'], text: 'Hi Hello' }
+ *
+ */
+function render(template, data) {
+
+  //render string template
+  if (_.isString(template)) {
+
+    //keep placeholder value type
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      return _.get(data, whole[1]);
+    }
+
+    //interpolate placeholders
+    return template.replace(PLACEHOLDER, function (match, path) {
+      const value = _.get(data, path);
+      return _.isNil(value) ? '' : [].concat(value).join(',');
+    });
+
+  }
+
+  //render array template
+  if (_.isArray(template)) {
+    return _.map(template, function (value) {
+      return render(value, data);
+    });
+  }
+
+  //render object template
+  if (_.isPlainObject(template)) {
+    return _.mapValues(template, function (value) {
+      return render(value, data);
+    });
+  }
+
+  //return as is
+  return template;
+
+}
+
+
+/**
+ * @name matches
+ * @description check if response body satisfy success condition
+ * @param {Function|String|Object} condition valid success condition
+ * @param {Object} body response body
+ * @param {Object} response http response
+ * @return {Boolean} whether response is success
+ * @since 0.7.0
+ * @private
+ */
+function matches(condition, body, response) {
+
+  //use custom condition
+  if (_.isFunction(condition)) {
+    return condition(body, response);
+  }
+
+  //check path value is truthy
+  if (_.isString(condition)) {
+    return !!_.get(body, condition);
+  }
+
+  //check path value equality or inclusion
+  if (_.isPlainObject(condition)) {
+    const value = _.get(body, condition.path);
+    if (_.has(condition, 'equals')) {
+      return _.isEqual(value, condition.equals);
+    }
+    if (_.has(condition, 'in')) {
+      return _.includes(condition.in, value);
+    }
+    return !!value;
+  }
+
+  //default to successful http status
+  return true;
+
+}
+
+
+/**
+ * @name pick
+ * @description obtain value from response body using path or function
+ * @param {Function|String} picker valid path or function
+ * @param {Object} body response body
+ * @param {Object} response http response
+ * @return {Object} picked value
+ * @since 0.7.0
+ * @private
+ */
+function pick(picker, body, response) {
+
+  //use custom picker
+  if (_.isFunction(picker)) {
+    return picker(body, response);
+  }
+
+  //use path
+  if (_.isString(picker)) {
+    return _.get(body, picker);
+  }
+
+  return undefined;
+
+}
+
+
+/**
+ * @name map
+ * @description map http response into send error or result
+ * @param {Object} mapper valid response mapper
+ * @param {Object} response http response
+ * @param {Object} body response body
+ * @return {Object} mapped error or result
+ * @since 0.7.0
+ * @private
+ */
+function map(mapper, response, body) {
+
+  //use custom response mapper
+  if (_.isFunction(mapper)) {
+    return mapper(body, response);
+  }
+
+  //obtain http status
+  const status = response.statusCode;
+  const succeed = (status >= 200 && status < 300) &&
+    matches(mapper.success, body, response);
+
+  //map failure
+  if (!succeed) {
+    return {
+      error: {
+        code: 'EHTTP',
+        message: (pick(mapper.error, body, response) ||
+          'HTTP Request Failed With Status ' + status),
+        status: status,
+        response: body
+      }
+    };
+  }
+
+  //map success
+  return {
+    result: _.omitBy({
+      state: mapper.state,
+      status: status,
+      messageId: pick(mapper.id, body, response),
+      response: body
+    }, _.isUndefined)
+  };
+
+}
+
+
+/**
+ * @name http
+ * @description create http transport
+ * @param {Object} options valid http transport options
+ * @param {String} [options.name] transport name. default to http
+ * @param {Object} [options.rateLimit] transport rate limit
+ *                                     i.e { rate: 10, per: 'second' }
+ * @param {String[]} [options.types] supported message types
+ * @param {String} options.url request url. may contain placeholders
+ * @param {String} [options.method] request method. default to POST
+ * @param {Object} [options.headers] request headers mapping
+ * @param {Object} [options.query] request query string mapping
+ * @param {Object} [options.body] request body mapping
+ * @param {Boolean} [options.form] send body as url encoded form
+ * @param {Boolean} [options.perRecipient] send request per each receiver
+ * @param {Object|Function} [options.response] valid response mapper
+ * @param {Function|String|Object} [options.response.success] success condition
+ * @param {Function|String} [options.response.id] provider message id path
+ * @param {Function|String} [options.response.error] error message path
+ * @param {String} [options.response.state] message state on success
+ * @return {Object} valid transport
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //merge default options
+  options = _.merge({}, {
+    name: 'http',
+    types: ['SMS'],
+    method: 'POST',
+    headers: {},
+    form: false,
+    perRecipient: false,
+    timeout: 30000,
+    response: {}
+  }, options);
+
+  //ensure default body mapping
+  options.body = (options.body || {
+    from: '{{from}}',
+    to: '{{to}}',
+    subject: '{{subject}}',
+    body: '{{body}}'
+  });
+
+  //prepare transport
+  const transport = {
+    name: options.name,
+    types: [].concat(options.types),
+    queueName: options.queueName,
+    rateLimit: options.rateLimit
+  };
+
+
+  /**
+   * @name request
+   * @description send single http request for given message details
+   * @param {Object} config valid request options
+   * @param {Object} data message details
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.request = function (config, data, done) {
+
+    //prepare request
+    let req = {
+      url: render(config.url, data),
+      method: config.method,
+      headers: render(config.headers, data),
+      qs: render(config.query, data),
+      timeout: config.timeout
+    };
+
+    //prepare body
+    if (!_.isEmpty(config.body) && req.method !== 'GET') {
+      const body = render(config.body, data);
+      if (config.form) {
+        req.form = body;
+      } else {
+        req.json = body;
+      }
+    } else {
+      req.json = true;
+    }
+
+    //send request
+    request(req, function (error, response, body) {
+
+      //map request error
+      if (error) {
+        return done({
+          code: (error.code || 'EHTTP'),
+          message: error.message
+        });
+      }
+
+      //parse non json response
+      if (_.isString(body)) {
+        try {
+          body = JSON.parse(body);
+        } catch (e) { /*ignore*/ }
+      }
+
+      //map response
+      const mapped = map(config.response, response, body);
+      done(mapped.error, mapped.result);
+
+    });
+
+  };
+
+
+  /**
+   * @name send
+   * @description send message through http api
+   * @param {Message} message valid message instance
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  transport.send = function send(message, done) {
+
+    //override transport options with message http options
+    const config = _.assign({}, options, _.get(message, 'options.http'));
+
+    //prepare message details
+    const data = _.omitBy({
+      id: message._id ? String(message._id) : undefined,
+      type: message.type,
+      from: message.from,
+      to: [].concat(message.to),
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      body: message.body,
+      hash: message.hash,
+      options: message.options
+    }, _.isUndefined);
+
+    //send single request for all receivers
+    if (!config.perRecipient) {
+      return transport.request(config, data, done);
+    }
+
+    //obtain receivers not yet sent to
+    const pending = receivers.pending(message);
+
+    //send request per each receiver
+    //NOTE! request failure is kept per receiver so that succeed receivers
+    //are not sent again on retry
+    async.mapSeries(pending.receivers, function (to, next) {
+      const details = _.assign({}, data, { to: to });
+      transport.request(config, details, function (error, result) {
+        next(null, (error ? { to: to, error: error } :
+          _.merge({ to: to }, result)));
+      });
+    }, function (error, results) {
+
+      //notify failure with per receiver results
+      const collected = receivers.collect(pending, results);
+      if (collected.error) {
+        return done(collected.error);
+      }
+
+      //collect results
+      const first = _.first(results);
+      const result = _.merge({},
+        _.omit(first, ['to', 'messageId', 'response']), collected.result);
+      done(null, result);
+
+    });
+
+  };
+
+
+  return transport;
+
+};
+
+
+/**
+ * expose template renderer
+ */
+exports.render = render;
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * @module transports
+ * @description registry of transports used to actual send messages.
+ *
+ *              A transport is registered once per process by its name and
+ *              message(s) only persist that name. This allow workers to
+ *              resolve a transport regardless of where they run from.
+ *
+ *              A valid transport must conform to the following contract:
+ *
+ *              {
+ *                //unique transport name. default to registered name
+ *                name: 'echo',
+ *
+ *                //message types supported by the transport i.e SMS, EMAIL
+ *                types: ['EMAIL'],
+ *
+ *                //optional queue name used by transport worker(s)
+ *                queueName: 'email',
+ *
+ *                //optional. maximum messages the transport can send
+ *                //i.e { rate: 10, per: 'second' }
+ *                rateLimit: { rate: 10, per: 'second' },
+ *
+ *                //required. actual send the message and callback with
+ *                //error or send result
+ *                send: function(message, done){ ... },
+ *
+ *                //optional. classify send error as Transient or
+ *                //Permanent. Permanent failure is never retried
+ *                classify: function(error){ ... },
+ *
+ *                //optional. hook invoked before message is queued
+ *                //i.e to set transport specific options
+ *                queue: function(message){ ... },
+ *
+ *                //optional. hook invoked to normalize received payload
+ *                //into valid message details
+ *                receive: function(payload){ ... }
+ *              }
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ */
+
+//dependencies
+const _ = require('lodash');
+const limiter = require('../limiter');
+
+
+/**
+ * registered transports keyed by their names
+ */
+let transports = {};
+
+
+/**
+ * default transport names keyed by message type
+ */
+let defaults = {};
+
+
+/**
+ * @name register
+ * @description register a transport
+ * @param {String} name unique transport name
+ * @param {Object} transport valid transport
+ * @param {Object} [options] valid register options
+ * @param {Boolean} [options.default] whether transport should be the default
+ *                                    for all of its types
+ * @return {Object} registered transport
+ * @since 0.7.0
+ * @public
+ * @example
+ *
+ * transports.register('echo', {
+ *   types: ['EMAIL'],
+ *   send: function(message, done){ ... }
+ * });
+ *
+ */
+exports.register = function register(name, transport, options) {
+
+  //normalize arguments
+  if (name && _.isPlainObject(name)) {
+    options = transport;
+    transport = name;
+    name = transport.name;
+  }
+
+  //merge options
+  options = _.merge({}, { default: false }, options);
+
+  //ensure transport name
+  if (!name || !_.isString(name)) {
+    throw new Error('Missing Transport Name');
+  }
+
+  //ensure valid transport
+  if (!transport || !_.isFunction(transport.send)) {
+    throw new Error('Invalid Transport ' + name + '. Missing send function');
+  }
+
+  //ensure transport name and types
+  transport.name = name;
+  transport.types = _.compact([].concat(transport.types));
+
+  //register transport
+  transports[name] = transport;
+
+  //register or clear transport rate limit
+  if (transport.rateLimit) {
+    limiter.set('transport:' + name, transport.rateLimit);
+  } else {
+    limiter.unset('transport:' + name);
+  }
+
+  //set transport as default for its types
+  _.forEach(transport.types, function (type) {
+    if (options.default || !defaults[type]) {
+      defaults[type] = name;
+    }
+  });
+
+  return transport;
+
+};
+
+
+/**
+ * @name unregister
+ * @description remove registered transport and its defaults
+ * @param {String} name valid transport name
+ * @since 0.7.0
+ * @public
+ */
+exports.unregister = function unregister(name) {
+
+  //remove transport and its rate limit
+  delete transports[name];
+  limiter.unset('transport:' + name);
+
+  //remove transport defaults
+  defaults = _.omitBy(defaults, function (transport) {
+    return transport === name;
+  });
+
+};
+
+
+/**
+ * @name get
+ * @description obtain registered transport by its name
+ * @param {String} name valid transport name
+ * @return {Object|undefined} registered transport
+ * @since 0.7.0
+ * @public
+ */
+exports.get = function get(name) {
+  return (name ? transports[name] : undefined);
+};
+
+
+/**
+ * @name setDefault
+ * @description set default transport for a given message type
+ * @param {String} type valid message type
+ * @param {String} name valid registered transport name
+ * @since 0.7.0
+ * @public
+ */
+exports.setDefault = function setDefault(type, name) {
+
+  //ensure transport is registered
+  if (!transports[name]) {
+    throw new Error('Unknown Transport ' + name);
+  }
+
+  defaults[type] = name;
+
+};
+
+
+/**
+ * @name getDefault
+ * @description obtain default transport for a given message type
+ * @param {String} type valid message type
+ * @return {Object|undefined} default transport
+ * @since 0.7.0
+ * @public
+ */
+exports.getDefault = function getDefault(type) {
+  return exports.get(defaults[type]);
+};
+
+
+/**
+ * @name resolve
+ * @description obtain transport to be used to send a message.
+ *
+ *              If message has transport name set, a transport registered
+ *              with that name is used, otherwise default transport of
+ *              the message type is used.
+ *
+ *              A named transport must support the message type. Transport
+ *              without types is considered to support all message types.
+ *
+ * @param {Message} message valid message instance
+ * @return {Object|undefined} resolved transport
+ * @throws {Error} if named transport does not support message type
+ * @since 0.7.0
+ * @public
+ */
+exports.resolve = function resolve(message) {
+
+  //obtain message type
+  const type = _.get(message, 'type');
+
+  //obtain transport from message transport name
+  const name = _.get(message, 'transport');
+  if (name) {
+    const transport = exports.get(name);
+
+    //ensure transport support message type
+    const types = _.get(transport, 'types');
+    if (!_.isEmpty(types) && !_.includes(types, type)) {
+      let error =
+        new Error('Transport ' + name + ' Does Not Support ' + type);
+      error.status = 400;
+      throw error;
+    }
+
+    return transport;
+  }
+
+  //obtain default transport of message type
+  return exports.getDefault(type);
+
+};
+
+
+/**
+ * @name names
+ * @description obtain names of all registered transports
+ * @return {Array[String]} registered transport names
+ * @since 0.7.0
+ * @public
+ */
+exports.names = function names() {
+  return _.keys(transports);
+};
+
+
+/**
+ * @name reset
+ * @description clear all registered transports and defaults
+ * @since 0.7.0
+ * @private
+ */
+exports.reset = function reset() {
+  transports = {};
+  defaults = {};
+};
@@ -0,0 +1,289 @@
+'use strict';
+
+/* jshint camelcase:false */
+
+/**
+ * @module push
+ * @description push notification transport to send push message(s) using
+ *              FCM compatible http api.
+ *
+ *              Message receiver(s) are resolved into registered device
+ *              token(s) and token(s) reported as invalid by the provider are
+ *              automatic pruned.
+ *
+ * @see {@link https://firebase.google.com/docs/cloud-messaging/http-server-ref}
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const push = require('open311-messages/lib/transports/push');
+ *
+ * Message.registerTransport(push({
+ *   serverKey: '<server key>'
+ * }));
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const mongoose = require('mongoose');
+const request = require('../request');
+
+
+/**
+ * message type and device model name used by push transport
+ */
+const TYPE_PUSH = 'PUSH';
+const deviceModelName = 'Device';
+
+
+/**
+ * maximum registration tokens per request
+ */
+const MAX_TOKENS = 1000;
+
+
+/**
+ * provider errors which mark registration token as invalid
+ */
+const INVALID_TOKEN_ERRORS = [
+  'NotRegistered', 'InvalidRegistration', 'MismatchSenderId'
+];
+
+
+/**
+ * @name push
+ * @description create push transport
+ * @param {Object} options valid push transport options
+ * @param {String} [options.name] transport name. default to push
+ * @param {Object} [options.rateLimit] transport rate limit
+ *                                     i.e { rate: 10, per: 'second' }
+ * @param {String} [options.url] provider api url. default to fcm url
+ * @param {String} options.serverKey provider server key
+ * @param {Boolean} [options.resolve] whether to resolve message receivers
+ *                                    into device tokens. default to true
+ * @return {Object} valid transport
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //merge default options
+  options = _.merge({}, {
+    name: 'push',
+    url: 'https://fcm.googleapis.com/fcm/send',
+    serverKey: '',
+    resolve: true,
+    timeout: 30000
+  }, options);
+
+  //prepare transport
+  const transport = {
+    name: options.name,
+    types: [TYPE_PUSH],
+    queueName: options.queueName,
+    rateLimit: options.rateLimit
+  };
+
+
+  /**
+   * @name tokens
+   * @description resolve message receivers into device tokens
+   * @param {Message} message valid message instance
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.tokens = function tokens(message, done) {
+
+    //use receivers as tokens
+    if (!options.resolve) {
+      return done(null, _.compact([].concat(message.to)));
+    }
+
+    //resolve receivers devices
+    const Device = mongoose.model(deviceModelName);
+    Device.tokens(message.to, done);
+
+  };
+
+
+  /**
+   * @name request
+   * @description send push message to given tokens
+   * @param {Message} message valid message instance
+   * @param {String[]} tokens valid registration tokens
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.request = function (message, tokens, done) {
+
+    //prepare push payload
+    const payload = _.merge({}, {
+      registration_ids: tokens,
+      priority: (message.priority === 'high' ||
+        message.priority === 'critical') ? 'high' : 'normal',
+      notification: _.omitBy({
+        title: message.subject,
+        body: message.body
+      }, _.isUndefined)
+    }, _.get(message, 'options.push'));
+
+    //send push message
+    request({
+      url: options.url,
+      method: 'POST',
+      headers: { Authorization: 'key=' + options.serverKey },
+      json: payload,
+      timeout: options.timeout
+    }, function (error, response, body) {
+
+      //map request error
+      if (error) {
+        return done({ code: (error.code || 'EPUSH'), message: error.message });
+      }
+
+      //map provider error
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return done({
+          code: 'EPUSH',
+          message: 'Push Request Failed With Status ' + response.statusCode,
+          status: response.statusCode,
+          response: body
+        });
+      }
+
+      //map token results
+      const results = _.map(tokens, function (token, index) {
+        return _.merge({ token: token }, _.get(body, ['results', index]));
+      });
+
+      done(null, { body: body, results: results });
+
+    });
+
+  };
+
+
+  /**
+   * @name prune
+   * @description remove invalid and refresh canonical tokens
+   * @param {Object[]} results token results
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.prune = function prune(results, done) {
+
+    //obtain invalid tokens
+    const invalids = _.map(_.filter(results, function (result) {
+      return _.includes(INVALID_TOKEN_ERRORS, result.error);
+    }), 'token');
+
+    //obtain canonical tokens
+    const canonicals = _.filter(results, 'registration_id');
+
+    //do nothing if receivers are not resolved from devices
+    if (!options.resolve) {
+      return done(null, invalids);
+    }
+
+    const Device = mongoose.model(deviceModelName);
+
+    async.series([
+      function pruneInvalids(next) {
+        Device.prune(invalids, next);
+      },
+      function refreshCanonicals(next) {
+        async.eachSeries(canonicals, function (result, then) {
+          Device.refresh(result.token, result.registration_id, then);
+        }, next);
+      }
+    ], function (error) {
+      done(error, invalids);
+    });
+
+  };
+
+
+  /**
+   * @name send
+   * @description send push message to receivers devices
+   * @param {Message} message valid message instance
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  transport.send = function send(message, done) {
+
+    async.waterfall([
+
+      function resolveTokens(next) {
+        transport.tokens(message, next);
+      },
+
+      function sendMessage(tokens, next) {
+
+        //ensure tokens
+        if (_.isEmpty(tokens)) {
+          return next({
+            code: 'ENOTOKENS',
+            message: 'No Registered Devices',
+            status: 404
+          });
+        }
+
+        //send in chunks of allowed tokens
+        const chunks = _.chunk(tokens, MAX_TOKENS);
+        async.mapSeries(chunks, function (chunk, then) {
+          transport.request(message, chunk, then);
+        }, next);
+
+      },
+
+      function pruneTokens(responses, next) {
+        const results = _.flatten(_.map(responses, 'results'));
+        transport.prune(results, function (error, pruned) {
+          next(error, responses, results, pruned);
+        });
+      }
+
+    ], function (error, responses, results, pruned) {
+
+      //notify failure
+      if (error) {
+        return done(error);
+      }
+
+      //prepare result
+      const success = _.sumBy(responses, 'body.success');
+      const failure = _.sumBy(responses, 'body.failure');
+      const result = {
+        messageId: _.get(_.first(responses), 'body.multicast_id'),
+        messageIds: _.compact(_.map(results, 'message_id')),
+        success: success,
+        failure: failure,
+        pruned: pruned
+      };
+
+      //notify all tokens failed
+      if (!success) {
+        return done(_.merge({
+          code: 'EPUSH',
+          message: 'Push Message Failed For All Devices'
+        }, result));
+      }
+
+      done(null, result);
+
+    });
+
+  };
+
+  return transport;
+
+};
@@ -0,0 +1,513 @@
+'use strict';
+
+/* jshint camelcase:false, bitwise:false */
+
+/**
+ * @module smpp
+ * @description smpp v3.4 transport to send sms message(s) through an SMSC.
+ *
+ *              It bind to the SMSC as transceiver, submit a `submit_sm` for
+ *              each message receiver and listen for `deliver_sm` delivery
+ *              receipts to update state of the sent message(s).
+ *
+ *              Multipart(long) sms body is submitted on `message_payload`
+ *              so that the SMSC segment it on delivery.
+ *
+ *              Submit result is kept per receiver. A retried message is only
+ *              submitted to its receiver(s) which were not accepted by the
+ *              SMSC on previous send(s).
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const smpp = require('open311-messages/lib/transports/smpp');
+ *
+ * Message.registerTransport(smpp({
+ *   url: 'smpp://localhost:2775',
+ *   systemId: 'open311',
+ *   password: 'open311'
+ * }));
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const async = require('async');
+const mongoose = require('mongoose');
+const smpp = require('smpp');
+const receivers = require('../receivers');
+const sms = require('../sms');
+
+
+/**
+ * message type, states and model name used by smpp transport
+ */
+const TYPE_SMS = 'SMS';
+const STATE_QUEUED = 'Queued';
+const modelName = 'Message';
+
+
+/**
+ * send failure classes and smpp errors which are transient i.e smsc
+ * throttling, full message queue or temporary system error
+ */
+const FAILURE_TRANSIENT = 'Transient';
+const FAILURE_PERMANENT = 'Permanent';
+const TRANSIENT_ERRORS = [
+  'ESME_RTHROTTLED', 'ESME_RMSGQFUL', 'ESME_RSYSERR', 'ESME_RX_T_APPN',
+  'ESME_RSUBMITFAIL', 'ESME_RBINDFAIL'
+];
+
+
+/**
+ * @name parseReceipt
+ * @description parse delivery receipt text into its parts
+ * @param {String} text valid delivery receipt text
+ * @return {Object} parsed receipt
+ * @since 0.7.0
+ * @private
+ * @example
+ *
+ * parseReceipt('id:1 sub:001 dlvrd:001 submit date:1806201200 ' +
+ *   'done date:1806201201 stat:DELIVRD err:000 text:Hello');
+ * //=> { id: '1', sub: '001', dlvrd: '001', stat: 'DELIVRD', ... }
+ *
+ */
+function parseReceipt(text) {
+
+  const receipt = {};
+
+  //match all key:value pairs
+  const pattern = /(id|sub|dlvrd|submit date|done date|stat|err|text):/gi;
+  const parts = String(text || '').split(pattern);
+
+  //parts are [prefix, key, value, key, value...]
+  for (let i = 1; i < parts.length; i += 2) {
+    const key = _.camelCase(parts[i]);
+    receipt[key] = _.trim(parts[i + 1]);
+  }
+
+  return receipt;
+
+}
+
+
+/**
+ * @name toError
+ * @description map smpp response pdu into error
+ * @param {PDU} pdu valid smpp response pdu
+ * @return {Object} error
+ * @since 0.7.0
+ * @private
+ */
+function toError(pdu) {
+
+  //obtain error code from smpp errors
+  const code = _.findKey(smpp.errors, function (status) {
+    return status === pdu.command_status;
+  });
+
+  return {
+    code: code || 'ESME_UNKNOWN',
+    message: 'SMPP ' + pdu.command + ' Failed With ' + (code || 'Unknown'),
+    status: pdu.command_status
+  };
+
+}
+
+
+/**
+ * @name smpp
+ * @description create smpp transport
+ * @param {Object} [options] valid smpp transport options
+ * @param {String} [options.name] transport name. default to smpp
+ * @param {Object} [options.rateLimit] transport rate limit
+ *                                     i.e { rate: 10, per: 'second' }
+ * @param {String} [options.url] smsc url. default to smpp://localhost:2775
+ * @param {String} [options.systemId] esme system id
+ * @param {String} [options.password] esme password
+ * @param {String} [options.systemType] esme system type
+ * @param {Number} [options.sourceAddrTon] source address type of number
+ * @param {Number} [options.sourceAddrNpi] source address numbering plan
+ * @param {Number} [options.destAddrTon] receiver address type of number
+ * @param {Number} [options.destAddrNpi] receiver address numbering plan
+ * @return {Object} valid transport
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function (options) {
+
+  //merge default options
+  options = _.merge({}, {
+    name: 'smpp',
+    url: 'smpp://localhost:2775',
+    systemId: '',
+    password: '',
+    systemType: '',
+    sourceAddrTon: smpp.consts.TON.ALPHANUMERIC,
+    sourceAddrNpi: smpp.consts.NPI.UNKNOWN,
+    destAddrTon: smpp.consts.TON.INTERNATIONAL,
+    destAddrNpi: smpp.consts.NPI.ISDN
+  }, options);
+
+  //prepare transport
+  const transport = {
+    name: options.name,
+    types: [TYPE_SMS],
+    queueName: options.queueName,
+    rateLimit: options.rateLimit
+  };
+
+  /**
+   * @name classify
+   * @description classify smpp error. Throttling and temporary smsc errors
+   *              are transient while other smpp errors i.e invalid
+   *              destination address are permanent
+   * @param {Object} error valid smpp error
+   * @return {String|undefined} Transient, Permanent or undefined if not an
+   *                            smpp error
+   * @since 0.7.0
+   * @public
+   */
+  transport.classify = function classify(error) {
+
+    const code = _.get(error, 'code');
+
+    //ignore network error
+    if (!_.startsWith(code, 'ESME_')) {
+      return undefined;
+    }
+
+    return (_.includes(TRANSIENT_ERRORS, code) ?
+      FAILURE_TRANSIENT : FAILURE_PERMANENT);
+
+  };
+
+  //current smsc session and bind state
+  let session;
+  let bound = false;
+  let binding = [];
+
+  //submit(s) waiting for smsc response
+  let submits = [];
+
+
+  /**
+   * @name fail
+   * @description fail submit(s) of a session waiting for smsc response.
+   *              Smsc never respond to submit(s) of errored or closed session
+   * @param {Session} current valid smsc session
+   * @param {Object} error valid session error
+   * @since 0.7.0
+   * @private
+   */
+  const fail = function (current, error) {
+    const failed = _.filter(submits, { session: current });
+    submits = _.difference(submits, failed);
+    _.forEach(failed, function (submitted) {
+      submitted.callback({
+        code: (_.get(error, 'code') || 'ECONNRESET'),
+        message: (_.get(error, 'message') || 'SMPP Session Closed')
+      });
+    });
+  };
+
+
+  /**
+   * @name bind
+   * @description connect and bind to smsc as transceiver
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.bind = function bind(done) {
+
+    //reuse bound session
+    if (session && bound) {
+      return done(null, session);
+    }
+
+    //wait for in progress bind
+    binding.push(done);
+    if (binding.length > 1) {
+      return;
+    }
+
+    //notify all waiting binds
+    const notify = function (error) {
+      const callbacks = binding;
+      binding = [];
+      _.forEach(callbacks, function (callback) {
+        callback(error, session);
+      });
+    };
+
+    //connect to smsc
+    const current = smpp.connect(options.url);
+    session = current;
+
+    current.on('connect', function () {
+      current.bind_transceiver({
+        system_id: options.systemId,
+        password: options.password,
+        system_type: options.systemType
+      }, function (pdu) {
+        bound = (pdu.command_status === smpp.errors.ESME_ROK);
+        notify(bound ? null : toError(pdu));
+      });
+    });
+
+    //handle delivery receipts and received sms
+    current.on('deliver_sm', function (pdu) {
+      current.send(pdu.response());
+      transport.deliver(pdu);
+    });
+
+    //keep session alive
+    current.on('enquire_link', function (pdu) {
+      current.send(pdu.response());
+    });
+
+    //reset session on unbind, close and errors
+    current.on('unbind', function (pdu) {
+      current.send(pdu.response());
+      current.close();
+    });
+
+    current.on('close', function () {
+
+      //reset only if still current session
+      //NOTE! closed old session must not reset newly bound session
+      if (session === current) {
+        bound = false;
+        session = undefined;
+      }
+
+      fail(current);
+
+    });
+
+    current.on('error', function (error) {
+      if (session === current) {
+        bound = false;
+      }
+      notify(error);
+      fail(current, error);
+    });
+
+  };
+
+
+  /**
+   * @name submit
+   * @description submit sms to a single receiver on a given session
+   * @param {Session} current valid bound smsc session
+   * @param {Object} pdu valid submit_sm pdu options
+   * @param {Function} done a callback to invoke on success or failure
+   * @return {String|Object} smsc message id or error
+   * @since 0.7.0
+   * @private
+   */
+  transport.submit = function submit(current, pdu, done) {
+
+    //ensure session is still open
+    if (session !== current) {
+      return done({ code: 'ECONNRESET', message: 'SMPP Session Closed' });
+    }
+
+    //track submit until smsc respond or session fail
+    const submitted = { session: current, callback: _.once(done) };
+    submits.push(submitted);
+
+    current.submit_sm(pdu, function (response) {
+      _.pull(submits, submitted);
+      if (response.command_status !== smpp.errors.ESME_ROK) {
+        submitted.callback(toError(response));
+      } else {
+        submitted.callback(null, response.message_id);
+      }
+    });
+
+  };
+
+
+  /**
+   * @name unbind
+   * @description unbind and close current smsc session
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  transport.unbind = function unbind(done) {
+
+    //no session
+    if (!session) {
+      return done();
+    }
+
+    //close bound session
+    const current = session;
+    current.unbind(function () {
+      current.close();
+    });
+    current.once('close', function () {
+      done();
+    });
+
+  };
+
+
+  /**
+   * @name send
+   * @description submit sms message for each of its receivers which was not
+   *              accepted on previous send(s)
+   * @param {Message} message valid message instance
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  transport.send = function send(message, done) {
+
+    //obtain receivers not yet accepted by smsc
+    const pending = receivers.pending(message);
+
+    //prepare message body
+    //NOTE! short_message hold at most 254 octets, so multipart body is
+    //sent on message_payload and smsc segment it
+    const segments = (message.segments || sms.analyze(message.body).segments);
+    const body = (segments > 1 ?
+      { short_message: '', message_payload: message.body } :
+      { short_message: message.body });
+
+    async.waterfall([
+
+      function bindSession(next) {
+        transport.bind(next);
+      },
+
+      function submitMessages(current, next) {
+
+        //submit message to each receiver
+        //NOTE! submit failure is kept per receiver so that accepted
+        //receivers are not submitted again on retry
+        async.mapSeries(pending.receivers, function (to, then) {
+
+          transport.submit(current, _.merge({
+            source_addr_ton: options.sourceAddrTon,
+            source_addr_npi: options.sourceAddrNpi,
+            source_addr: _.trimStart(message.from, '+'),
+            dest_addr_ton: options.destAddrTon,
+            dest_addr_npi: options.destAddrNpi,
+            //NOTE! smsc expect international number without plus
+            destination_addr: _.trimStart(to, '+'),
+            registered_delivery: smpp.consts.REGISTERED_DELIVERY.FINAL
+          }, body), function (error, messageId) {
+            then(null, (error ? { to: to, error: error } : {
+              to: to,
+              messageId: messageId
+            }));
+          });
+
+        }, next);
+
+      }
+
+    ], function (error, results) {
+
+      //fail all pending receivers on bind failure
+      if (error) {
+        results = _.map(pending.receivers, function (to) {
+          return { to: to, error: error };
+        });
+      }
+
+      //notify submit failure with per receiver results
+      const collected = receivers.collect(pending, results);
+      if (collected.error) {
+        return done(collected.error);
+      }
+
+      //message is queued for delivery on smsc
+      done(null, _.merge({ state: STATE_QUEUED }, collected.result));
+
+    });
+
+  };
+
+
+  /**
+   * @name deliver
+   * @description handle received delivery receipt and acknowledge sent
+   *              message or receive sms sent to the short code
+   * @param {PDU} pdu valid deliver_sm pdu
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @since 0.7.0
+   * @private
+   */
+  transport.deliver = function deliver(pdu, done) {
+
+    //ensure callback
+    done = _.isFunction(done) ? done : _.noop;
+
+    //reference
+    const Message = mongoose.model(modelName);
+
+    //receive non delivery receipt i.e received sms
+    const esmClass = smpp.consts.ESM_CLASS.MC_DELIVERY_RECEIPT;
+    if ((pdu.esm_class & esmClass) !== esmClass) {
+      return Message.receive(pdu, { transport: transport.name }, done);
+    }
+
+    //parse delivery receipt
+    const receipt =
+      parseReceipt(_.get(pdu, 'short_message.message', pdu.short_message));
+    const messageId = (pdu.receipted_message_id || receipt.id);
+
+    //acknowledge sent message
+    Message.acknowledge(messageId, {
+      status: receipt.stat,
+      error: receipt.err,
+      receipt: receipt
+    }, function (error, message) {
+
+      //ignore unknown message
+      if (error && error.status === 404) {
+        return done();
+      }
+
+      done(error, message);
+
+    });
+
+  };
+
+
+  /**
+   * @name receive
+   * @description normalize received deliver_sm pdu into message details
+   * @param {PDU} pdu valid deliver_sm pdu
+   * @return {Object} received message details
+   * @since 0.7.0
+   * @private
+   */
+  transport.receive = function receive(pdu) {
+    return {
+      type: TYPE_SMS,
+      from: pdu.source_addr,
+      to: pdu.destination_addr,
+      body: _.get(pdu, 'short_message.message', pdu.short_message)
+    };
+  };
+
+  return transport;
+
+};
+
+
+/**
+ * expose receipt parser
+ */
+exports.parseReceipt = parseReceipt;
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * @module smtp
+ * @description smtp transport to send email message(s).
+ *
+ *              If message mime is text/html a multipart/alternative email
+ *              is sent with both html and plain text versions of the body.
+ *
+ * @version 0.1.0
+ * @since 0.7.0
+ * @author lally elias <lallyelias87@gmail.com>
+ * @public
+ * @example
+ *
+ * const smtp = require('open311-messages/lib/transports/smtp');
+ *
+ * Message.registerTransport(smtp({
+ *   host: 'localhost',
+ *   port: 25,
+ *   auth: { user: 'user', pass: 'pass' }
+ * }));
+ *
+ */
+
+//dependencies
+const _ = require('lodash');
+const nodemailer = require('nodemailer');
+
+
+/**
+ * message types and mimes used by smtp transport
+ */
+const TYPE_EMAIL = 'EMAIL';
+const MIME_HTML = 'text/html';
+
+
+/**
+ * send failure classes
+ */
+const FAILURE_TRANSIENT = 'Transient';
+const FAILURE_PERMANENT = 'Permanent';
+
+
+/**
+ * message options allowed to be passed to smtp
+ */
+const MAIL_OPTIONS = ['replyTo', 'inReplyTo', 'references', 'headers'];
+
+
+/**
+ * @name toText
+ * @description convert html body to plain text alternative
+ * @param {String} html valid html
+ * @return {String} plain text
+ * @since 0.7.0
+ * @private
+ */
+function toText(html) {
+  return _.trim(
+    String(html || '')
+    .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+  );
+}
+
+
+/**
+ * @name toResult
+ * @description map smtp error into message result
+ * @param {Error} error valid smtp error
+ * @return {Object} message result
+ * @since 0.7.0
+ * @private
+ */
+function toResult(error) {
+  return _.omitBy({
+    code: error.code,
+    message: error.message,
+    status: error.responseCode,
+    response: error.response,
+    command: error.command,
+    rejected: error.rejected
+  }, _.isUndefined);
+}
+
+
+/**
+ * @name smtp
+ * @description create smtp transport
+ * @param {Object} [options] valid smtp transport options
+ * @param {String} [options.name] transport name. default to smtp
+ * @param {Object} [options.rateLimit] transport rate limit
+ *                                     i.e { rate: 10, per: 'second' }
+ * @param {String} [options.host] smtp server host
+ * @param {Number} [options.port] smtp server port
+ * @param {Object} [options.auth] smtp server authentication
+ * @return {Object} valid transport
+ * @see {@link https://nodemailer.com/smtp/}
+ * @since 0.7.0
+ * @public
+ */
+exports = module.exports = function smtp(options) {
+
+  //merge default options
+  options = _.merge({}, { name: 'smtp' }, options);
+
+  //prepare transport
+  const transport = {
+    name: options.name,
+    types: [TYPE_EMAIL],
+    queueName: options.queueName,
+    rateLimit: options.rateLimit
+  };
+
+  //create smtp transporter
+  const smtpOptions = _.omit(options, ['name', 'queueName', 'rateLimit']);
+  transport._transporter = nodemailer.createTransport(smtpOptions);
+
+  /**
+   * @name classify
+   * @description classify smtp error using its reply code. 4xx reply is
+   *              transient and 5xx reply is permanent
+   * @param {Object} error valid smtp error result
+   * @return {String|undefined} Transient, Permanent or undefined if unknown
+   * @see {@link https://tools.ietf.org/html/rfc5321#section-4.2.1}
+   * @since 0.7.0
+   * @public
+   */
+  transport.classify = function classify(error) {
+
+    const status = Number(_.get(error, 'status'));
+
+    //permanent negative completion reply i.e 550 mailbox unavailable
+    if (status >= 500 && status < 600) {
+      return FAILURE_PERMANENT;
+    }
+
+    //transient negative completion reply i.e 421 service not available
+    if (status >= 400 && status < 500) {
+      return FAILURE_TRANSIENT;
+    }
+
+    return undefined;
+
+  };
+
+  /**
+   * @name send
+   * @description send email message using smtp
+   * @param {Message} message valid message instance
+   * @param {Function} done a callback to invoke on success or failure
+   * @since 0.7.0
+   * @public
+   */
+  transport.send = function send(message, done) {
+
+    //prepare email
+    let mail = {
+      from: message.from,
+      to: [].concat(message.to),
+      cc: _.compact([].concat(message.cc)),
+      bcc: _.compact([].concat(message.bcc)),
+      subject: message.subject
+    };
+
+    //send multipart/alternative for html message
+    if (message.mime === MIME_HTML) {
+      mail.html = message.body;
+      mail.text = toText(message.body);
+    }
+
+    //send plain text message
+    else {
+      mail.text = message.body;
+    }
+
+    //merge allowed message options
+    mail = _.merge(mail, _.pick(message.options, MAIL_OPTIONS));
+
+    //attach files and inline images
+    if (!_.isEmpty(message.attachments)) {
+      mail.attachments = message.resolveAttachments();
+    }
+
+    //send email
+    transport._transporter.sendMail(mail, function (error, info) {
+
+      //map smtp error into message result
+      if (error) {
+        return done(toResult(error));
+      }
+
+      //map smtp info into message result
+      const result = _.pick(info, [
+        'messageId', 'accepted', 'rejected', 'response'
+      ]);
+
+      done(null, result);
+
+    });
+
+  };
+
+  return transport;
+
+};
+
+
+/**
+ * expose html to text converter
+ */
+exports.toText = toText;
@@ -12,7 +12,9 @@ const kue = require('kue');
 const mongoose = require('mongoose');
 const Message = mongoose.model('Message');
 
-exports.name = __filename;
+exports.name = 'echo';
+
+exports.types = [Message.TYPE_EMAIL];
 
 //create worker queue
 exports._queue = kue.createQueue();
@@ -21,9 +23,7 @@ exports.queueName = 'email';
 
 exports.queue = function (message) {
 
-  message.transport = exports.name;
   message.queueName = exports.queueName;
-  message.queue();
 
 };
 
@@ -35,5 +35,8 @@ exports.send = function (message, done) {
 
 };
 
+//register transport
+Message.registerTransport(exports.name, exports);
+
 //process
-exports._queue.process('email', Message.process);
\ No newline at end of file
+exports._queue.process('email', Message.process);
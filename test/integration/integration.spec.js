@@ -15,7 +15,8 @@ describe('transport', function () {
     const details = {
       from: faker.internet.email(),
       to: faker.internet.email(),
-      body: faker.lorem.sentence()
+      body: faker.lorem.sentence(),
+      transport: echoTransport.name
     };
 
     echoTransport._queue.on('job enqueue', function (id, type) {
@@ -57,7 +58,7 @@ describe('transport', function () {
 
     const message = new Message(details);
 
-    echoTransport.queue(message);
+    message.queue();
 
   });
 
@@ -0,0 +1,140 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('acknowledge', function () {
+
+  const details = function (result) {
+    return {
+      type: Message.TYPE_SMS,
+      from: 'open311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      state: Message.STATE_QUEUED,
+      sentAt: new Date(),
+      result: result
+    };
+  };
+
+  it('should map provider status to message state', function () {
+    expect(Message.stateOf('DELIVRD')).to.be.equal(Message.STATE_DELIVERED);
+    expect(Message.stateOf('undeliv'))
+      .to.be.equal(Message.STATE_UNDELIVERED);
+    expect(Message.stateOf('REJECTD')).to.be.equal(Message.STATE_REJECTED);
+    expect(Message.stateOf('EXPIRED')).to.be.equal(Message.STATE_EXPIRED);
+    expect(Message.stateOf(Message.STATE_FAILED))
+      .to.be.equal(Message.STATE_FAILED);
+    expect(Message.stateOf('unmapped')).to.not.exist;
+  });
+
+  it('should acknowledge delivered message by provider id', function (done) {
+    const messageId = faker.random.uuid();
+    Message.create(details({ messageId: messageId }), function (error) {
+      expect(error).to.not.exist;
+
+      Message._queue.once('message:delivered', function (message) {
+        expect(message.state).to.be.equal(Message.STATE_DELIVERED);
+      });
+
+      Message.acknowledge(messageId, { status: 'DELIVRD' },
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.state).to.be.equal(Message.STATE_DELIVERED);
+          expect(message.deliveredAt).to.exist;
+          expect(message.result.receipts[messageId])
+            .to.be.equal('DELIVRD');
+          done(error, message);
+        });
+    });
+  });
+
+  it('should acknowledge undelivered message by hash', function (done) {
+    Message.create(details(), function (error, created) {
+      expect(error).to.not.exist;
+
+      const at = new Date();
+      Message.acknowledge(created.hash, { status: 'UNDELIV', at: at },
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.state).to.be.equal(Message.STATE_UNDELIVERED);
+          expect(message.failedAt.getTime()).to.be.equal(at.getTime());
+          expect(message.deliveredAt).to.not.exist;
+          done(error, message);
+        });
+    });
+  });
+
+  it('should deliver message once all receivers received it',
+    function (done) {
+      const messageIds = [faker.random.uuid(), faker.random.uuid()];
+      Message.create(details({ messageIds: messageIds }), function (error) {
+        expect(error).to.not.exist;
+
+        Message.acknowledge(messageIds[0], { status: 'DELIVRD' },
+          function (error, message) {
+            expect(error).to.not.exist;
+            expect(message.state).to.be.equal(Message.STATE_QUEUED);
+
+            Message.acknowledge(messageIds[1], { status: 'DELIVRD' },
+              function (error, message) {
+                expect(error).to.not.exist;
+                expect(message.state).to.be.equal(Message.STATE_DELIVERED);
+                done(error, message);
+              });
+          });
+      });
+    });
+
+  it('should fail to acknowledge unknown message', function (done) {
+    Message.acknowledge(faker.random.uuid(), { status: 'DELIVRD' },
+      function (error) {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        done();
+      });
+  });
+
+  it('should fail to acknowledge unknown status', function (done) {
+    const messageId = faker.random.uuid();
+    Message.create(details({ messageId: messageId }), function (error) {
+      expect(error).to.not.exist;
+      Message.acknowledge(messageId, { status: 'unmapped' },
+        function (error) {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(400);
+          done();
+        });
+    });
+  });
+
+  it('should set failed state on send failure', function (done) {
+    Message.registerTransport('failing', {
+      types: [Message.TYPE_SMS],
+      send: function (message, next) {
+        next(new Error('Gateway Unavailable'));
+      }
+    });
+
+    const message = new Message(details());
+    message.sentAt = undefined;
+    message.state = undefined;
+    message.transport = 'failing';
+
+    message.send(function (error, sent) {
+      Message.unregisterTransport('failing');
+      expect(error).to.not.exist;
+      expect(sent.state).to.be.equal(Message.STATE_FAILED);
+      expect(sent.failedAt).to.exist;
+      done(error, sent);
+    });
+  });
+
+  afterEach(function (done) {
+    Message.remove(done);
+  });
+
+});
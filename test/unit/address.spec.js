@@ -0,0 +1,121 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const Message = require(path.join(__dirname, '..', '..'))();
+const address = require(path.join(__dirname, '..', '..', 'lib', 'address'));
+
+describe('address', function () {
+
+  it('should normalize phone number into E.164', function () {
+    expect(address.phone('+255 714 000 000')).to.be.equal('+255714000000');
+    expect(address.phone('00255714000000')).to.be.equal('+255714000000');
+    expect(address.phone('255714000000', '+255'))
+      .to.be.equal('+255714000000');
+    expect(address.phone('0714 000 000', '+255'))
+      .to.be.equal('+255714000000');
+    expect(address.phone('(0714) 000-000', '255'))
+      .to.be.equal('+255714000000');
+    expect(address.phone('714000000', '+255')).to.be.equal('+255714000000');
+  });
+
+  it('should reject invalid phone number', function () {
+    expect(address.phone('0714000000')).to.not.exist;
+    expect(address.phone('0714', '+255')).to.not.exist;
+    expect(address.phone('0714ABC000', '+255')).to.not.exist;
+    expect(address.phone('+2557140000001234')).to.not.exist;
+  });
+
+  it('should reject ambiguous phone number without country', function () {
+    expect(address.phone('714000000')).to.not.exist;
+    expect(address.phone('255714000000')).to.not.exist;
+  });
+
+  it('should normalize and validate email address', function () {
+    expect(address.email('John.Doe@Example.COM'))
+      .to.be.equal('John.Doe@example.com');
+    expect(address.email('Open311 <no-reply@Open311.ORG>'))
+      .to.be.equal('Open311 <no-reply@open311.org>');
+    expect(address.email('john')).to.not.exist;
+    expect(address.email('john@')).to.not.exist;
+    expect(address.email('john@example')).to.not.exist;
+    expect(address.email('john..doe@example.com')).to.not.exist;
+    expect(address.email('john@-example.com')).to.not.exist;
+  });
+
+  it('should obtain bare email address', function () {
+    expect(address.bare(Message.TYPE_EMAIL, 'Jane <Jane@Example.COM>'))
+      .to.be.equal('Jane@example.com');
+    expect(address.bare(Message.TYPE_EMAIL, 'jane@Example.com'))
+      .to.be.equal('jane@example.com');
+    expect(address.bare(Message.TYPE_SMS, '0714000000', { country: '255' }))
+      .to.be.equal('+255714000000');
+  });
+
+  it('should allow sms short code and sender id', function () {
+    expect(address.sender(Message.TYPE_SMS, '15200')).to.be.equal('15200');
+    expect(address.sender(Message.TYPE_SMS, 'OPEN311'))
+      .to.be.equal('OPEN311');
+    expect(address.sender(Message.TYPE_SMS, '0714000000', { country: '255' }))
+      .to.be.equal('+255714000000');
+    expect(address.sender(Message.TYPE_EMAIL, 'OPEN311')).to.not.exist;
+  });
+
+  it('should normalize and deduplicate sms receivers', function (done) {
+    Message.options.address = { country: '+255' };
+
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: '0714000000',
+      to: ['0714 000 001', '+255714000001'],
+      cc: ['255714000001', '0714000002'],
+      bcc: ['0714000002', '0714000003'],
+      body: 'Hello'
+    });
+
+    message.validate(function (error) {
+      delete Message.options.address;
+
+      expect(error).to.not.exist;
+      expect(message.from).to.be.equal('+255714000000');
+      expect(message.to.toObject()).to.be.eql(['+255714000001']);
+      expect(message.cc.toObject()).to.be.eql(['+255714000002']);
+      expect(message.bcc.toObject()).to.be.eql(['+255714000003']);
+      done();
+    });
+  });
+
+  it('should list invalid receivers', function (done) {
+    const message = new Message({
+      from: 'no-reply@example.com',
+      to: ['john@example.com', 'john@', 'doe'],
+      body: 'Hello'
+    });
+
+    message.validate(function (error) {
+      expect(error).to.exist;
+      expect(error.errors.to.message)
+        .to.be.equal('Invalid EMAIL Address(es): john@, doe');
+      expect(error.errors.to.value).to.be.eql(['john@', 'doe']);
+      done();
+    });
+  });
+
+  it('should not validate received message', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      direction: Message.DIRECTION_INBOUND,
+      from: '0714 000 000',
+      to: '15200',
+      body: 'Hello'
+    });
+
+    message.validate(function (error) {
+      expect(error).to.not.exist;
+      expect(message.from).to.be.equal('0714 000 000');
+      done();
+    });
+  });
+
+});
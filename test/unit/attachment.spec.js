@@ -0,0 +1,110 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const faker = require('faker');
+const mongoose = require('mongoose');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('attachment', function () {
+
+  const details = function (attachments) {
+    return {
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      subject: faker.lorem.sentence(),
+      body: '<p>Receipt</p><img src="cid:logo"/>',
+      attachments: attachments
+    };
+  };
+
+  it('should accept attachments and inline images', function (done) {
+    const message = new Message(details([{
+      filename: 'receipt.txt',
+      contentType: 'text/plain',
+      content: Buffer.from('Receipt')
+    }, {
+      filename: 'logo.png',
+      path: 'https://example.com/logo.png',
+      cid: 'logo'
+    }]));
+
+    message.validate(function (error) {
+      expect(error).to.not.exist;
+      expect(message.attachments).to.have.length(2);
+      expect(message.attachments[0].size).to.be.equal(7);
+
+      const attachments = message.resolveAttachments();
+      expect(attachments[0].content.toString()).to.be.equal('Receipt');
+      expect(attachments[1].cid).to.be.equal('logo');
+      expect(attachments[1].path).to.be.equal('https://example.com/logo.png');
+      done();
+    });
+  });
+
+  it('should require attachment content', function (done) {
+    const message = new Message(details([{ filename: 'receipt.pdf' }]));
+
+    message.validate(function (error) {
+      expect(error).to.exist;
+      expect(error.errors.attachments.message)
+        .to.be.equal('Missing Attachment Content: receipt.pdf');
+      done();
+    });
+  });
+
+  it('should reject oversized attachment', function (done) {
+    Message.options.attachments = { maxSize: 4 };
+
+    const message = new Message(details([{
+      filename: 'receipt.txt',
+      content: Buffer.from('Receipt')
+    }]));
+
+    message.validate(function (error) {
+      delete Message.options.attachments;
+
+      expect(error).to.exist;
+      expect(error.errors.attachments.message)
+        .to.be.equal('Attachment Exceeds Maximum Size: receipt.txt');
+      done();
+    });
+  });
+
+  it('should reject oversized attachments total', function (done) {
+    Message.options.attachments = { maxTotalSize: 10 };
+
+    const message = new Message(details([{
+      filename: 'a.txt',
+      content: Buffer.from('Receipt')
+    }, {
+      filename: 'b.txt',
+      content: Buffer.from('Receipt')
+    }]));
+
+    message.validate(function (error) {
+      delete Message.options.attachments;
+
+      expect(error).to.exist;
+      expect(error.errors.attachments.message)
+        .to.be.equal('Attachments Exceed Maximum Total Size');
+      done();
+    });
+  });
+
+  it('should stream GridFS attachment', function () {
+    const file = new mongoose.Types.ObjectId();
+    const message = new Message(details([{
+      filename: 'receipt.pdf',
+      file: file
+    }]));
+
+    const attachments = message.resolveAttachments();
+    expect(attachments[0].filename).to.be.equal('receipt.pdf');
+    expect(attachments[0].content).to.exist;
+    expect(_.isFunction(attachments[0].content.pipe)).to.be.true;
+  });
+
+});
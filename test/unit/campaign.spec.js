@@ -0,0 +1,236 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('campaign', function () {
+
+  const Campaign = Message.Campaign;
+
+  const details = function () {
+    return {
+      name: faker.lorem.words(),
+      type: Message.TYPE_SMS,
+      from: 'open311',
+      body: 'Dear {{name}}, no water in {{area}} tomorrow',
+      data: { area: 'Ilala' },
+      batchSize: 2
+    };
+  };
+
+  const recipients = function (size) {
+    return _.times(size, function (n) {
+      return {
+        to: faker.phone.phoneNumber('+2557########'),
+        data: { name: 'Citizen ' + n }
+      };
+    });
+  };
+
+  it('should require campaign body or template', function (done) {
+    new Campaign({ name: faker.lorem.words() }).validate(function (error) {
+      expect(error).to.exist;
+      expect(error.errors.body).to.exist;
+      done();
+    });
+  });
+
+  it('should not store recipients of invalid campaign', function (done) {
+    const campaign = _.omit(details(), 'body');
+    const invalid = recipients(2);
+    Message.broadcast(campaign, invalid, function (error, broadcasted) {
+      expect(error).to.exist;
+      expect(error.errors.body).to.exist;
+      expect(broadcasted).to.not.exist;
+
+      const criteria = { to: { $in: _.map(invalid, 'to') } };
+      Message.CampaignRecipient.count(criteria, function (error, count) {
+        expect(count).to.be.equal(0);
+        done(error, count);
+      });
+    });
+  });
+
+  it('should fan out personalised messages in batches', function (done) {
+    Message.broadcast(details(), recipients(5), function (error, campaign) {
+      expect(error).to.not.exist;
+      expect(campaign.status).to.be.equal(Campaign.STATUS_COMPLETED);
+      expect(campaign.total).to.be.equal(5);
+      expect(campaign.cursor).to.be.equal(5);
+      expect(campaign.dispatched).to.be.equal(5);
+      expect(campaign.failed).to.be.equal(0);
+      expect(campaign.completedAt).to.exist;
+
+      Message.find({ campaign: campaign._id }, function (error, messages) {
+        expect(error).to.not.exist;
+        expect(messages).to.have.length(5);
+        expect(_.map(messages, 'body'))
+          .to.include('Dear Citizen 0, no water in Ilala tomorrow');
+        expect(messages[0].type).to.be.equal(Message.TYPE_SMS);
+        expect(messages[0].to).to.have.length(1);
+        done(error, messages);
+      });
+    });
+  });
+
+  it('should count campaign messages by state', function (done) {
+    Message.broadcast(details(), recipients(3), function (error, campaign) {
+      expect(error).to.not.exist;
+
+      campaign.stats(function (error, stats) {
+        expect(error).to.not.exist;
+        expect(stats.total).to.be.equal(3);
+        expect(stats.dispatched).to.be.equal(3);
+        expect(_.sum(_.values(stats.states))).to.be.equal(3);
+        done(error, stats);
+      });
+    });
+  });
+
+  it('should count recipients failed to be personalised', function (done) {
+    const campaign = _.merge(_.omit(details(), 'body'), {
+      template: faker.random.uuid()
+    });
+    Message.broadcast(campaign, recipients(2), function (error, campaign) {
+      expect(error).to.not.exist;
+      expect(campaign.status).to.be.equal(Campaign.STATUS_COMPLETED);
+      expect(campaign.dispatched).to.be.equal(0);
+      expect(campaign.failed).to.be.equal(2);
+      done(error, campaign);
+    });
+  });
+
+  it('should store campaign recipients on their own collection',
+    function (done) {
+      Message.broadcast(details(), recipients(3), function (error, campaign) {
+        expect(error).to.not.exist;
+        expect(campaign.recipients).to.not.exist;
+
+        Message.CampaignRecipient.find({ campaign: campaign._id })
+          .sort({ index: 1 }).exec(function (error, found) {
+            expect(error).to.not.exist;
+            expect(found).to.have.length(3);
+            expect(_.map(found, 'index')).to.be.eql([0, 1, 2]);
+            expect(found[0].data).to.be.eql({ name: 'Citizen 0' });
+            done(error, found);
+          });
+      });
+    });
+
+  it('should pause and resume campaign', function (done) {
+    const campaign = new Campaign(_.merge(details(), {
+      status: Campaign.STATUS_SENDING
+    }));
+
+    campaign.add(recipients(5), function (error) {
+      expect(error).to.not.exist;
+      expect(campaign.total).to.be.equal(5);
+
+      campaign.save(function (error) {
+        expect(error).to.not.exist;
+
+        campaign.pause(function (error, paused) {
+          expect(error).to.not.exist;
+          expect(paused.status).to.be.equal(Campaign.STATUS_PAUSED);
+          expect(paused.pausedAt).to.exist;
+
+          //paused campaign is not dispatched
+          paused.dispatch(function (error, dispatched) {
+            expect(error).to.not.exist;
+            expect(dispatched.status).to.be.equal(Campaign.STATUS_PAUSED);
+            expect(dispatched.cursor).to.be.equal(0);
+
+            paused.resume(function (error, resumed) {
+              expect(error).to.not.exist;
+              expect(resumed.status).to.be.equal(Campaign.STATUS_COMPLETED);
+              expect(resumed.cursor).to.be.equal(5);
+              expect(resumed.dispatched).to.be.equal(5);
+
+              const criteria = { campaign: campaign._id };
+              Message.count(criteria, function (error, count) {
+                expect(count).to.be.equal(5);
+                done(error, resumed);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should not count already created messages as dispatched',
+    function (done) {
+      Message.broadcast(details(), recipients(3), function (error, campaign) {
+        expect(error).to.not.exist;
+        expect(campaign.dispatched).to.be.equal(3);
+
+        //rewind paused campaign
+        Campaign.updateOne({ _id: campaign._id }, {
+          $set: { status: Campaign.STATUS_PAUSED, cursor: 0 }
+        }, function (error) {
+          expect(error).to.not.exist;
+
+          campaign.status = Campaign.STATUS_PAUSED;
+          campaign.resume(function (error, resumed) {
+            expect(error).to.not.exist;
+            expect(resumed.status).to.be.equal(Campaign.STATUS_COMPLETED);
+            expect(resumed.dispatched).to.be.equal(3);
+            expect(resumed.failed).to.be.equal(0);
+            done(error, resumed);
+          });
+        });
+      });
+    });
+
+  it('should dispatch concurrently resumed campaign once', function (done) {
+    const campaign = new Campaign(_.merge(details(), {
+      status: Campaign.STATUS_PAUSED
+    }));
+
+    campaign.add(recipients(5), function (error) {
+      expect(error).to.not.exist;
+
+      campaign.save(function (error) {
+        expect(error).to.not.exist;
+
+        let resumes = [];
+        const finish = function (error) {
+          resumes.push(error);
+          if (resumes.length < 2) {
+            return;
+          }
+
+          //only one resume is allowed
+          expect(_.compact(resumes)).to.have.length(1);
+          expect(_.compact(resumes)[0].status).to.be.equal(400);
+
+          Campaign.findById(campaign._id, function (error, found) {
+            expect(error).to.not.exist;
+            expect(found.status).to.be.equal(Campaign.STATUS_COMPLETED);
+            expect(found.dispatched).to.be.equal(5);
+            done(error, found);
+          });
+        };
+
+        Campaign.findById(campaign._id, function (error, other) {
+          expect(error).to.not.exist;
+          campaign.resume(finish);
+          other.resume(finish);
+        });
+      });
+    });
+  });
+
+  it('should not resume campaign which is not paused', function (done) {
+    new Campaign(details()).resume(function (error) {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      done();
+    });
+  });
+
+});
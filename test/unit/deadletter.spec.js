@@ -0,0 +1,121 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('dead letter', function () {
+
+  const details = function () {
+    return {
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      transport: 'failing'
+    };
+  };
+
+  const failing = function (error) {
+    Message.registerTransport('failing', {
+      types: [Message.TYPE_SMS],
+      send: function (message, next) {
+        next(error);
+      }
+    });
+  };
+
+  afterEach(function () {
+    Message.unregisterTransport('failing');
+  });
+
+  it('should allow dead letter transitions', function () {
+    expect(Message.TRANSITIONS[Message.STATE_FAILED])
+      .to.include(Message.STATE_DEAD_LETTER);
+    expect(Message.TRANSITIONS[Message.STATE_DEAD_LETTER])
+      .to.be.eql([Message.STATE_UNKNOWN]);
+    expect(Message.FALLBACK_STATES).to.include(Message.STATE_DEAD_LETTER);
+  });
+
+  it('should not replay message which is not dead letter', function (done) {
+    new Message(details()).replay(function (error) {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      expect(error.message).to.be.equal('Message Is Not A Dead Letter');
+      done();
+    });
+  });
+
+  it('should move exhausted message to dead letters', function (done) {
+    failing({ code: 'ECONNREFUSED', message: 'Gateway Down' });
+
+    const message = new Message(details());
+    message.maxAttempts = 1;
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.state).to.be.equal(Message.STATE_DEAD_LETTER);
+      expect(sent.deadAt).to.exist;
+      expect(sent.failures).to.have.length(1);
+      expect(sent.failures[0].attempt).to.be.equal(1);
+      expect(sent.failures[0].failure).to.be.equal(Message.FAILURE_TRANSIENT);
+      expect(sent.failures[0].error.code).to.be.equal('ECONNREFUSED');
+      expect(sent.history.toObject()).to.satisfy(function (history) {
+        return history.some(function (transition) {
+          return (
+            transition.to === Message.STATE_DEAD_LETTER &&
+            transition.reason === 'attempts exhausted'
+          );
+        });
+      });
+
+      Message.deadLetters({ _id: sent._id }, function (error, deads) {
+        expect(error).to.not.exist;
+        expect(deads).to.have.length(1);
+        done(error, deads);
+      });
+    });
+  });
+
+  it('should replay dead letters', function (done) {
+    failing({ code: 'EHTTP', message: 'Invalid Receiver', status: 400 });
+
+    new Message(details()).send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.state).to.be.equal(Message.STATE_DEAD_LETTER);
+
+      Message.replay({ _id: sent._id }, function (error, replayed) {
+        expect(error).to.not.exist;
+        expect(replayed).to.have.length(1);
+        expect(replayed[0].state).to.not.be.equal(Message.STATE_DEAD_LETTER);
+        expect(replayed[0].attempts).to.be.equal(0);
+        expect(replayed[0].failure).to.not.exist;
+        expect(replayed[0].deadAt).to.not.exist;
+        expect(replayed[0].failures).to.have.length(1);
+        done(error, replayed);
+      });
+    });
+  });
+
+  it('should discard dead letters', function (done) {
+    failing({ code: 'EHTTP', message: 'Invalid Receiver', status: 400 });
+
+    new Message(details()).send(function (error, sent) {
+      expect(error).to.not.exist;
+
+      Message.discard({ _id: sent._id }, function (error, discarded) {
+        expect(error).to.not.exist;
+        expect(discarded).to.have.length(1);
+
+        Message.findById(sent._id, function (error, found) {
+          expect(error).to.not.exist;
+          expect(found).to.not.exist;
+          done(error, found);
+        });
+      });
+    });
+  });
+
+});
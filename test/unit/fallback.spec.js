@@ -0,0 +1,203 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('fallback', function () {
+
+  const details = function (state) {
+    return {
+      type: Message.TYPE_PUSH,
+      from: 'open311',
+      to: faker.random.uuid(),
+      body: faker.lorem.sentence(),
+      state: state,
+      sentAt: new Date(),
+      fallbacks: [{
+        type: Message.TYPE_SMS,
+        from: 'OPEN311',
+        timeout: 60000
+      }, {
+        type: Message.TYPE_EMAIL,
+        from: 'no-reply@example.com',
+        to: ['john@example.com']
+      }]
+    };
+  };
+
+  beforeEach(function () {
+    Message.options.fallback = {
+      resolve: function (message, fallback, done) {
+        done(null, faker.phone.phoneNumber('+2557########'));
+      }
+    };
+  });
+
+  afterEach(function () {
+    delete Message.options.fallback;
+  });
+
+  it('should set fallback chain and timeout', function (done) {
+    const message = new Message(details(Message.STATE_QUEUED));
+    message.validate(function (error) {
+      expect(error).to.not.exist;
+      expect(message.chain.toString()).to.be.equal(message._id.toString());
+      expect(message.fallbackAt.getTime())
+        .to.be.equal(message.sentAt.getTime() + 60000);
+      expect(message.canFallback()).to.be.false;
+      done();
+    });
+  });
+
+  it('should fall back undelivered message to next channel', function (done) {
+    Message.create(details(Message.STATE_QUEUED), function (error, created) {
+      expect(error).to.not.exist;
+
+      Message.acknowledge(created.hash, { status: 'UNDELIV' },
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.state).to.be.equal(Message.STATE_UNDELIVERED);
+          expect(message.fallbackTo).to.exist;
+
+          Message.findById(message.fallbackTo, function (error, sms) {
+            expect(error).to.not.exist;
+            expect(sms.type).to.be.equal(Message.TYPE_SMS);
+            expect(sms.from).to.be.equal('OPEN311');
+            expect(sms.to).to.have.length(1);
+            expect(sms.body).to.be.equal(message.body);
+            expect(sms.parent.toString()).to.be.equal(message._id.toString());
+            expect(sms.chain.toString()).to.be.equal(message._id.toString());
+            expect(sms.fallbacks).to.have.length(1);
+            expect(sms.fallbacks[0].type).to.be.equal(Message.TYPE_EMAIL);
+            done(error, sms);
+          });
+        });
+    });
+  });
+
+  it('should report channel which reached receiver', function (done) {
+    Message.create(details(Message.STATE_REJECTED), function (error, push) {
+      expect(error).to.not.exist;
+
+      push.fallback(function (error, sms) {
+        expect(error).to.not.exist;
+
+        Message.acknowledge(sms.hash, { status: 'DELIVRD' }, function (
+          error) {
+          expect(error).to.not.exist;
+
+          Message.deliveryChain(sms._id, function (error, chain) {
+            expect(error).to.not.exist;
+            expect(chain.messages).to.have.length(2);
+            expect(chain.messages[0]._id.toString())
+              .to.be.equal(push._id.toString());
+            expect(chain.reached.type).to.be.equal(Message.TYPE_SMS);
+            done(error, chain);
+          });
+        });
+      });
+    });
+  });
+
+  it('should fall back message not delivered on time', function (done) {
+    const message = new Message(details(Message.STATE_QUEUED));
+    message.sentAt = new Date(Date.now() - 120000);
+
+    message.save(function (error, saved) {
+      expect(error).to.not.exist;
+
+      Message.fallback({ _id: saved._id }, function (error, fallbacks) {
+        expect(error).to.not.exist;
+        expect(fallbacks).to.have.length(1);
+        expect(fallbacks[0].parent.toString())
+          .to.be.equal(saved._id.toString());
+
+        //message fall back once
+        Message.fallback({ _id: saved._id }, function (error, fallbacks) {
+          expect(error).to.not.exist;
+          expect(fallbacks).to.have.length(0);
+          done(error, fallbacks);
+        });
+      });
+    });
+  });
+
+  it('should fall back using caller $or criteria', function (done) {
+    Message.create(details(Message.STATE_REJECTED), function (error, push) {
+      expect(error).to.not.exist;
+
+      const other = new Message()._id;
+      Message.fallback({ $or: [{ _id: other }, { _id: push._id }] },
+        function (error, fallbacks) {
+          expect(error).to.not.exist;
+          expect(fallbacks).to.have.length(1);
+          expect(fallbacks[0].parent.toString())
+            .to.be.equal(push._id.toString());
+          done(error, fallbacks);
+        });
+    });
+  });
+
+  it('should fall back skipped message without message queue',
+    function (done) {
+      const queue = Message._queue;
+      Message._queue = undefined;
+
+      let sent = 0;
+      Message.registerTransport('fallback-sms', {
+        types: [Message.TYPE_SMS],
+        send: function (message, next) {
+          sent++;
+          next(null, { message: 'success' });
+        }
+      });
+
+      const finish = function (error) {
+        Message._queue = queue;
+        Message.unregisterTransport('fallback-sms');
+        done(error);
+      };
+
+      const push = new Message(details());
+      push.fallbacks[0].transport = 'fallback-sms';
+
+      Message.suppress(Message.TYPE_PUSH, push.to, function (error) {
+        expect(error).to.not.exist;
+
+        push.queue(function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.state).to.be.equal(Message.STATE_SKIPPED);
+          expect(message.fallbackTo).to.exist;
+
+          Message.findById(message.fallbackTo, function (error, sms) {
+            expect(error).to.not.exist;
+            expect(sms.sentAt).to.exist;
+            expect(sms.transport).to.be.equal('fallback-sms');
+            expect(sent).to.be.equal(1);
+            finish(error);
+          });
+        });
+      });
+    });
+
+  it('should fail to fall back without receiver', function (done) {
+    Message.options.fallback.resolve = function (message, fallback, done) {
+      done(null, []);
+    };
+
+    Message.create(details(Message.STATE_EXPIRED), function (error, push) {
+      expect(error).to.not.exist;
+
+      push.fallback(function (error) {
+        expect(error).to.exist;
+        expect(error.message).to.be.equal('Missing Fallback Receiver');
+        expect(push.fallbackTo).to.not.exist;
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const http = require('http');
+const expect = require('chai').expect;
+const faker = require('faker');
+const transport = require(path.join(__dirname, '..', '..', 'lib',
+  'transports', 'http'));
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('http transport', function () {
+
+  const port = 3031;
+  const invalid = '+255700000000';
+  const flaky = '+255700000001';
+  let flakes = 0;
+  let requests = [];
+  let server;
+
+  before(function (done) {
+
+    //local provider api stub
+    server = http.createServer(function (request, response) {
+      let body = '';
+      request.on('data', function (chunk) {
+        body += chunk;
+      });
+      request.on('end', function () {
+        body = JSON.parse(body || '{}');
+        requests.push({
+          url: request.url,
+          headers: request.headers,
+          body: body
+        });
+
+        //fail first request of flaky receiver
+        if (body.receivers === flaky && flakes++ === 0) {
+          response.writeHead(503);
+          return response.end();
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+
+        //reject invalid receiver
+        if ([].concat(body.receivers).indexOf(invalid) >= 0) {
+          return response.end(JSON.stringify({
+            status: 'ERROR',
+            error: { message: 'Invalid Receiver' }
+          }));
+        }
+
+        response.end(JSON.stringify({
+          status: 'OK',
+          data: { messageId: String(requests.length) }
+        }));
+      });
+    });
+
+    server.listen(port, done);
+
+  });
+
+  before(function () {
+    Message.registerTransport(transport({
+      name: 'http-test',
+      types: [Message.TYPE_SMS],
+      url: 'http://localhost:' + port + '/sms?key={{options.key}}',
+      headers: { 'X-Sender': '{{from}}' },
+      body: {
+        sender: '{{from}}',
+        receivers: '{{to}}',
+        text: '{{body}}'
+      },
+      response: {
+        success: { path: 'status', equals: 'OK' },
+        id: 'data.messageId',
+        error: 'error.message'
+      }
+    }));
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  it('should render request template', function () {
+    const rendered = transport.render({
+      to: '{{to}}',
+      text: 'Hello {{to}}'
+    }, { to: ['1', '2'] });
+    expect(rendered.to).to.be.eql(['1', '2']);
+    expect(rendered.text).to.be.equal('Hello 1,2');
+  });
+
+  it('should send message using request mapping', function (done) {
+    const details = {
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      transport: 'http-test',
+      options: { key: 'secret' }
+    };
+    const message = new Message(details);
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.result.messageId).to.be.equal('1');
+      expect(sent.result.status).to.be.equal(200);
+
+      expect(requests).to.have.length(1);
+      expect(requests[0].url).to.be.equal('/sms?key=secret');
+      expect(requests[0].headers['x-sender']).to.be.equal(details.from);
+      expect(requests[0].body).to.be.eql({
+        sender: details.from,
+        receivers: [details.to],
+        text: details.body
+      });
+      done();
+    });
+  });
+
+  it('should send request per receiver', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: [
+        faker.phone.phoneNumber('+2557########'),
+        faker.phone.phoneNumber('+2557########')
+      ],
+      body: faker.lorem.sentence(),
+      transport: 'http-test',
+      options: { http: { perRecipient: true } }
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.result.messageIds).to.be.eql(['1', '2']);
+      expect(requests).to.have.length(2);
+      expect(requests[0].body.receivers).to.be.equal(sent.to[0]);
+      done();
+    });
+  });
+
+  it('should send only failed receivers on retry', function (done) {
+    const to = faker.phone.phoneNumber('+2557########');
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: [to, flaky],
+      body: faker.lorem.sentence(),
+      transport: 'http-test',
+      options: { http: { perRecipient: true } }
+    });
+
+    message.send(function (error, failed) {
+      expect(error).to.not.exist;
+      expect(failed.failedAt).to.exist;
+      expect(failed.result.status).to.be.equal(503);
+      expect(failed.result.messageIds).to.be.eql(['1']);
+      expect(failed.result.receivers).to.have.length(2);
+      expect(requests).to.have.length(2);
+
+      failed.send(function (error, sent) {
+        expect(error).to.not.exist;
+        expect(sent.sentAt).to.exist;
+        expect(sent.result.messageIds).to.be.eql(['1', '3']);
+        expect(requests).to.have.length(3);
+        expect(requests[2].body.receivers).to.be.equal(flaky);
+        done();
+      });
+    });
+  });
+
+  it('should map failed response into message result', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: invalid,
+      body: faker.lorem.sentence(),
+      transport: 'http-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.not.exist;
+      expect(sent.failedAt).to.exist;
+      expect(sent.result.code).to.be.equal('EHTTP');
+      expect(sent.result.message).to.be.equal('Invalid Receiver');
+      done();
+    });
+  });
+
+  after(function (done) {
+    Message.unregisterTransport('http-test');
+    server.close(done);
+  });
+
+  after(function (done) {
+    Message.remove(done);
+  });
+
+});
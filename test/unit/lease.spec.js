@@ -0,0 +1,183 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const async = require('async');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('lease', function () {
+
+  const transport = 'gateway';
+
+  const details = function (priority) {
+    return {
+      type: Message.TYPE_SMS,
+      mode: Message.SEND_MODE_PULL,
+      state: Message.STATE_UNKNOWN,
+      transport: transport,
+      from: 'open311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      priority: priority || Message.PRIORITY_NORMAL
+    };
+  };
+
+  beforeEach(function (done) {
+    Message.remove({ transport: transport }, done);
+  });
+
+  it('should lease pull messages by priority', function (done) {
+    Message.create([
+      details(Message.PRIORITY_LOW),
+      details(Message.PRIORITY_CRITICAL),
+      details(Message.PRIORITY_NORMAL)
+    ], function (error) {
+      expect(error).to.not.exist;
+
+      Message.lease({ transport: transport, limit: 2, by: 'phone-1' },
+        function (error, leased) {
+          expect(error).to.not.exist;
+          expect(leased).to.have.length(2);
+          expect(_.map(leased, 'priority')).to.be.eql([
+            Message.PRIORITY_CRITICAL, Message.PRIORITY_NORMAL
+          ]);
+          expect(leased[0].state).to.be.equal(Message.STATE_SENT);
+          expect(leased[0].leasedBy).to.be.equal('phone-1');
+          expect(leased[0].leaseExpiresAt).to.exist;
+          expect(_.last(leased[0].history).to)
+            .to.be.equal(Message.STATE_SENT);
+          done(error, leased);
+        });
+    });
+  });
+
+  it('should not lease same message twice', function (done) {
+    Message.create([details(), details()], function (error) {
+      expect(error).to.not.exist;
+
+      async.parallel([
+        function (next) {
+          Message.lease({ transport: transport, by: 'phone-1' }, next);
+        },
+        function (next) {
+          Message.lease({ transport: transport, by: 'phone-2' }, next);
+        }
+      ], function (error, results) {
+        expect(error).to.not.exist;
+        const ids = _.map(_.flatten(results), function (message) {
+          return message._id.toString();
+        });
+        expect(ids).to.have.length(2);
+        expect(_.uniq(ids)).to.have.length(2);
+        done(error, results);
+      });
+    });
+  });
+
+  it('should release expired leases', function (done) {
+    Message.create(details(), function (error) {
+      expect(error).to.not.exist;
+
+      Message.lease({ transport: transport, leaseFor: -1 },
+        function (error, leased) {
+          expect(error).to.not.exist;
+          expect(leased).to.have.length(1);
+
+          Message.lease({ transport: transport }, function (error, released) {
+            expect(error).to.not.exist;
+            expect(released).to.have.length(1);
+            expect(released[0]._id.toString())
+              .to.be.equal(leased[0]._id.toString());
+            const reasons = _.map(released[0].history, 'reason');
+            expect(reasons).to.include('lease expired');
+            done(error, released);
+          });
+        });
+    });
+  });
+
+  it('should ack leased messages', function (done) {
+    Message.create([details(), details()], function (error) {
+      expect(error).to.not.exist;
+
+      Message.lease({ transport: transport }, function (error, leased) {
+        expect(error).to.not.exist;
+
+        const ids = _.map(leased, '_id');
+        Message.ack(ids, { state: 'delivered' }, function (error, acked) {
+          expect(error).to.not.exist;
+          expect(acked).to.have.length(2);
+          expect(acked[0].state).to.be.equal(Message.STATE_DELIVERED);
+          expect(acked[0].deliveredAt).to.exist;
+          expect(acked[0].leaseExpiresAt).to.not.exist;
+          done(error, acked);
+        });
+      });
+    });
+  });
+
+  it('should ack only owned leases and collect errors', function (done) {
+    Message.create([details(), details()], function (error) {
+      expect(error).to.not.exist;
+
+      Message.lease({ transport: transport, by: 'phone-1' },
+        function (error, leased) {
+          expect(error).to.not.exist;
+          expect(leased).to.have.length(2);
+
+          const ids = _.map(leased, function (message) {
+            return message._id.toString();
+          });
+          const unknown = new Message()._id.toString();
+
+          Message.ack(ids, {}, { by: 'phone-2' }, function (error, acked,
+            errors) {
+            expect(error).to.not.exist;
+            expect(acked).to.have.length(0);
+            expect(errors[ids[0]].status).to.be.equal(404);
+
+            Message.ack([].concat(ids, unknown), {}, { by: 'phone-1' },
+              function (error, acked, errors) {
+                expect(error).to.not.exist;
+                expect(acked).to.have.length(2);
+                expect(_.keys(errors)).to.be.eql([unknown]);
+                done(error, acked);
+              });
+          });
+        });
+    });
+  });
+
+  it('should not ack expired lease', function (done) {
+    Message.create(details(), function (error) {
+      expect(error).to.not.exist;
+
+      Message.lease({ transport: transport, leaseFor: -1 },
+        function (error, leased) {
+          expect(error).to.not.exist;
+
+          const id = leased[0]._id.toString();
+          Message.ack(id, function (error, acked, errors) {
+            expect(error).to.not.exist;
+            expect(acked).to.have.length(0);
+            expect(errors[id].status).to.be.equal(404);
+            done(error, acked);
+          });
+        });
+    });
+  });
+
+  it('should ack leased messages as queued by default', function () {
+    return Message.create(details()).then(function () {
+      return Message.lease({ transport: transport });
+    }).then(function (leased) {
+      return Message.ack(_.map(leased, '_id'));
+    }).then(function (acked) {
+      expect(acked[0].state).to.be.equal(Message.STATE_QUEUED);
+    });
+  });
+
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const async = require('async');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const limiter = require(path.join(__dirname, '..', '..', 'lib', 'limiter'));
+
+describe('limiter', function () {
+
+  afterEach(function () {
+    limiter.reset();
+    Message.unregisterTransport('limited');
+  });
+
+  it('should reject invalid rate limit', function () {
+    expect(function () {
+      limiter.set('queue:sms', { rate: 0 });
+    }).to.throw('Invalid Rate Limit');
+    expect(function () {
+      limiter.set('queue:sms', { rate: 1, per: 'fortnight' });
+    }).to.throw('Invalid Rate Limit');
+  });
+
+  it('should allow burst within rate limit', function (done) {
+    limiter.set('queue:sms', { rate: 5, per: 'second' });
+
+    const startedAt = Date.now();
+    async.times(5, function (n, next) {
+      limiter.acquire('queue:sms', next);
+    }, function (error) {
+      expect(Date.now() - startedAt).to.be.below(100);
+      done(error);
+    });
+  });
+
+  it('should delay work exceeding rate limit', function (done) {
+    limiter.set('queue:sms', { rate: 10, per: 'second', burst: 1 });
+
+    const startedAt = Date.now();
+    async.times(3, function (n, next) {
+      limiter.acquire(['queue:sms', 'queue:unknown'], next);
+    }, function (error) {
+      expect(Date.now() - startedAt).to.be.at.least(190);
+      done(error);
+    });
+  });
+
+  it('should set and clear transport rate limit', function () {
+    Message.registerTransport('limited', {
+      types: [Message.TYPE_SMS],
+      rateLimit: { rate: 2, per: 'minute' },
+      send: function (message, done) {
+        done(null, {});
+      }
+    });
+    expect(limiter.get('transport:limited')).to.exist;
+    expect(limiter.get('transport:limited').options.interval)
+      .to.be.equal(60000);
+
+    Message.unregisterTransport('limited');
+    expect(limiter.get('transport:limited')).to.not.exist;
+  });
+
+  it('should set and clear queue rate limit', function () {
+    Message.rateLimit({ queueName: 'sms', rate: 100, per: 'minute' });
+    expect(limiter.get('queue:sms')).to.exist;
+
+    Message.rateLimit({ queueName: 'sms' });
+    expect(limiter.get('queue:sms')).to.not.exist;
+
+    expect(function () {
+      Message.rateLimit({ rate: 1 });
+    }).to.throw('Missing Rate Limit Transport Or Queue Name');
+  });
+
+  it('should throttle message send', function (done) {
+    Message.registerTransport('limited', {
+      types: [Message.TYPE_SMS],
+      rateLimit: { rate: 10, per: 'second', burst: 1 },
+      send: function (message, done) {
+        done(null, { state: Message.STATE_DELIVERED });
+      }
+    });
+
+    const startedAt = Date.now();
+    async.times(2, function (n, next) {
+      new Message({
+        type: Message.TYPE_SMS,
+        from: 'open311',
+        to: faker.phone.phoneNumber('+2557########'),
+        body: faker.lorem.sentence(),
+        transport: 'limited'
+      }).send(next);
+    }, function (error, messages) {
+      expect(error).to.not.exist;
+      expect(messages).to.have.length(2);
+      expect(Date.now() - startedAt).to.be.at.least(90);
+      done(error, messages);
+    });
+  });
+
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const echo = require(path.join(__dirname, '..', 'fake', 'echo'));
+
+describe('promise', function () {
+
+  const details = function () {
+    return {
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence(),
+      transport: echo.name
+    };
+  };
+
+  it('should send message using promise', function () {
+    const message = new Message(details());
+    return message.send().then(function (sent) {
+      expect(sent.sentAt).to.exist;
+      expect(sent.state).to.be.equal(Message.STATE_DELIVERED);
+    });
+  });
+
+  it('should queue message using promise', function () {
+    const message = new Message(details());
+    return message.queue().then(function (queued) {
+      expect(queued.message._id).to.exist;
+      expect(queued.message.queueName).to.be.equal(echo.queueName);
+      expect(queued.jobId).to.exist;
+    });
+  });
+
+  it('should queue message using callback', function (done) {
+    const message = new Message(details());
+    message.queue(function (error, queued, jobId) {
+      expect(error).to.not.exist;
+      expect(queued._id).to.exist;
+      expect(jobId).to.exist;
+      done(error, queued);
+    });
+  });
+
+  it('should reject queue of invalid message', function () {
+    const message = new Message({ body: faker.lorem.sentence() });
+    return message.queue().then(function () {
+      throw new Error('Should Not Queue Invalid Message');
+    }, function (error) {
+      expect(error).to.exist;
+      expect(error.name).to.be.equal('ValidationError');
+    });
+  });
+
+  it('should reject cancel of sent message', function () {
+    const message = new Message(details());
+    message.sentAt = new Date();
+    return message.cancel().then(function () {
+      throw new Error('Should Not Cancel Sent Message');
+    }, function (error) {
+      expect(error.status).to.be.equal(400);
+    });
+  });
+
+  describe('rejection', function () {
+
+    const models = function () {
+      return [
+        Message, Message.Template, Message.Campaign, Message.CampaignRecipient,
+        Message.Suppression, Message.Device
+      ];
+    };
+
+    const methods = [
+      'find', 'findOne', 'findById', 'findOneAndUpdate', 'update', 'updateOne',
+      'updateMany', 'count', 'aggregate', 'insertMany', 'create', 'remove'
+    ];
+
+    let originals = [];
+
+    //fail every query with or without callback
+    const fail = function () {
+      const error = new Error('Query Failed');
+      const done = _.last(arguments);
+      if (_.isFunction(done)) {
+        return done(error);
+      }
+      const query = {
+        exec: function (next) {
+          next(error);
+        }
+      };
+      _.forEach(['select', 'sort', 'limit', 'skip', 'lean', 'populate'],
+        function (method) {
+          query[method] = _.constant(query);
+        });
+      return query;
+    };
+
+    beforeEach(function () {
+      originals = [];
+      _.forEach(models(), function (model) {
+        _.forEach([].concat(methods, 'prototype.save'), function (method) {
+          originals.push({
+            model: model,
+            method: method,
+            own: _.has(model, method),
+            value: _.get(model, method)
+          });
+          _.set(model, method, fail);
+        });
+      });
+    });
+
+    afterEach(function () {
+      _.forEach(originals, function (original) {
+        if (original.own) {
+          _.set(original.model, original.method, original.value);
+        } else {
+          _.unset(original.model, original.method);
+        }
+      });
+    });
+
+    const id = function () {
+      return new Message()._id;
+    };
+
+    const statics = {
+      fromTemplate: function () {
+        return Message.fromTemplate(faker.random.uuid(), {});
+      },
+      acknowledge: function () {
+        return Message.acknowledge(faker.random.uuid(), { status: 'DELIVRD' });
+      },
+      release: function () {
+        return Message.release();
+      },
+      lease: function () {
+        return Message.lease();
+      },
+      ack: function () {
+        return Message.ack([id()]);
+      },
+      receive: function () {
+        return Message.receive({
+          type: Message.TYPE_SMS,
+          from: '255714000000',
+          to: '15200',
+          body: faker.lorem.sentence()
+        });
+      },
+      suppress: function () {
+        return Message.suppress(Message.TYPE_SMS, '+255714000000');
+      },
+      unsuppress: function () {
+        return Message.unsuppress(Message.TYPE_SMS, '+255714000000');
+      },
+      suppressions: function () {
+        return Message.suppressions();
+      },
+      fallback: function () {
+        return Message.fallback();
+      },
+      deadLetters: function () {
+        return Message.deadLetters();
+      },
+      replay: function () {
+        return Message.replay();
+      },
+      discard: function () {
+        return Message.discard();
+      },
+      deliveryChain: function () {
+        return Message.deliveryChain(id());
+      },
+      broadcast: function () {
+        return Message.broadcast({
+          name: faker.lorem.words(),
+          type: Message.TYPE_SMS,
+          from: 'open311',
+          body: faker.lorem.sentence()
+        }, ['+255714000000']);
+      },
+      unsent: function () {
+        return Message.unsent();
+      },
+      sent: function () {
+        return Message.sent();
+      },
+      scheduled: function () {
+        return Message.scheduled();
+      },
+      resend: function () {
+        return Message.resend();
+      },
+      requeue: function () {
+        return Message.requeue();
+      },
+      process: function () {
+        return Message.process({ data: { _id: id() } });
+      }
+    };
+
+    it('should emit fire and forget rejection on model', function (done) {
+      Message.once('error', function (error) {
+        expect(error.message).to.be.equal('Query Failed');
+        done();
+      });
+      Message.unsent();
+    });
+
+    _.forEach(statics, function (invoke, name) {
+      it('should reject ' + name + ' using promise', function () {
+        return invoke().then(function () {
+          throw new Error('Should Reject ' + name);
+        }, function (error) {
+          expect(error.message).to.be.equal('Query Failed');
+        });
+      });
+    });
+
+  });
+
+  it('should find unsent and sent messages using promise', function () {
+    return Message.unsent().then(function (unsents) {
+      expect(unsents).to.be.an('array');
+      return Message.sent();
+    }).then(function (sents) {
+      expect(sents).to.be.an('array');
+    });
+  });
+
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+/* jshint camelcase:false */
+
+//dependencies
+const path = require('path');
+const http = require('http');
+const expect = require('chai').expect;
+const faker = require('faker');
+const transport = require(path.join(__dirname, '..', '..', 'lib',
+  'transports', 'push'));
+const Message = require(path.join(__dirname, '..', '..'))();
+const Device = Message.Device;
+
+describe('push transport', function () {
+
+  const port = 3032;
+  const recipient = faker.random.uuid();
+  const valid = faker.random.uuid();
+  const invalid = faker.random.uuid();
+  let payloads = [];
+  let server;
+
+  before(function (done) {
+
+    //local fcm api stub
+    server = http.createServer(function (request, response) {
+      let body = '';
+      request.on('data', function (chunk) {
+        body += chunk;
+      });
+      request.on('end', function () {
+        body = JSON.parse(body);
+        payloads.push(body);
+
+        const results = body.registration_ids.map(function (token) {
+          return (token === invalid ?
+            { error: 'NotRegistered' } : { message_id: token });
+        });
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({
+          multicast_id: 1,
+          success: results.filter(function (result) {
+            return result.message_id;
+          }).length,
+          failure: results.filter(function (result) {
+            return result.error;
+          }).length,
+          results: results
+        }));
+      });
+    });
+
+    server.listen(port, done);
+
+  });
+
+  before(function () {
+    Message.registerTransport(transport({
+      name: 'push-test',
+      url: 'http://localhost:' + port + '/fcm/send',
+      serverKey: 'open311'
+    }));
+  });
+
+  before(function (done) {
+    Device.register({ recipient: recipient, token: valid }, done);
+  });
+
+  before(function (done) {
+    Device.register({ recipient: recipient, token: invalid }, done);
+  });
+
+  it('should be able to register device', function (done) {
+    Device.register({
+      recipient: recipient,
+      platform: Device.PLATFORM_ANDROID,
+      token: valid
+    }, function (error, device) {
+      expect(error).to.not.exist;
+      expect(device.recipient).to.be.equal(recipient);
+      expect(device.token).to.be.equal(valid);
+      expect(device.lastSeen).to.exist;
+      done(error, device);
+    });
+  });
+
+  it('should resolve recipient tokens', function (done) {
+    Device.tokens(recipient, function (error, tokens) {
+      expect(error).to.not.exist;
+      expect(tokens).to.have.length(2);
+      expect(tokens).to.include(valid);
+      expect(tokens).to.include(invalid);
+      done(error, tokens);
+    });
+  });
+
+  it('should send push and prune invalid tokens', function (done) {
+    const message = new Message({
+      type: Message.TYPE_PUSH,
+      from: 'open311',
+      to: recipient,
+      subject: faker.lorem.word(),
+      body: faker.lorem.sentence(),
+      transport: 'push-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.result.success).to.be.equal(1);
+      expect(sent.result.failure).to.be.equal(1);
+      expect(sent.result.pruned).to.be.eql([invalid]);
+
+      expect(payloads[0].notification.title).to.be.equal(sent.subject);
+      expect(payloads[0].notification.body).to.be.equal(sent.body);
+
+      Device.tokens(recipient, function (error, tokens) {
+        expect(error).to.not.exist;
+        expect(tokens).to.be.eql([valid]);
+        done(error, tokens);
+      });
+    });
+  });
+
+  it('should fail to send push without devices', function (done) {
+    const message = new Message({
+      type: Message.TYPE_PUSH,
+      from: 'open311',
+      to: faker.random.uuid(),
+      body: faker.lorem.sentence(),
+      transport: 'push-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.not.exist;
+      expect(sent.failedAt).to.exist;
+      expect(sent.result.code).to.be.equal('ENOTOKENS');
+      done();
+    });
+  });
+
+  after(function (done) {
+    Message.unregisterTransport('push-test');
+    server.close(done);
+  });
+
+  after(function (done) {
+    Device.remove(done);
+  });
+
+  after(function (done) {
+    Message.remove(done);
+  });
+
+});
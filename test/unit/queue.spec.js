@@ -0,0 +1,224 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const queues = require(path.join(__dirname, '..', '..', 'lib', 'queues'));
+
+describe('queue', function () {
+
+  afterEach(function () {
+    queues.reset();
+  });
+
+  it('should have default queue adapters', function () {
+    expect(queues.names()).to.include('kue');
+    expect(queues.names()).to.include('memory');
+    expect(queues.names()).to.include('mongo');
+    expect(queues.DEFAULT_ADAPTER).to.be.equal('kue');
+  });
+
+  it('should reject unknown or invalid queue adapter', function () {
+    expect(function () {
+      queues.create('unknown');
+    }).to.throw('Unknown Queue Adapter unknown');
+    expect(function () {
+      queues.create({ name: 'invalid' });
+    }).to.throw('Invalid Queue Adapter invalid');
+  });
+
+  it('should use custom queue adapter', function () {
+    queues.register('custom', function (options) {
+      return queues.create('memory', options);
+    });
+    const queue = queues.create('custom', { name: 'custom' });
+    expect(queue.name).to.be.equal('custom');
+  });
+
+  it('should process memory jobs in priority order', function (done) {
+    const queue = queues.create('memory');
+    const processed = [];
+
+    queue.enqueue('email', { n: 1 }, { priority: 'low' }, function () {});
+    queue.enqueue('email', { n: 2 }, function () {});
+    queue.enqueue('email', { n: 3 }, { priority: 'critical' }, function () {});
+
+    queue.on('job complete', function () {
+      if (processed.length === 3) {
+        expect(processed).to.be.eql([3, 2, 1]);
+        queue.shutdown(done);
+      }
+    });
+
+    queue.process('email', function (job, next) {
+      processed.push(job.data.n);
+      next(null, job.data);
+    });
+  });
+
+  it('should delay memory jobs', function (done) {
+    const queue = queues.create('memory');
+    const enqueuedAt = Date.now();
+
+    queue.process('sms', function (job, next) {
+      expect(Date.now() - enqueuedAt).to.be.at.least(45);
+      next();
+      queue.shutdown(done);
+    });
+
+    queue.enqueue('sms', {}, { delay: 50 }, function (error, job) {
+      expect(error).to.not.exist;
+      expect(job.state).to.be.equal('delayed');
+    });
+  });
+
+  it('should queue and process message using memory adapter', function (done) {
+    const queue = Message._queue;
+    Message._queue = queues.create('memory');
+
+    Message.registerTransport('memory-echo', {
+      types: [Message.TYPE_EMAIL],
+      queueName: 'memory-echo',
+      send: function (message, next) {
+        next(null, { message: 'success' });
+      }
+    });
+
+    const finish = function (error, sent) {
+      Message._queue.shutdown();
+      Message._queue = queue;
+      Message.unregisterTransport('memory-echo');
+      done(error, sent);
+    };
+
+    Message._queue.process('memory-echo', function (job, next) {
+      Message.process(job, function (error, sent) {
+        next(error, sent);
+        expect(error).to.not.exist;
+        expect(sent.sentAt).to.exist;
+        expect(sent.result).to.be.eql({ message: 'success' });
+        finish(error, sent);
+      });
+    });
+
+    new Message({
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence(),
+      transport: 'memory-echo'
+    }).queue(function (error, message, jobId) {
+      if (error) {
+        return finish(error);
+      }
+      expect(jobId).to.exist;
+    });
+  });
+
+  it('should report mongo claim error without error listener',
+    function (done) {
+      const findOneAndUpdate = Message.findOneAndUpdate;
+      const queue = queues.create('mongo', { pollInterval: 10 });
+      let claims = 0;
+      let errors = [];
+
+      Message.findOneAndUpdate = function () {
+        const next = arguments[arguments.length - 1];
+        claims++;
+        next(new Error('Connection Lost'));
+      };
+
+      queue.on('queue error', function (error) {
+        errors.push(error);
+      });
+
+      queue.process('mongo-error', function () {});
+
+      setTimeout(function () {
+        queue.shutdown();
+        Message.findOneAndUpdate = findOneAndUpdate;
+        expect(claims).to.be.at.least(2);
+        expect(errors).to.have.length(claims);
+        expect(errors[0].message).to.be.equal('Connection Lost');
+        done();
+      }, 50);
+    });
+
+  it('should queue and process message using mongo adapter', function (done) {
+    const queue = Message._queue;
+    Message._queue = queues.create('mongo', { pollInterval: 50 });
+
+    Message.registerTransport('mongo-echo', {
+      types: [Message.TYPE_EMAIL],
+      queueName: 'mongo-echo',
+      send: function (message, next) {
+        next(null, { message: 'success' });
+      }
+    });
+
+    const finish = function (error, sent) {
+      Message._queue.shutdown();
+      Message._queue = queue;
+      Message.unregisterTransport('mongo-echo');
+      done(error, sent);
+    };
+
+    Message._queue.once('job complete', function (id) {
+      Message.findOne({ 'job.id': id }, function (error, sent) {
+        expect(error).to.not.exist;
+        expect(sent.sentAt).to.exist;
+        expect(sent.job.state).to.be.equal('complete');
+        expect(sent.job.claims).to.be.equal(1);
+        finish(error, sent);
+      });
+    });
+
+    new Message({
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence(),
+      transport: 'mongo-echo',
+      priority: Message.PRIORITY_HIGH
+    }).queue(function (error, message, jobId) {
+      if (error) {
+        return finish(error);
+      }
+      expect(jobId).to.exist;
+      Message._queue.process('mongo-echo', Message.process);
+    });
+  });
+
+  it('should claim mongo job again after visibility timeout', function (done) {
+    const crashed = queues.create('mongo', { visibilityTimeout: 50 });
+    const worker = queues.create('mongo', { pollInterval: 50 });
+
+    new Message({
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence(),
+      queueName: 'mongo-crash'
+    }).save(function (error, message) {
+      expect(error).to.not.exist;
+
+      crashed.enqueue('mongo-crash', message.toObject(), function (error) {
+        expect(error).to.not.exist;
+
+        //never complete claimed job
+        crashed.process('mongo-crash', function (job) {
+          crashed.shutdown();
+          expect(job.claims).to.be.equal(1);
+
+          worker.process('mongo-crash', function (job, next) {
+            expect(job.claims).to.be.equal(2);
+            expect(job.data._id.toString())
+              .to.be.equal(message._id.toString());
+            next();
+            worker.shutdown(done);
+          });
+        });
+      });
+    });
+  });
+
+});
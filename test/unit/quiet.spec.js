@@ -0,0 +1,121 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const Message = require(path.join(__dirname, '..', '..'))();
+const quiet = require(path.join(__dirname, '..', '..', 'lib', 'quiet'));
+
+describe('quiet hours', function () {
+
+  const options = {
+    start: '21:00',
+    end: '07:00',
+    types: { EMAIL: false, PUSH: { start: '22:00', end: '06:00' } }
+  };
+
+  const details = function (overrides) {
+    return Object.assign({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: '+255714000000',
+      body: 'Your service request has been resolved',
+      sendAt: new Date('2099-07-01T23:15:00Z')
+    }, overrides);
+  };
+
+  afterEach(function () {
+    delete Message.options.quietHours;
+  });
+
+  it('should merge global and per type quiet window', function () {
+    expect(quiet.window(options, Message.TYPE_SMS)).to.be.eql({
+      start: '21:00',
+      end: '07:00',
+      timezone: 'UTC'
+    });
+    expect(quiet.window(options, Message.TYPE_PUSH).start)
+      .to.be.equal('22:00');
+    expect(quiet.window(options, Message.TYPE_EMAIL)).to.not.exist;
+    expect(quiet.window(undefined, Message.TYPE_SMS)).to.not.exist;
+  });
+
+  it('should reject invalid quiet window', function () {
+    expect(function () {
+      quiet.window({ start: '24:00', end: '07:00' });
+    }).to.throw('Invalid Quiet Hours');
+    expect(function () {
+      quiet.window({ start: '21:00', end: '07:00', timezone: 'Mars/Base' });
+    }).to.throw('Invalid Quiet Hours');
+  });
+
+  it('should detect quiet time', function () {
+    const window = quiet.window(options, Message.TYPE_SMS);
+    expect(quiet.isQuiet(new Date('2018-07-01T21:00:00Z'), window)).to.be
+      .true;
+    expect(quiet.isQuiet(new Date('2018-07-01T02:00:00Z'), window)).to.be
+      .true;
+    expect(quiet.isQuiet(new Date('2018-07-01T07:00:00Z'), window)).to.be
+      .false;
+    expect(quiet.isQuiet(new Date('2018-07-01T12:00:00Z'), window)).to.be
+      .false;
+  });
+
+  it('should obtain end of quiet window in receiver time zone', function () {
+    const window = quiet.window(options, Message.TYPE_SMS);
+    expect(quiet.next(new Date('2018-07-01T23:15:30Z'), window))
+      .to.be.eql(new Date('2018-07-02T07:00:00Z'));
+    expect(quiet.next(new Date('2018-07-01T23:15:00Z'), window,
+      'Africa/Dar_es_Salaam')).to.be.eql(new Date('2018-07-02T04:00:00Z'));
+
+    const now = new Date('2018-07-01T12:15:00Z');
+    expect(quiet.next(now, window)).to.be.equal(now);
+  });
+
+  it('should use window time zone for invalid receiver time zone',
+    function () {
+      const window = quiet.window(options, Message.TYPE_SMS);
+      const date = new Date('2018-07-01T23:15:00Z');
+      expect(quiet.isQuiet(date, window, 'Mars/Olympus_Mons')).to.be.true;
+      expect(quiet.next(date, window, 'Mars/Olympus_Mons'))
+        .to.be.eql(new Date('2018-07-02T07:00:00Z'));
+
+      Message.options.quietHours = options;
+      const message = new Message(details({ timezone: 'Invalid/Zone' }));
+      expect(message._deferUntil())
+        .to.be.eql(new Date('2099-07-02T07:00:00Z'));
+    });
+
+  it('should defer non critical message to end of quiet hours', function () {
+    Message.options.quietHours = options;
+
+    const message = new Message(details({ timezone: 'Africa/Nairobi' }));
+    expect(message._deferUntil())
+      .to.be.eql(new Date('2099-07-02T04:00:00Z'));
+  });
+
+  it('should not defer critical message', function () {
+    Message.options.quietHours = options;
+
+    const message =
+      new Message(details({ priority: Message.PRIORITY_CRITICAL }));
+    expect(message._deferUntil()).to.not.exist;
+  });
+
+  it('should not defer message without quiet hours', function () {
+    Message.options.quietHours = options;
+
+    const email = new Message(details({
+      type: Message.TYPE_EMAIL,
+      from: 'no-reply@example.com',
+      to: 'john@example.com'
+    }));
+    expect(email._deferUntil()).to.not.exist;
+
+    const message = new Message(details({
+      options: { quietHours: false }
+    }));
+    expect(message._deferUntil()).to.not.exist;
+  });
+
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const handlers = require(path.join(__dirname, '..', '..', 'lib', 'handlers'));
+
+describe('receive', function () {
+
+  const details = function (body, from) {
+    return {
+      type: Message.TYPE_SMS,
+      from: from || faker.phone.phoneNumber('2557########'),
+      to: '15200',
+      body: body
+    };
+  };
+
+  beforeEach(function () {
+    handlers.reset();
+  });
+
+  after(function () {
+    handlers.reset();
+  });
+
+  it('should parse message keyword and arguments', function () {
+    const parsed = handlers.parse(' status 1234 now ');
+    expect(parsed.keyword).to.be.equal('STATUS');
+    expect(parsed.args).to.be.eql(['1234', 'now']);
+    expect(parsed.text).to.be.equal('1234 now');
+  });
+
+  it('should route received message by keyword', function (done) {
+    Message.registerHandler('status', { keyword: 'status' },
+      function (message, match, then) {
+        expect(message.direction).to.be.equal(Message.DIRECTION_INBOUND);
+        expect(message.state).to.be.equal(Message.STATE_RECEIVED);
+        expect(match.keyword).to.be.equal('STATUS');
+        then(null, { code: match.args[0] });
+      });
+
+    Message.receive(details('STATUS 1234'),
+      function (error, message, dispatched) {
+        expect(error).to.not.exist;
+        expect(message._id).to.exist;
+        expect(dispatched.duplicate).to.be.false;
+        expect(dispatched.handler).to.be.equal('status');
+        expect(dispatched.result.code).to.be.equal('1234');
+        done(error, message);
+      });
+  });
+
+  it('should route received message by sender and type', function (done) {
+    Message.registerHandler('email', { type: Message.TYPE_EMAIL },
+      function (message, match, then) {
+        then();
+      });
+    Message.registerHandler('vodacom', { from: /^25576/ },
+      function (message, match, then) {
+        then();
+      });
+
+    Message.receive(details('Hello', '255765000000'),
+      function (error, message, dispatched) {
+        expect(error).to.not.exist;
+        expect(dispatched.handler).to.be.equal('vodacom');
+        done(error, message);
+      });
+  });
+
+  it('should route unmatched message to default handler', function (done) {
+    Message.registerHandler('status', { keyword: 'STATUS' },
+      function (message, match, then) {
+        then();
+      });
+    Message.defaultHandler(function (message, match, then) {
+      then(null, match.keyword);
+    });
+
+    Message.receive(details('HELP me'),
+      function (error, message, dispatched) {
+        expect(error).to.not.exist;
+        expect(dispatched.handler).to.be.equal('default');
+        expect(dispatched.result).to.be.equal('HELP');
+        done(error, message);
+      });
+  });
+
+  it('should drop duplicate received message', function (done) {
+    let handled = 0;
+    Message.defaultHandler(function (message, match, then) {
+      handled++;
+      then();
+    });
+
+    const received = details('STATUS 5678');
+    Message.receive(received, function (error, first) {
+      expect(error).to.not.exist;
+
+      Message.receive(received, function (error, message, dispatched) {
+        expect(error).to.not.exist;
+        expect(dispatched.duplicate).to.be.true;
+        expect(message._id.toString()).to.be.equal(first._id.toString());
+        expect(handled).to.be.equal(1);
+        done(error, message);
+      });
+    });
+  });
+
+  it('should not resend received message', function (done) {
+    let sent = 0;
+    Message.registerTransport('receive-echo', {
+      types: [Message.TYPE_SMS],
+      send: function (message, next) {
+        sent++;
+        next(null, { message: 'success' });
+      }
+    });
+
+    const received = details('STATUS 9012');
+    received.transport = 'receive-echo';
+    Message.receive(received, function (error, message) {
+      expect(error).to.not.exist;
+
+      Message.resend({ _id: message._id }, function (error, resent) {
+        Message.unregisterTransport('receive-echo');
+        expect(error).to.not.exist;
+        expect(resent).to.have.length(0);
+        expect(sent).to.be.equal(0);
+        done(error, resent);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const retry = require(path.join(__dirname, '..', '..', 'lib', 'retry'));
+const smtp =
+  require(path.join(__dirname, '..', '..', 'lib', 'transports', 'smtp'));
+const smpp =
+  require(path.join(__dirname, '..', '..', 'lib', 'transports', 'smpp'));
+
+describe('retry', function () {
+
+  const details = function (transport) {
+    return {
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      transport: transport
+    };
+  };
+
+  const failing = function (error) {
+    Message.registerTransport('failing', {
+      types: [Message.TYPE_SMS],
+      send: function (message, next) {
+        next(error);
+      }
+    });
+  };
+
+  afterEach(function () {
+    Message.unregisterTransport('failing');
+    retry.reset();
+  });
+
+  it('should classify send errors', function () {
+    expect(retry.classify({ code: 'ECONNRESET' }))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+    expect(retry.classify({ code: 'EHTTP', status: 429 }))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+    expect(retry.classify({ code: 'EHTTP', status: 503 }))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+    expect(retry.classify({ code: 'EHTTP', status: 400 }))
+      .to.be.equal(Message.FAILURE_PERMANENT);
+    expect(retry.classify({ code: 'EHTTP', status: 503, transient: false }))
+      .to.be.equal(Message.FAILURE_PERMANENT);
+  });
+
+  it('should classify transport errors', function () {
+    const mail = smtp({ host: 'localhost' });
+    expect(retry.classify({ status: 550 }, mail))
+      .to.be.equal(Message.FAILURE_PERMANENT);
+    expect(retry.classify({ status: 421 }, mail))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+    expect(retry.classify({ code: 'ECONNECTION' }, mail))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+
+    const sms = smpp();
+    expect(retry.classify({ code: 'ESME_RTHROTTLED', status: 88 }, sms))
+      .to.be.equal(Message.FAILURE_TRANSIENT);
+    expect(retry.classify({ code: 'ESME_RINVDSTADR', status: 11 }, sms))
+      .to.be.equal(Message.FAILURE_PERMANENT);
+  });
+
+  it('should compute backoff delay', function () {
+    expect(retry.delay('fixed', 3)).to.be.equal(60000);
+    expect(retry.delay({ type: 'linear', delay: 1000 }, 3)).to.be.equal(3000);
+    expect(retry.delay({ type: 'exponential', delay: 1000 }, 1))
+      .to.be.equal(1000);
+    expect(retry.delay({ type: 'exponential', delay: 1000 }, 4))
+      .to.be.equal(8000);
+    expect(retry.delay({ delay: 1000, maxDelay: 5000 }, 10))
+      .to.be.equal(5000);
+    expect(function () {
+      retry.delay('unknown', 1);
+    }).to.throw('Unknown Backoff Strategy unknown');
+  });
+
+  it('should use custom backoff strategy', function () {
+    Message.backoffStrategy('hourly', function () {
+      return 3600000;
+    });
+    expect(retry.delay('hourly', 1)).to.be.equal(3600000);
+  });
+
+  it('should schedule retry of transient failure', function (done) {
+    failing({ code: 'ETIMEDOUT', message: 'Gateway Timeout' });
+
+    const message = new Message(details('failing'));
+    message.backoff = { type: 'fixed', delay: 60000 };
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.state).to.be.equal(Message.STATE_FAILED);
+      expect(sent.failure).to.be.equal(Message.FAILURE_TRANSIENT);
+      expect(sent.attempts).to.be.equal(1);
+      expect(sent.nextAttemptAt).to.exist;
+      expect(sent.isDue()).to.be.false;
+
+      //retry is not due yet
+      Message.unsent({ _id: sent._id }, function (error, unsents) {
+        expect(error).to.not.exist;
+        expect(unsents).to.have.length(0);
+        done(error, unsents);
+      });
+    });
+  });
+
+  it('should never retry permanent failure', function (done) {
+    failing({ code: 'EHTTP', message: 'Invalid Receiver', status: 400 });
+
+    new Message(details('failing')).send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.state).to.be.equal(Message.STATE_DEAD_LETTER);
+      expect(sent.failure).to.be.equal(Message.FAILURE_PERMANENT);
+      expect(sent.nextAttemptAt).to.not.exist;
+
+      Message.resend({ _id: sent._id }, function (error, resent) {
+        expect(error).to.not.exist;
+        expect(resent).to.have.length(0);
+        done(error, resent);
+      });
+    });
+  });
+
+  it('should stop retry once attempts are exhausted', function (done) {
+    failing({ code: 'ECONNREFUSED', message: 'Gateway Down' });
+
+    const message = new Message(details('failing'));
+    message.maxAttempts = 2;
+    message.backoff = { type: 'fixed', delay: 0 };
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.nextAttemptAt).to.exist;
+
+      Message.resend({ _id: sent._id }, function (error, resent) {
+        expect(error).to.not.exist;
+        expect(resent).to.have.length(1);
+        expect(resent[0].attempts).to.be.equal(2);
+        expect(resent[0].state).to.be.equal(Message.STATE_DEAD_LETTER);
+        expect(resent[0].failure).to.be.equal(Message.FAILURE_TRANSIENT);
+        expect(resent[0].nextAttemptAt).to.not.exist;
+        done(error, resent);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('schedule', function () {
+
+  const tomorrow = function () {
+    return new Date(Date.now() + (24 * 60 * 60 * 1000));
+  };
+
+  const details = function () {
+    return {
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence(),
+      sendAt: tomorrow()
+    };
+  };
+
+  it('should have sendAt property', function () {
+    const sendAt = Message.schema.obj.sendAt;
+    expect(sendAt).to.exist;
+    expect(sendAt.index).to.be.true;
+    expect(sendAt.type).to.be.eql(Date);
+  });
+
+  it('should know if message is due', function () {
+    expect(new Message(details()).isDue()).to.be.false;
+    expect(new Message({ sendAt: new Date() }).isDue()).to.be.true;
+    expect(new Message({}).isDue()).to.be.true;
+  });
+
+  describe('Message#scheduled', function () {
+
+    before(function (done) {
+      Message.create([details(), {
+        from: faker.internet.email(),
+        to: faker.internet.email(),
+        body: faker.lorem.sentence()
+      }], done);
+    });
+
+    it('should find scheduled messages', function (done) {
+      Message.scheduled(function (error, messages) {
+        expect(error).to.not.exist;
+        expect(messages).to.have.length(1);
+        expect(messages[0].sendAt).to.exist;
+        done(error, messages);
+      });
+    });
+
+    it('should exclude scheduled messages from unsent', function (done) {
+      Message.unsent(function (error, messages) {
+        expect(error).to.not.exist;
+        expect(messages).to.have.length(1);
+        expect(messages[0].sendAt).to.not.exist;
+        done(error, messages);
+      });
+    });
+
+    after(function (done) {
+      Message.remove(done);
+    });
+
+  });
+
+  describe('message#queue', function () {
+
+    it('should queue scheduled message', function (done) {
+      const message = new Message(details());
+
+      Message._queue.once('message:queue:error', done);
+      Message._queue.once('message:queue:success', function (queued) {
+        expect(queued.sendAt).to.exist;
+        expect(queued.sentAt).to.not.exist;
+        expect(queued.isDue()).to.be.false;
+        done(null, queued);
+      });
+
+      message.queue();
+    });
+
+  });
+
+  describe('message#reschedule', function () {
+
+    let message;
+
+    beforeEach(function (done) {
+      Message.create(details(), function (error, created) {
+        message = created;
+        done(error, created);
+      });
+    });
+
+    it('should reschedule message', function (done) {
+      const sendAt = new Date(Date.now() + (48 * 60 * 60 * 1000));
+      message.reschedule(sendAt, function (error, rescheduled) {
+        expect(error).to.not.exist;
+        expect(rescheduled.sendAt.getTime()).to.be.equal(sendAt.getTime());
+        done(error, rescheduled);
+      });
+    });
+
+    it('should defer rescheduled message to end of quiet hours',
+      function (done) {
+        Message.options.quietHours = { start: '21:00', end: '07:00' };
+        const sendAt = new Date('2099-07-01T23:15:00Z');
+        message.reschedule(sendAt, function (error, rescheduled) {
+          delete Message.options.quietHours;
+          expect(error).to.not.exist;
+          expect(rescheduled.sendAt)
+            .to.be.eql(new Date('2099-07-02T07:00:00Z'));
+          done(error, rescheduled);
+        });
+      });
+
+    it('should not reschedule delivered message', function (done) {
+      message.state = Message.STATE_DELIVERED;
+      message.save(function (error, delivered) {
+        expect(error).to.not.exist;
+
+        delivered.reschedule(tomorrow(), function (error) {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(400);
+          done();
+        });
+      });
+    });
+
+    it('should cancel message', function (done) {
+      message.cancel(function (error, cancelled) {
+        expect(error).to.not.exist;
+        expect(cancelled.state).to.be.equal(Message.STATE_CANCELLED);
+        expect(cancelled.cancelledAt).to.exist;
+
+        Message.scheduled(function (error, messages) {
+          expect(error).to.not.exist;
+          expect(messages).to.have.length(0);
+          done(error, messages);
+        });
+      });
+    });
+
+    it('should not reschedule cancelled message', function (done) {
+      message.cancel(function (error, cancelled) {
+        cancelled.reschedule(tomorrow(), function (error) {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(400);
+          done();
+        });
+      });
+    });
+
+    it('should not cancel sent message', function (done) {
+      message.send({ fake: true }, function (error, sent) {
+        sent.cancel(function (error) {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(400);
+          done();
+        });
+      });
+    });
+
+    afterEach(function (done) {
+      Message.remove(done);
+    });
+
+  });
+
+  describe('Message#process', function () {
+
+    it('should skip message not yet due', function (done) {
+      Message.create(details(), function (error, message) {
+        Message.process({ data: { _id: message._id } },
+          function (error, processed) {
+            expect(error).to.not.exist;
+            expect(processed.sentAt).to.not.exist;
+            done(error, processed);
+          });
+      });
+    });
+
+    after(function (done) {
+      Message.remove(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+/* jshint camelcase:false */
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const smpp = require('smpp');
+const transport = require(path.join(__dirname, '..', '..', 'lib',
+  'transports', 'smpp'));
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('smpp transport', function () {
+
+  const port = 2776;
+  const invalid = '+255700000000';
+  const throttled = '+255700000001';
+  const hangup = '+255700000002';
+  let sequence = 0;
+  let submitted = [];
+  let pdus = [];
+  let throttles = 0;
+  let server;
+  let smsc;
+
+  before(function (done) {
+
+    //local smsc simulator
+    server = smpp.createServer(function (session) {
+
+      session.on('bind_transceiver', function (pdu) {
+        session.send(pdu.response());
+      });
+
+      session.on('submit_sm', function (pdu) {
+
+        //NOTE! smsc receive international number without plus
+        const to = '+' + pdu.destination_addr;
+        submitted.push(to);
+        pdus.push(pdu);
+
+        //close session without response
+        if (to === hangup) {
+          return session.close();
+        }
+
+        //throttle first submit of throttled receiver
+        if (to === throttled && throttles++ === 0) {
+          return session.send(pdu.response({
+            command_status: smpp.errors.ESME_RTHROTTLED
+          }));
+        }
+
+        //reject invalid receiver
+        if (to === invalid) {
+          return session.send(pdu.response({
+            command_status: smpp.errors.ESME_RINVDSTADR
+          }));
+        }
+
+        //accept message and send delivery receipt
+        const messageId = String(++sequence);
+        session.send(pdu.response({ message_id: messageId }));
+        session.deliver_sm({
+          source_addr: pdu.destination_addr,
+          destination_addr: pdu.source_addr,
+          esm_class: smpp.consts.ESM_CLASS.MC_DELIVERY_RECEIPT,
+          short_message: 'id:' + messageId + ' sub:001 dlvrd:001 ' +
+            'submit date:1806201200 done date:1806201201 ' +
+            'stat:DELIVRD err:000 text:'
+        });
+
+      });
+
+      session.on('unbind', function (pdu) {
+        session.send(pdu.response());
+        session.close();
+      });
+
+    });
+
+    server.listen(port, done);
+
+  });
+
+  before(function () {
+    smsc = Message.registerTransport(transport({
+      name: 'smpp-test',
+      url: 'smpp://localhost:' + port,
+      systemId: 'open311',
+      password: 'open311'
+    }));
+  });
+
+  beforeEach(function () {
+    submitted = [];
+    pdus = [];
+  });
+
+  it('should parse delivery receipt', function () {
+    const receipt = transport.parseReceipt(
+      'id:1 sub:001 dlvrd:001 submit date:1806201200 ' +
+      'done date:1806201201 stat:DELIVRD err:000 text:Hello'
+    );
+    expect(receipt.id).to.be.equal('1');
+    expect(receipt.stat).to.be.equal('DELIVRD');
+    expect(receipt.doneDate).to.be.equal('1806201201');
+    expect(receipt.text).to.be.equal('Hello');
+  });
+
+  it('should submit sms and receive delivery receipt', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      transport: 'smpp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.state).to.be.equal(Message.STATE_QUEUED);
+      expect(sent.result.messageId).to.exist;
+      expect(sent.result.messageIds).to.have.length(1);
+
+      //wait for delivery receipt
+      setTimeout(function () {
+        Message.findById(sent._id, function (error, delivered) {
+          expect(error).to.not.exist;
+          expect(delivered.state).to.be.equal(Message.STATE_DELIVERED);
+          expect(delivered.result.receipts[sent.result.messageId])
+            .to.be.equal('DELIVRD');
+          done(error, delivered);
+        });
+      }, 500);
+    });
+  });
+
+  it('should submit multipart sms body on message payload', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.paragraphs(3),
+      transport: 'smpp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.segments).to.be.above(1);
+      expect(pdus).to.have.length(1);
+      expect(pdus[0].short_message.message).to.be.empty;
+      expect(pdus[0].message_payload.message).to.be.equal(sent.body);
+      done();
+    });
+  });
+
+  it('should map submit error into message result', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: invalid,
+      body: faker.lorem.sentence(),
+      transport: 'smpp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.not.exist;
+      expect(sent.failedAt).to.exist;
+      expect(sent.result.code).to.be.equal('ESME_RINVDSTADR');
+      done();
+    });
+  });
+
+  it('should submit only failed receivers on retry', function (done) {
+    const to = faker.phone.phoneNumber('+2557########');
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: [to, throttled],
+      body: faker.lorem.sentence(),
+      transport: 'smpp-test'
+    });
+
+    message.send(function (error, failed) {
+      expect(error).to.not.exist;
+      expect(failed.failedAt).to.exist;
+      expect(failed.result.code).to.be.equal('ESME_RTHROTTLED');
+      expect(failed.result.messageIds).to.have.length(1);
+      expect(failed.result.receivers).to.have.length(2);
+      expect(submitted).to.be.eql([to, throttled]);
+
+      failed.send(function (error, sent) {
+        expect(error).to.not.exist;
+        expect(sent.sentAt).to.exist;
+        expect(sent.state).to.be.equal(Message.STATE_QUEUED);
+        expect(sent.result.messageIds).to.have.length(2);
+        expect(submitted).to.be.eql([to, throttled, throttled]);
+        done();
+      });
+    });
+  });
+
+  it('should fail pending submit when session close', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: hangup,
+      body: faker.lorem.sentence(),
+      transport: 'smpp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.failedAt).to.exist;
+      expect(sent.result.code).to.be.equal('ECONNRESET');
+      expect(sent.result.receivers[0].error).to.exist;
+      done();
+    });
+  });
+
+  after(function (done) {
+    Message.unregisterTransport('smpp-test');
+    smsc.unbind(function () {
+      server.close(done);
+    });
+  });
+
+  after(function (done) {
+    Message.remove(done);
+  });
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const Message = require(path.join(__dirname, '..', '..'))();
+const sms = require(path.join(__dirname, '..', '..', 'lib', 'sms'));
+
+describe('sms', function () {
+
+  const details = function (body, options) {
+    return {
+      type: Message.TYPE_SMS,
+      from: 'OPEN311',
+      to: '+255714000000',
+      body: body,
+      options: { sms: options }
+    };
+  };
+
+  it('should detect sms encoding', function () {
+    expect(sms.encoding('Habari {Dar}')).to.be.equal(Message.ENCODING_GSM);
+    expect(sms.encoding('Привет')).to.be.equal(Message.ENCODING_UCS2);
+    expect(sms.encoding('Habari 😀')).to.be.equal(Message.ENCODING_UCS2);
+  });
+
+  it('should count sms segments', function () {
+    expect(sms.analyze(_.repeat('a', 160)).segments).to.be.equal(1);
+    expect(sms.analyze(_.repeat('a', 161)).segments).to.be.equal(2);
+    expect(sms.analyze(_.repeat('a', 306)).segments).to.be.equal(2);
+    expect(sms.analyze(_.repeat('a', 307)).segments).to.be.equal(3);
+    expect(sms.analyze(_.repeat('{', 80)).length).to.be.equal(160);
+    expect(sms.analyze(_.repeat('{', 81)).segments).to.be.equal(2);
+    expect(sms.analyze(_.repeat('ж', 70)).segments).to.be.equal(1);
+    expect(sms.analyze(_.repeat('ж', 71)).segments).to.be.equal(2);
+  });
+
+  it('should transliterate non gsm characters', function () {
+    expect(sms.transliterate('“Karibu” – Dar…'))
+      .to.be.equal('"Karibu" - Dar...');
+    expect(sms.transliterate('á é ж')).to.be.equal('a é ж');
+  });
+
+  it('should truncate text into segments', function () {
+    expect(sms.truncate(_.repeat('a', 400), 1)).to.have.length(160);
+    expect(sms.truncate(_.repeat('a', 400), 2)).to.have.length(306);
+    expect(sms.truncate(_.repeat('ж', 100), 1)).to.have.length(70);
+  });
+
+  it('should set encoding and segments of sms message', function (done) {
+    const message = new Message(details(_.repeat('ж', 71)));
+    message.validate(function (error) {
+      expect(error).to.not.exist;
+      expect(message.encoding).to.be.equal(Message.ENCODING_UCS2);
+      expect(message.segments).to.be.equal(2);
+      done();
+    });
+  });
+
+  it('should fail sms exceeding maximum segments', function (done) {
+    const message =
+      new Message(details(_.repeat('a', 200), { maxSegments: 1 }));
+    message.validate(function (error) {
+      expect(error).to.exist;
+      expect(error.errors.body.message)
+        .to.be.equal('SMS Body Exceeds Maximum Segments: 2 Of 1');
+      done();
+    });
+  });
+
+  it('should truncate sms exceeding maximum segments', function (done) {
+    const message = new Message(details('“Hi” ' + _.repeat('a', 200), {
+      maxSegments: 1,
+      overflow: 'truncate',
+      transliterate: true
+    }));
+    message.validate(function (error) {
+      expect(error).to.not.exist;
+      expect(message.body).to.have.length(160);
+      expect(_.startsWith(message.body, '"Hi"')).to.be.true;
+      expect(message.encoding).to.be.equal(Message.ENCODING_GSM);
+      expect(message.segments).to.be.equal(1);
+      done();
+    });
+  });
+
+});
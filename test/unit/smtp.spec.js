@@ -0,0 +1,145 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const SMTPServer = require('smtp-server').SMTPServer;
+const smtp = require(path.join(__dirname, '..', '..', 'lib', 'transports',
+  'smtp'));
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('smtp transport', function () {
+
+  const port = 2525;
+  const rejected = 'rejected@example.com';
+  let envelopes = [];
+  let server;
+
+  before(function (done) {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onRcptTo: function (address, session, next) {
+        if (address.address === rejected) {
+          const error = new Error('Mailbox Unavailable');
+          error.responseCode = 550;
+          return next(error);
+        }
+        next();
+      },
+      onData: function (stream, session, next) {
+        let raw = '';
+        stream.on('data', function (chunk) {
+          raw += chunk.toString();
+        });
+        stream.on('end', function () {
+          envelopes.push({ envelope: session.envelope, raw: raw });
+          next();
+        });
+      }
+    });
+    server.listen(port, done);
+  });
+
+  before(function () {
+    Message.registerTransport(smtp({
+      name: 'smtp-test',
+      host: 'localhost',
+      port: port,
+      ignoreTLS: true
+    }));
+  });
+
+  beforeEach(function () {
+    envelopes = [];
+  });
+
+  it('should send email with cc and bcc', function (done) {
+    const details = {
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      cc: faker.internet.email(),
+      bcc: faker.internet.email(),
+      subject: faker.lorem.word(),
+      body: faker.lorem.sentence(),
+      transport: 'smtp-test'
+    };
+
+    const message = new Message(details);
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.result.messageId).to.exist;
+      expect(sent.result.accepted).to.have.length(3);
+
+      expect(envelopes).to.have.length(1);
+      const recipients =
+        envelopes[0].envelope.rcptTo.map(function (rcpt) {
+          return rcpt.address;
+        });
+      expect(recipients).to.include(details.to.toLowerCase());
+      expect(recipients).to.include(details.cc.toLowerCase());
+      expect(recipients).to.include(details.bcc.toLowerCase());
+      expect(envelopes[0].raw).to.not.contain('Bcc:');
+      done();
+    });
+  });
+
+  it('should send multipart/alternative for html email', function (done) {
+    const message = new Message({
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      subject: faker.lorem.word(),
+      body: '<p>Hello <b>World</b></p>',
+      transport: 'smtp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.mime).to.be.equal(Message.MIME_HTML);
+
+      const raw = envelopes[0].raw;
+      expect(raw).to.contain('multipart/alternative');
+      expect(raw).to.contain('text/plain');
+      expect(raw).to.contain('text/html');
+      expect(raw).to.contain('Hello World');
+      done();
+    });
+  });
+
+  it('should map smtp error into message result', function (done) {
+    const message = new Message({
+      from: faker.internet.email(),
+      to: rejected,
+      body: faker.lorem.sentence(),
+      transport: 'smtp-test'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent.sentAt).to.not.exist;
+      expect(sent.failedAt).to.exist;
+      expect(sent.result.code).to.be.equal('EENVELOPE');
+      expect(sent.result.status).to.be.equal(550);
+      done();
+    });
+  });
+
+  it('should convert html to plain text', function () {
+    expect(smtp.toText('<p>Hello</p><p>World</p>'))
+      .to.be.equal('Hello\nWorld');
+  });
+
+  after(function (done) {
+    Message.unregisterTransport('smtp-test');
+    server.close(done);
+  });
+
+  after(function (done) {
+    Message.remove(done);
+  });
+
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('state', function () {
+
+  const details = function () {
+    return {
+      from: faker.internet.email(),
+      to: faker.internet.email(),
+      body: faker.lorem.sentence()
+    };
+  };
+
+  it('should have history property', function () {
+    const history = Message.schema.obj.history;
+    expect(history).to.exist;
+    expect(history.type).to.be.an('array');
+  });
+
+  it('should define state transitions', function () {
+    expect(Message.TRANSITIONS).to.exist;
+    expect(Message.TRANSITIONS[Message.STATE_DELIVERED]).to.be.empty;
+    expect(Message.TRANSITIONS[Message.STATE_UNKNOWN])
+      .to.include(Message.STATE_DELIVERED);
+  });
+
+  it('should transit and record history', function (done) {
+    Message.create(details(), function (error, message) {
+      expect(error).to.not.exist;
+      expect(message.canTransition(Message.STATE_SENT)).to.be.true;
+
+      message.transition(Message.STATE_SENT, 'pulled', { device: 'phone' });
+      message.save(function (error, saved) {
+        expect(error).to.not.exist;
+        expect(saved.state).to.be.equal(Message.STATE_SENT);
+        expect(saved.history).to.have.length(1);
+
+        const transition = saved.history[0];
+        expect(transition.from).to.be.equal(Message.STATE_UNKNOWN);
+        expect(transition.to).to.be.equal(Message.STATE_SENT);
+        expect(transition.at).to.exist;
+        expect(transition.reason).to.be.equal('pulled');
+        expect(transition.result).to.be.eql({ device: 'phone' });
+        done(error, saved);
+      });
+    });
+  });
+
+  it('should reject invalid transition', function (done) {
+    const message = new Message(details());
+    message.send({ fake: true }, function (error, sent) {
+      expect(error).to.not.exist;
+
+      sent.transition(Message.STATE_DELIVERED);
+      expect(function () {
+        sent.transition(Message.STATE_UNKNOWN);
+      }).to.throw(/Invalid Message State Transition/);
+      done();
+    });
+  });
+
+  it('should reject invalid assigned state on save', function (done) {
+    Message.create(details(), function (error, message) {
+      message.transition(Message.STATE_DELIVERED);
+      message.save(function (error, delivered) {
+        expect(error).to.not.exist;
+
+        delivered.state = Message.STATE_UNKNOWN;
+        delivered.save(function (error) {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(400);
+          expect(error.code).to.be.equal('EINVALIDSTATE');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should record assigned state on history', function (done) {
+    Message.create(details(), function (error, message) {
+      message.state = Message.STATE_QUEUED;
+      message.save(function (error, queued) {
+        expect(error).to.not.exist;
+        expect(queued.history).to.have.length(1);
+        expect(queued.history[0].from).to.be.equal(Message.STATE_UNKNOWN);
+        expect(queued.history[0].to).to.be.equal(Message.STATE_QUEUED);
+        done(error, queued);
+      });
+    });
+  });
+
+  it('should not requeue delivered pull message', function (done) {
+    const message = new Message(details());
+    message.mode = Message.SEND_MODE_PULL;
+    message.transition(Message.STATE_DELIVERED);
+    message.save(function (error, delivered) {
+      expect(error).to.not.exist;
+
+      Message._queue.once('message:queue:error', function (error) {
+        expect(error).to.exist;
+        expect(error.code).to.be.equal('EINVALIDSTATE');
+        done();
+      });
+
+      delivered.queue();
+    });
+  });
+
+  it('should not send message which can not be sent', function (done) {
+    let sent = 0;
+    Message.registerTransport('state-echo', {
+      types: [Message.TYPE_EMAIL],
+      send: function (message, next) {
+        sent++;
+        next(null, { message: 'success' });
+      }
+    });
+
+    const message = new Message(details());
+    message.transport = 'state-echo';
+    message.transition(Message.STATE_DELIVERED);
+    message.save(function (error, delivered) {
+      expect(error).to.not.exist;
+
+      delivered.send(function (error) {
+        Message.unregisterTransport('state-echo');
+        expect(error).to.exist;
+        expect(error.code).to.be.equal('EINVALIDSTATE');
+        expect(sent).to.be.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('should keep send details on invalid result state', function (done) {
+    Message.registerTransport('state-echo', {
+      types: [Message.TYPE_EMAIL],
+      send: function (message, next) {
+        next(null, { state: Message.STATE_RECEIVED });
+      }
+    });
+
+    Message.create(details(), function (error, message) {
+      expect(error).to.not.exist;
+
+      message.transport = 'state-echo';
+      message.send(function (error) {
+        Message.unregisterTransport('state-echo');
+        expect(error).to.exist;
+        expect(error.code).to.be.equal('EINVALIDSTATE');
+
+        Message.findById(message._id, function (error, found) {
+          expect(error).to.not.exist;
+          expect(found.sentAt).to.exist;
+          expect(found.result.state).to.be.equal(Message.STATE_RECEIVED);
+          done(error, found);
+        });
+      });
+    });
+  });
+
+  afterEach(function (done) {
+    Message.remove(done);
+  });
+
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('suppression', function () {
+
+  const Suppression = Message.Suppression;
+
+  const phone = function () {
+    return faker.phone.phoneNumber('+2557########');
+  };
+
+  const details = function (to, cc) {
+    return {
+      type: Message.TYPE_SMS,
+      from: 'open311',
+      to: to,
+      cc: cc,
+      body: faker.lorem.sentence()
+    };
+  };
+
+  it('should suppress, list and lift address', function (done) {
+    const to = phone();
+    Message.suppress(Message.TYPE_SMS, to.substring(1), {
+      reason: Suppression.REASON_MANUAL,
+      note: 'requested by phone'
+    }, function (error, suppressions) {
+      expect(error).to.not.exist;
+      expect(suppressions).to.have.length(1);
+      expect(suppressions[0].address).to.be.equal(to);
+      expect(suppressions[0].source).to.be.equal(Suppression.SOURCE_API);
+
+      Message.suppressions({ address: to }, function (error, found) {
+        expect(error).to.not.exist;
+        expect(found).to.have.length(1);
+
+        Message.unsuppress(Message.TYPE_SMS, to, function (error) {
+          expect(error).to.not.exist;
+
+          Message.suppressions({ address: to }, function (error, found) {
+            expect(error).to.not.exist;
+            expect(found).to.have.length(0);
+            done(error, found);
+          });
+        });
+      });
+    });
+  });
+
+  it('should skip message with all receivers suppressed', function (done) {
+    const to = phone();
+    Message.suppress(Message.TYPE_SMS, to, function (error) {
+      expect(error).to.not.exist;
+
+      new Message(details(to)).queue(function (error, message, jobId) {
+        expect(error).to.not.exist;
+        expect(jobId).to.not.exist;
+        expect(message.state).to.be.equal(Message.STATE_SKIPPED);
+        expect(message.suppressed).to.include(to);
+        expect(message.to).to.include(to);
+        done(error, message);
+      });
+    });
+  });
+
+  it('should remove suppressed receivers from message', function (done) {
+    const to = phone();
+    const cc = phone();
+    Message.suppress(Message.TYPE_SMS, cc, function (error) {
+      expect(error).to.not.exist;
+
+      const message = new Message(details(to, cc));
+      message.validate(function (error) {
+        expect(error).to.not.exist;
+
+        message._suppress(function (error, skipped) {
+          expect(error).to.not.exist;
+          expect(skipped).to.be.false;
+          expect(message.to.toObject()).to.be.eql([to]);
+          expect(message.cc.toObject()).to.be.eql([]);
+          expect(message.suppressed.toObject()).to.be.eql([cc]);
+          done(error, message);
+        });
+      });
+    });
+  });
+
+  it('should suppress email regardless of its display name',
+    function (done) {
+      const email = faker.internet.email().toLowerCase();
+      const domain = email.split('@')[1];
+      const local = email.split('@')[0];
+      Message.suppress(Message.TYPE_EMAIL, 'Jane <' + email + '>',
+        function (error, suppressions) {
+          expect(error).to.not.exist;
+          expect(suppressions[0].address).to.be.equal(email);
+
+          const to = 'Jane Doe <' + local + '@' + domain.toUpperCase() + '>';
+          const message = new Message({
+            type: Message.TYPE_EMAIL,
+            from: faker.internet.email(),
+            to: to,
+            subject: faker.lorem.words(),
+            body: faker.lorem.sentence()
+          });
+          message.validate(function (error) {
+            expect(error).to.not.exist;
+
+            message._suppress(function (error, skipped) {
+              expect(error).to.not.exist;
+              expect(skipped).to.be.true;
+              expect(message.suppressed).to.have.length(1);
+              done(error, message);
+            });
+          });
+        });
+    });
+
+  it('should not check suppression when disabled', function (done) {
+    const to = phone();
+    Message.suppress(Message.TYPE_SMS, to, function (error) {
+      expect(error).to.not.exist;
+
+      const message = new Message(details(to));
+      message.options = { suppression: { enabled: false } };
+      message._suppress(function (error, skipped) {
+        expect(error).to.not.exist;
+        expect(skipped).to.be.false;
+        done(error, skipped);
+      });
+    });
+  });
+
+  it('should suppress and lift sender on opt out keywords', function (done) {
+    const from = phone();
+    const received = function (body) {
+      return {
+        type: Message.TYPE_SMS,
+        from: from,
+        to: '15200',
+        body: body
+      };
+    };
+
+    Message.receive(received('STOP'), function (error, message, dispatched) {
+      expect(error).to.not.exist;
+      expect(dispatched.optOut).to.be.true;
+
+      Message.suppressions({ address: from }, function (error, found) {
+        expect(error).to.not.exist;
+        expect(found).to.have.length(1);
+        expect(found[0].reason).to.be.equal(Suppression.REASON_OPT_OUT);
+        expect(found[0].source).to.be.equal(Suppression.SOURCE_INBOUND);
+        expect(found[0].message.toString())
+          .to.be.equal(message._id.toString());
+
+        Message.receive(received('start'), function (error, message,
+          dispatched) {
+          expect(error).to.not.exist;
+          expect(dispatched.optIn).to.be.true;
+
+          Message.suppressions({ address: from }, function (error, found) {
+            expect(found).to.have.length(0);
+            done(error, found);
+          });
+        });
+      });
+    });
+  });
+
+  it('should suppress receiver of bounced message', function (done) {
+    const other = 'jane.' + faker.random.uuid() + '@example.com';
+    Message.create({
+      from: 'no-reply@example.com',
+      to: 'john.' + faker.random.uuid() + '@example.com',
+      body: faker.lorem.sentence(),
+      state: Message.STATE_QUEUED,
+      sentAt: new Date()
+    }, function (error, created) {
+      expect(error).to.not.exist;
+
+      Message.acknowledge(created.hash, {
+        status: 'BOUNCED',
+        error: { message: '550 mailbox unavailable' }
+      }, function (error, message) {
+        expect(error).to.not.exist;
+        expect(message.state).to.be.equal(Message.STATE_UNDELIVERED);
+
+        Suppression.suppressed(Message.TYPE_EMAIL, [message.to[0], other],
+          function (error, suppressed) {
+            expect(error).to.not.exist;
+            expect(suppressed).to.be.eql([message.to[0]]);
+            done(error, suppressed);
+          });
+      });
+    });
+  });
+
+});
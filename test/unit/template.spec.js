@@ -0,0 +1,206 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+const MessageTemplate = Message.Template;
+
+describe('template', function () {
+
+  const footer = {
+    name: 'footer',
+    type: Message.TYPE_SMS,
+    body: 'Thank you, {{service}}'
+  };
+
+  const received = {
+    name: 'service-request-received',
+    type: Message.TYPE_SMS,
+    subject: 'Service Request {{code}}',
+    body: 'Dear {{name}}, your request {{code}} is received. {{> footer}}',
+    variables: ['name', 'code'],
+    defaults: { service: 'Open311' }
+  };
+
+  before(function (done) {
+    MessageTemplate.create([footer, received], done);
+  });
+
+  it('should be able to register mongoose model', function () {
+    expect(MessageTemplate).to.exist;
+    expect(MessageTemplate.modelName).to.be.equal('MessageTemplate');
+  });
+
+  it('should render template subject and body', function () {
+    const template = new MessageTemplate(received);
+    const rendered = template.render({ name: 'John', code: 'HQ1' }, {
+      footer: footer
+    });
+    expect(rendered.subject).to.be.equal('Service Request HQ1');
+    expect(rendered.body).to.be.equal(
+      'Dear John, your request HQ1 is received. Thank you, Open311'
+    );
+  });
+
+  it('should not escape plain text template', function () {
+    const template = new MessageTemplate({ body: 'Hello {{name}}' });
+    const rendered = template.render({ name: 'A & B' });
+    expect(rendered.body).to.be.equal('Hello A & B');
+  });
+
+  it('should escape html template', function () {
+    const template = new MessageTemplate({ body: '<p>{{name}}</p>' });
+    const rendered = template.render({ name: '<b>' });
+    expect(rendered.body).to.be.equal('<p>&lt;b&gt;</p>');
+  });
+
+  it('should bump version on content change', function (done) {
+    MessageTemplate.findByName('footer', function (error, template) {
+      expect(error).to.not.exist;
+      expect(template.version).to.be.equal(1);
+      template.body = 'Asante, {{service}}';
+      template.save(function (error, updated) {
+        expect(error).to.not.exist;
+        expect(updated.version).to.be.equal(2);
+        updated.body = footer.body;
+        updated.save(done);
+      });
+    });
+  });
+
+  it('should create message from template', function (done) {
+    const to = faker.phone.phoneNumber('+2557########');
+    Message.fromTemplate(received.name, { name: 'John', code: 'HQ1' }, {
+      from: 'open311',
+      to: to
+    }, function (error, message) {
+      expect(error).to.not.exist;
+      expect(message).to.exist;
+      expect(message.isNew).to.be.true;
+      expect(message.type).to.be.equal(Message.TYPE_SMS);
+      expect(message.from).to.be.equal('open311');
+      expect(message.to).to.be.eql([to]);
+      expect(message.subject).to.be.equal('Service Request HQ1');
+      expect(message.body).to.contain('Dear John');
+      expect(message.body).to.contain('Thank you, Open311');
+      expect(message.template.name).to.be.equal(received.name);
+      expect(message.template.version).to.be.equal(1);
+      done(error, message);
+    });
+  });
+
+  it('should fail to create message with missing variables', function (done) {
+    Message.fromTemplate(received.name, { name: 'John' }, {
+      from: 'open311',
+      to: faker.phone.phoneNumber('+2557########')
+    }, function (error, message) {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      expect(error.variables).to.be.eql(['code']);
+      expect(message).to.not.exist;
+      done();
+    });
+  });
+
+  it('should fail to create message from unknown template', function (done) {
+    Message.fromTemplate('unknown', {}, function (error, message) {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(404);
+      expect(message).to.not.exist;
+      done();
+    });
+  });
+
+  describe('locale', function () {
+
+    const footerSw = {
+      name: 'footer',
+      type: Message.TYPE_SMS,
+      locale: 'sw',
+      body: 'Asante, {{service}}'
+    };
+
+    const receivedSw = {
+      name: 'service-request-received',
+      type: Message.TYPE_SMS,
+      locale: 'sw',
+      body: 'Ndugu {{name}}, ombi lako {{code}} limepokelewa. {{> footer}}',
+      variables: ['name', 'code'],
+      defaults: { service: 'Open311' }
+    };
+
+    const data = { name: 'John', code: 'HQ1' };
+    const details = { from: 'open311', to: '+255714000000' };
+
+    before(function (done) {
+      MessageTemplate.create([footerSw, receivedSw], done);
+    });
+
+    it('should build locale fallback chain', function () {
+      const locales = MessageTemplate.locales('sw-TZ', ['en']);
+      expect(locales).to.be.eql(['sw-tz', 'sw', 'en']);
+    });
+
+    it('should create message from locale variant', function (done) {
+      const overrides = _.merge({}, details, { locale: 'sw-TZ' });
+      Message.fromTemplate(received.name, data, overrides,
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.locale).to.be.equal('sw');
+          expect(message.body).to.contain('Ndugu John');
+          expect(message.body).to.contain('Asante, Open311');
+          done(error, message);
+        });
+    });
+
+    it('should fallback to default locale variant', function (done) {
+      const overrides = _.merge({}, details, { locale: 'fr' });
+      Message.fromTemplate(received.name, data, overrides,
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.locale).to.be.equal('en');
+          expect(message.body).to.contain('Dear John');
+          done(error, message);
+        });
+    });
+
+    it('should resolve receiver locale using hook', function (done) {
+      Message.options.locales = {
+        resolve: function (overrides, next) {
+          expect(overrides.to).to.be.equal(details.to);
+          next(null, 'sw');
+        }
+      };
+      Message.fromTemplate(received.name, data, details,
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.locale).to.be.equal('sw');
+          expect(message.body).to.contain('Ndugu John');
+          done(error, message);
+        });
+    });
+
+    it('should use configured fallback chain', function (done) {
+      Message.options.locales = { fallback: ['sw', 'en'] };
+      Message.fromTemplate(received.name, data, details,
+        function (error, message) {
+          expect(error).to.not.exist;
+          expect(message.locale).to.be.equal('sw');
+          done(error, message);
+        });
+    });
+
+    after(function () {
+      delete Message.options.locales;
+    });
+
+  });
+
+  after(function (done) {
+    MessageTemplate.remove(done);
+  });
+
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+//dependencies
+const path = require('path');
+const expect = require('chai').expect;
+const faker = require('faker');
+const Message = require(path.join(__dirname, '..', '..'))();
+
+describe('transport', function () {
+
+  const transport = {
+    types: [Message.TYPE_SMS],
+    send: function (message, done) {
+      done(null, { message: 'success' });
+    }
+  };
+
+  before(function () {
+    Message.registerTransport('sms-echo', transport);
+  });
+
+  it('should be able to register transport', function () {
+    const registered = Message.getTransport('sms-echo');
+    expect(registered).to.exist;
+    expect(registered.name).to.be.equal('sms-echo');
+    expect(registered.types).to.be.eql([Message.TYPE_SMS]);
+  });
+
+  it('should not register transport without send', function () {
+    expect(function () {
+      Message.registerTransport('invalid', { types: [Message.TYPE_SMS] });
+    }).to.throw(Error);
+  });
+
+  it('should set default transport per message type', function () {
+    const _default = Message.defaultTransport(Message.TYPE_SMS);
+    expect(_default).to.exist;
+    expect(_default.name).to.be.equal('sms-echo');
+  });
+
+  it('should send message using default transport', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: faker.phone.phoneNumber('+2557########'),
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence()
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.not.exist;
+      expect(sent).to.exist;
+      expect(sent.sentAt).to.exist;
+      expect(sent.transport).to.be.equal('sms-echo');
+      expect(sent.result.message).to.be.equal('success');
+      done(error, sent);
+    });
+  });
+
+  it('should fail to send message with unknown transport', function (done) {
+    const message = new Message({
+      type: Message.TYPE_SMS,
+      from: faker.phone.phoneNumber('+2557########'),
+      to: faker.phone.phoneNumber('+2557########'),
+      body: faker.lorem.sentence(),
+      transport: 'unknown'
+    });
+
+    message.send(function (error, sent) {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      expect(sent).to.not.exist;
+      done();
+    });
+  });
+
+  it('should fail to send message with transport of other type',
+    function (done) {
+      const message = new Message({
+        type: Message.TYPE_EMAIL,
+        from: faker.internet.email(),
+        to: faker.internet.email(),
+        body: faker.lorem.sentence(),
+        transport: 'sms-echo'
+      });
+
+      message.send(function (error, sent) {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(400);
+        expect(error.message)
+          .to.be.equal('Transport sms-echo Does Not Support EMAIL');
+        expect(sent).to.not.exist;
+        done();
+      });
+    });
+
+  after(function (done) {
+    Message.unregisterTransport('sms-echo');
+    Message.remove(done);
+  });
+
+});
@@ -5,8 +5,9 @@ const path = require('path');
 const expect = require('chai').expect;
 const mongoose = require('mongoose');
 const faker = require('faker');
-const echoTransport = path.join(__dirname, '..', 'fake', 'echo');
 const Message = require(path.join(__dirname, '..', '..'))();
+const echo = require(path.join(__dirname, '..', 'fake', 'echo'));
+const echoTransport = echo.name;
 
 describe('open311-messages', function () {
 
@@ -180,6 +181,18 @@ describe('open311-messages', function () {
       expect(schema.options).to.exist;
     });
 
+    it('should have template property', function () {
+      const model = mongoose.model('Message');
+      const schema = model.schema.obj;
+
+      expect(schema.template).to.exist;
+
+      const template = schema.template;
+      expect(template.name.index).to.be.true;
+      expect(template.name.type).to.be.eql(String);
+      expect(template.version.type).to.be.eql(Number);
+    });
+
     it('should have hash property', function () {
       const model = mongoose.model('Message');
       const schema = model.schema.obj;